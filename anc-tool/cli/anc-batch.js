@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * anc-batch: scores every Before / After pair in a directory with the same
+ * analysis the visualizer runs, and writes a CSV or JSON table of band metrics.
+ *
+ *   node cli/anc-batch.js <dir> --bands "Low:50-200,Mid:200-1000" [options]
+ *
+ * Files pair up by name: "<pair>_before.txt" + "<pair>_after.txt" (also "-"
+ * or "." as separator, .csv and .wav). Numbered files such as
+ * "<pair>_after_2.txt" are repeats and are averaged as a group.
+ *
+ * Exit codes: 0 done, 1 usage or file errors, 2 at least one pair failed the mask.
+ */
+
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  AVERAGING_MODES,
+  buildDiagnostics,
+  DEFAULT_ANALYSIS_OPTIONS,
+  DEFAULT_WELCH_OPTIONS,
+  FLOOR_MARGINS,
+  GROUP_AVERAGING_MODES,
+  parseCalibration,
+  parseMaskCsv,
+  parseMeasurement,
+  POINTS_PER_OCTAVE_OPTIONS,
+  SMOOTHING_OPTIONS,
+  wavToSpectrum,
+  WEIGHTINGS,
+} from '../src/lib/index.js';
+import { pairFiles, parseBandJson, parseBandSpec, scorePair, toCsv, toJson, toRows } from './batch.js';
+
+const USAGE = `Usage: anc-batch <dir> --bands <spec | file.json> [options]
+
+Band list:
+  --bands <spec>        "200-1000", "Low:50-200,Mid:200-1000", a preset id
+                        (anc, low-mid-high, cabin) or a .json band / session file
+
+Options:
+  --output <file>       Write to a file instead of stdout
+  --json                JSON output (default: CSV)
+  --format <id>         Parser for text files (default: auto)
+  --weighting <id>      ${WEIGHTINGS.map(w => w.id).join(', ')} (default: ${DEFAULT_ANALYSIS_OPTIONS.weighting})
+  --smoothing <id>      ${SMOOTHING_OPTIONS.map(o => o.id).join(', ')} (default: ${DEFAULT_ANALYSIS_OPTIONS.smoothing})
+  --raw-metrics         Compute metrics from unsmoothed data
+  --averaging <id>      ${AVERAGING_MODES.map(m => m.id).join(', ')} (default: ${DEFAULT_ANALYSIS_OPTIONS.averagingMode})
+  --repeats <id>        How repeats are averaged: ${GROUP_AVERAGING_MODES.map(m => m.id).join(', ')} (default: ${DEFAULT_ANALYSIS_OPTIONS.groupAveraging})
+  --grid <n>            Alignment points per octave: ${POINTS_PER_OCTAVE_OPTIONS.join(', ')} (default: ${DEFAULT_ANALYSIS_OPTIONS.pointsPerOctave})
+  --mask <file.csv>     Check every pair against a spec mask (exit code 2 on FAIL)
+  --floor <file>        Noise-floor measurement; counts floor-limited points per band
+  --floor-margin <dB>   ${FLOOR_MARGINS.join(', ')} (default: ${DEFAULT_ANALYSIS_OPTIONS.floorMargin})
+  --exclude-floor       Leave floor-limited points out of the band metrics
+  --calibration <dB>    dBFS to dB SPL offset for .wav files (default: ${DEFAULT_WELCH_OPTIONS.calibrationDb})
+  --before-mic <file>   Mic calibration (.cal / .frd) for the Before measurements
+  --after-mic <file>    Mic calibration (.cal / .frd) for the After measurements
+  -h, --help            Show this help
+`;
+
+// Helper: Stop with a message and exit code 1
+const fail = (message) => {
+  process.stderr.write(`anc-batch: ${message}\n`);
+  process.exit(1);
+};
+
+// Helper: Accepts only the listed values for an option
+const choice = (value, allowed, name) => {
+  if (value === undefined) return undefined;
+  if (!allowed.includes(value)) fail(`--${name} must be one of ${allowed.join(', ')}`);
+  return value;
+};
+
+// Helper: One file as a measurement; diagnostics errors reject it like the upload dialog does
+const loadMeasurement = (dir, name, { formatId, wavOptions }) => {
+  const path = join(dir, name);
+  let result;
+  if (/\.wav$/i.test(name)) {
+    const bytes = readFileSync(path);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    result = { ...wavToSpectrum(buffer, wavOptions), formatLabel: 'WAV recording' };
+  } else {
+    result = parseMeasurement(readFileSync(path, 'utf8'), { formatId });
+    if (result.needsMapping) throw new Error('columns could not be detected; pass --format');
+  }
+  const diagnostics = buildDiagnostics(result, { plotRange: [20, 20000] });
+  if (diagnostics.errors.length) throw new Error(diagnostics.errors.join(' '));
+  diagnostics.warnings.forEach(w => process.stderr.write(`anc-batch: ${name}: ${w}\n`));
+  return { name, data: result.data, format: result.formatLabel };
+};
+
+const main = () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        bands: { type: 'string' },
+        output: { type: 'string', short: 'o' },
+        json: { type: 'boolean' },
+        format: { type: 'string' },
+        weighting: { type: 'string' },
+        smoothing: { type: 'string' },
+        'raw-metrics': { type: 'boolean' },
+        averaging: { type: 'string' },
+        repeats: { type: 'string' },
+        grid: { type: 'string' },
+        mask: { type: 'string' },
+        floor: { type: 'string' },
+        'floor-margin': { type: 'string' },
+        'exclude-floor': { type: 'boolean' },
+        calibration: { type: 'string' },
+        'before-mic': { type: 'string' },
+        'after-mic': { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) fail(`expected one directory\n\n${USAGE}`);
+  if (!values.bands) fail('--bands is required');
+
+  const dir = positionals[0];
+  const options = {
+    ...DEFAULT_ANALYSIS_OPTIONS,
+    ...Object.fromEntries(Object.entries({
+      weighting: choice(values.weighting, WEIGHTINGS.map(w => w.id), 'weighting'),
+      smoothing: choice(values.smoothing, SMOOTHING_OPTIONS.map(o => o.id), 'smoothing'),
+      averagingMode: choice(values.averaging, AVERAGING_MODES.map(m => m.id), 'averaging'),
+      groupAveraging: choice(values.repeats, GROUP_AVERAGING_MODES.map(m => m.id), 'repeats'),
+      pointsPerOctave: values.grid === undefined ? undefined : Number(choice(values.grid, POINTS_PER_OCTAVE_OPTIONS.map(String), 'grid')),
+      floorMargin: values['floor-margin'] === undefined ? undefined : Number(choice(values['floor-margin'], FLOOR_MARGINS.map(String), 'floor-margin')),
+    }).filter(([, v]) => v !== undefined)),
+    metricsUseSmoothed: !values['raw-metrics'],
+    excludeFloorLimited: Boolean(values['exclude-floor']),
+  };
+
+  const calibrationDb = values.calibration === undefined ? DEFAULT_WELCH_OPTIONS.calibrationDb : Number(values.calibration);
+  if (!Number.isFinite(calibrationDb)) fail('--calibration must be a number');
+  const load = { formatId: values.format || 'auto', wavOptions: { ...DEFAULT_WELCH_OPTIONS, calibrationDb } };
+
+  let bands;
+  let mask = null;
+  let floorFile = null;
+  const calibrations = {};
+  let names;
+  try {
+    bands = /\.json$/i.test(values.bands) ? parseBandJson(readFileSync(values.bands, 'utf8')) : parseBandSpec(values.bands);
+    if (values.mask) mask = parseMaskCsv(readFileSync(values.mask, 'utf8'), values.mask.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, ''));
+    if (values.floor) floorFile = loadMeasurement(dirname(values.floor), basename(values.floor), load);
+    ['before', 'after'].forEach(side => {
+      const path = values[`${side}-mic`];
+      if (!path) return;
+      try {
+        calibrations[side] = parseCalibration(readFileSync(path, 'utf8'), basename(path));
+      } catch (err) {
+        throw new Error(`${path}: ${err.message}`);
+      }
+    });
+    names = readdirSync(dir);
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const { pairs, incomplete } = pairFiles(names);
+  incomplete.forEach(id => process.stderr.write(`anc-batch: ${id}: only a Before or an After file was found, skipped\n`));
+  if (pairs.length === 0) fail(`no Before / After pairs found in ${dir}`);
+
+  const results = [];
+  let errors = 0;
+  for (const pair of pairs) {
+    try {
+      const loaded = {
+        id: pair.id,
+        before: pair.before.map(name => loadMeasurement(dir, name, load)),
+        after: pair.after.map(name => loadMeasurement(dir, name, load)),
+      };
+      results.push(scorePair(loaded, { bands, mask, floorFile, calibrations, options }));
+    } catch (err) {
+      errors++;
+      process.stderr.write(`anc-batch: ${pair.id}: ${err.message}\n`);
+    }
+  }
+
+  const settings = {
+    ...options,
+    bands,
+    mask: mask ? mask.name : null,
+    floor: floorFile ? floorFile.name : null,
+    mics: { before: calibrations.before?.name ?? null, after: calibrations.after?.name ?? null },
+  };
+  const output = values.json ? toJson(results, settings) : toCsv(toRows(results));
+  if (values.output) writeFileSync(values.output, output);
+  else process.stdout.write(output);
+
+  if (errors > 0) return 1;
+  return results.some(r => r.maskCheck?.pass === false) ? 2 : 0;
+};
+
+process.exitCode = main();
@@ -0,0 +1,178 @@
+/**
+ * Batch scoring of Before / After pairs, used by anc-batch.js.
+ * Pairing, band lists and output formats live here without any file-system
+ * access, so they can be unit tested.
+ */
+
+import { analyzePair, BUILTIN_BAND_PRESETS, groupMeasurements } from '../src/lib/index.js';
+
+// "<pair>_before.txt", "<pair>-after.csv", "<pair>.before.2.wav" (numbered repeats)
+const PAIR_PATTERN = /^(.+?)[-_. ](before|after)(?:[-_. ](\d+))?\.(txt|csv|wav)$/i;
+
+/**
+ * Groups file names into Before / After pairs by their shared prefix.
+ * Several files for one side (numbered repeats) form a group.
+ * @param {string[]} names
+ * @returns {{pairs: Array<{id: string, before: string[], after: string[]}>, incomplete: string[], unmatched: string[]}}
+ *   `incomplete` lists pair ids with only one side, `unmatched` names that fit no pattern
+ */
+export const pairFiles = (names) => {
+  const byId = new Map();
+  const unmatched = [];
+  for (const name of names) {
+    const match = PAIR_PATTERN.exec(name);
+    if (!match) {
+      unmatched.push(name);
+      continue;
+    }
+    const [, id, side] = match;
+    if (!byId.has(id)) byId.set(id, { id, before: [], after: [] });
+    byId.get(id)[side.toLowerCase()].push(name);
+  }
+
+  const all = [...byId.values()]
+    .map(p => ({ ...p, before: p.before.sort(), after: p.after.sort() }))
+    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+  return {
+    pairs: all.filter(p => p.before.length && p.after.length),
+    incomplete: all.filter(p => !p.before.length || !p.after.length).map(p => p.id),
+    unmatched,
+  };
+};
+
+// Helper: Valid [lo, hi] band edges, or an error naming the offending entry
+const checkRange = (range, what) => {
+  if (!Array.isArray(range) || range.length !== 2 || !range.every(f => Number.isFinite(f) && f > 0) || range[0] >= range[1]) {
+    throw new Error(`${what}: expected two positive frequencies, low before high.`);
+  }
+  return [range[0], range[1]];
+};
+
+/**
+ * Reads a band list from the command line: a built-in preset id, or
+ * comma-separated "low-high" / "Name:low-high" entries (Hz).
+ * @param {string} spec - e.g. "200-1000" or "Low:50-200,Mid:200-1000"
+ * @returns {Array<{name: string, range: [number, number]}>}
+ */
+export const parseBandSpec = (spec) => {
+  const preset = BUILTIN_BAND_PRESETS.find(p => p.id === spec || p.id === `builtin-${spec}`);
+  if (preset) return preset.bands.map(b => ({ name: b.name, range: [...b.range] }));
+
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map((entry, i) => {
+    const match = /^(?:(.+):)?\s*([\d.]+)\s*-\s*([\d.]+)$/.exec(entry);
+    if (!match) throw new Error(`Band "${entry}": expected low-high or Name:low-high.`);
+    const name = match[1]?.trim() || `Band ${i + 1}`;
+    return { name, range: checkRange([Number(match[2]), Number(match[3])], `Band "${entry}"`) };
+  });
+};
+
+/**
+ * Reads a band list from JSON: an array of {name, range}, or an object with
+ * a `bands` array (a saved band preset or a session file).
+ * @param {string} text
+ * @returns {Array<{name: string, range: [number, number]}>}
+ */
+export const parseBandJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Band file is not valid JSON.');
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.bands;
+  if (!Array.isArray(list) || list.length === 0) throw new Error('Band file has no bands.');
+  return list.map((b, i) => ({
+    name: String(b?.name ?? `Band ${i + 1}`),
+    range: checkRange(b?.range, `Band ${i + 1}`),
+  }));
+};
+
+/**
+ * Scores one pair.
+ * @param {{id: string, before: Object[], after: Object[]}} pair - Loaded measurements per side
+ * @param {Object} params - See `analyzePair`, plus `calibrations: {before, after}`,
+ *   the mic calibration (from `parseCalibration`) of each side
+ * @returns {{id: string, before: string[], after: string[], bands: Array, maskCheck: Object | null, floorCheck: Object | null}}
+ */
+export const scorePair = (pair, { calibrations = {}, ...params }) => {
+  // Helper: The side's files as one slot, with that side's mic calibration
+  const slot = (files, calibration) => {
+    const measurement = groupMeasurements(files);
+    return calibration ? { ...measurement, calibration } : measurement;
+  };
+  const result = analyzePair(slot(pair.before, calibrations.before), slot(pair.after, calibrations.after), params);
+  return {
+    id: pair.id,
+    before: pair.before.map(f => f.name),
+    after: pair.after.map(f => f.name),
+    bands: result.bands,
+    maskCheck: result.maskCheck,
+    floorCheck: result.floorCheck,
+  };
+};
+
+// Helper: Number rounded for output; null when missing
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * One flat row per pair and band, as written to CSV.
+ * @param {Array<Object>} results - From `scorePair`
+ * @returns {Array<Object>}
+ */
+export const toRows = (results) => results.flatMap(r => r.bands.map(b => ({
+  pair: r.id,
+  band: b.name,
+  band_low_hz: round(b.range[0], 1),
+  band_high_hz: round(b.range[1], 1),
+  before_db: round(b.metrics?.avgBefore),
+  after_db: round(b.metrics?.avgAfter),
+  delta_db: round(b.metrics?.deltaDb),
+  delta_ci95_db: round(b.metrics?.uncertainty?.ciDelta),
+  reduction_pct: round(b.metrics?.reductionPercent, 1),
+  points: b.metrics?.pointCount ?? 0,
+  repeats_before: r.before.length,
+  repeats_after: r.after.length,
+  ...(r.maskCheck ? {
+    mask_pass: r.maskCheck.pass,
+    mask_worst_margin_db: round(r.maskCheck.worstMargin),
+    mask_worst_freq_hz: round(r.maskCheck.worstFreq, 1),
+  } : {}),
+  ...(r.floorCheck ? { floor_limited_points: b.metrics?.floorLimitedCount ?? 0 } : {}),
+})));
+
+// Helper: CSV cell, quoted when needed
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Object>} rows - From `toRows`
+ * @returns {string}
+ */
+export const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows.reduce((widest, row) => (Object.keys(row).length > Object.keys(widest).length ? row : widest)));
+  return [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n') + '\n';
+};
+
+/**
+ * Full results as JSON, including the settings they were computed with.
+ * @param {Array<Object>} results - From `scorePair`
+ * @param {Object} settings
+ * @param {Date} [generatedAt]
+ * @returns {string}
+ */
+export const toJson = (results, settings, generatedAt = new Date()) => JSON.stringify({
+  generatedAt: generatedAt.toISOString(),
+  settings,
+  pairs: results.map(r => ({
+    id: r.id,
+    before: r.before,
+    after: r.after,
+    bands: r.bands.map(b => ({ name: b.name, range: b.range, metrics: b.metrics })),
+    mask: r.maskCheck,
+    floor: r.floorCheck,
+  })),
+}, null, 2) + '\n';
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { pairFiles, parseBandJson, parseBandSpec, toCsv } from './batch.js';
+
+describe('pairFiles', () => {
+  it('pairs Before / After files and groups numbered repeats', () => {
+    const { pairs, incomplete, unmatched } = pairFiles([
+      'fw1.2_before.txt', 'fw1.2_after.txt',
+      'fw1.3-before-1.csv', 'fw1.3-before-2.csv', 'fw1.3-after.csv',
+      'fw1.4_after.wav', 'notes.md',
+    ]);
+    expect(pairs.map(p => p.id)).toEqual(['fw1.2', 'fw1.3']);
+    expect(pairs[1].before).toEqual(['fw1.3-before-1.csv', 'fw1.3-before-2.csv']);
+    expect(incomplete).toEqual(['fw1.4']);
+    expect(unmatched).toEqual(['notes.md']);
+  });
+});
+
+describe('band lists', () => {
+  it('reads named and unnamed ranges', () => {
+    expect(parseBandSpec('Low:50-200, 200-1000')).toEqual([
+      { name: 'Low', range: [50, 200] },
+      { name: 'Band 2', range: [200, 1000] },
+    ]);
+  });
+
+  it('accepts built-in preset ids', () => {
+    expect(parseBandSpec('low-mid-high')).toHaveLength(3);
+  });
+
+  it('rejects reversed ranges', () => {
+    expect(() => parseBandSpec('1000-200')).toThrow(/low before high/);
+  });
+
+  it('reads presets and session files', () => {
+    expect(parseBandJson('{"bands":[{"name":"ANC","range":[200,1000]}]}')).toEqual([{ name: 'ANC', range: [200, 1000] }]);
+    expect(() => parseBandJson('[]')).toThrow(/no bands/);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells that need it and leaves missing values empty', () => {
+    expect(toCsv([{ pair: 'a,b', delta_db: null }])).toBe('pair,delta_db\n"a,b",\n');
+  });
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * live-replay: a local live source for developing the visualizer's live input.
+ * Replays measurement files as spectrum frames (format: src/lib/liveFrames.js)
+ * with a little random jitter, so the trace moves like a real analyzer's.
+ *
+ *   node cli/live-replay.js after.txt [tuning-2.txt ...] [options]
+ *
+ * Serves Server-Sent Events at http://localhost:<port>/events and a WebSocket
+ * at ws://localhost:<port>/. Several files are played in turn, each for
+ * --hold seconds, like a filter being retuned on the bench.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { DEFAULT_WELCH_OPTIONS, parseMeasurement, serializeLiveFrame, wavToSpectrum } from '../src/lib/index.js';
+
+const USAGE = `Usage: live-replay <file> [<file> ...] [options]
+
+Options:
+  --port <n>            Port to listen on (default: 8765)
+  --interval <ms>       Time between frames (default: 250)
+  --jitter <dB>         Random variation added to every point (default: 1)
+  --hold <s>            Seconds per file when several are given (default: 5)
+  -h, --help            Show this help
+`;
+
+// Fixed key suffix from RFC 6455, used to accept the WebSocket handshake
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Helper: Stop with a message and exit code 1
+const fail = (message) => {
+  process.stderr.write(`live-replay: ${message}\n`);
+  process.exit(1);
+};
+
+// Helper: Positive number option
+const positive = (value, fallback, name) => {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!(n > 0)) fail(`--${name} must be a positive number`);
+  return n;
+};
+
+// Helper: Spectrum of one file (text export or WAV recording)
+const loadSpectrum = (path) => {
+  if (/\.wav$/i.test(path)) {
+    const bytes = readFileSync(path);
+    return wavToSpectrum(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), DEFAULT_WELCH_OPTIONS).data;
+  }
+  const result = parseMeasurement(readFileSync(path, 'utf8'));
+  if (result.needsMapping || result.data.length < 2) throw new Error('no frequency / SPL columns found');
+  return result.data;
+};
+
+// Helper: Unfragmented, unmasked WebSocket text frame (server to client)
+const wsTextFrame = (text) => {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+const main = () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        port: { type: 'string' },
+        interval: { type: 'string' },
+        jitter: { type: 'string' },
+        hold: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (positionals.length === 0) fail(`expected at least one file\n\n${USAGE}`);
+
+  const port = positive(values.port, 8765, 'port');
+  const interval = positive(values.interval, 250, 'interval');
+  const jitter = values.jitter === undefined ? 1 : Number(values.jitter);
+  if (!(jitter >= 0)) fail('--jitter must be zero or more');
+  const framesPerFile = Math.max(1, Math.round((positive(values.hold, 5, 'hold') * 1000) / interval));
+
+  const files = positionals.map(path => {
+    try {
+      return { label: basename(path), data: loadSpectrum(path) };
+    } catch (err) {
+      return fail(`${path}: ${err.message}`);
+    }
+  });
+
+  const sseClients = new Set();
+  const wsClients = new Set();
+
+  const server = createServer((req, res) => {
+    if (req.url === '/events') {
+      // Allowed from any origin: the dev server runs on another port
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+      });
+      sseClients.add(res);
+      req.on('close', () => sseClients.delete(res));
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end(`Spectrum frames: http://localhost:${port}/events (SSE) or ws://localhost:${port}/ (WebSocket)\n`);
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+      socket.destroy();
+      return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    wsClients.add(socket);
+    // Client messages are not used; a close frame (opcode 8) ends the connection
+    socket.on('data', (chunk) => {
+      if ((chunk[0] & 0x0f) === 0x8) socket.end();
+    });
+    socket.on('close', () => wsClients.delete(socket));
+    socket.on('error', () => wsClients.delete(socket));
+  });
+
+  let seq = 0;
+  setInterval(() => {
+    if (sseClients.size === 0 && wsClients.size === 0) return;
+    const file = files[Math.floor(seq / framesPerFile) % files.length];
+    const data = file.data.map(d => ({ ...d, spl: Math.round((d.spl + (Math.random() * 2 - 1) * jitter) * 100) / 100 }));
+    const frame = serializeLiveFrame(data, { seq, label: file.label });
+    seq++;
+    sseClients.forEach(res => res.write(`data: ${frame}\n\n`));
+    const wsFrame = wsTextFrame(frame);
+    wsClients.forEach(socket => socket.write(wsFrame));
+  }, interval);
+
+  server.on('error', (err) => fail(err.message));
+  server.listen(port, () => {
+    process.stderr.write(`live-replay: ${files.length} file(s), a frame every ${interval} ms\n`);
+    process.stderr.write(`  SSE:       http://localhost:${port}/events\n`);
+    process.stderr.write(`  WebSocket: ws://localhost:${port}/\n`);
+  });
+};
+
+main();
@@ -1,41 +1,93 @@
 import React, { useState, useMemo, useRef, useEffect } from 'react';
-import { Upload, Activity, ArrowRight, Download, BarChart2, Trash2, Info, ChevronDown, ChevronUp } from 'lucide-react';
+import { Upload, Activity, ArrowRight, Download, BarChart2, Trash2, Info, Eye, EyeOff, ChevronDown, ChevronUp, FileText, Printer, Save, FolderOpen, SlidersHorizontal, AlertTriangle, X, ShieldCheck, Plus, Radio, Mic, ImageDown } from 'lucide-react';
+import { buildReportHtml, downloadFile, printReport, serializeSvg } from './export/report';
+import { findNearestIndex, DEFAULT_POINTS_PER_OCTAVE, POINTS_PER_OCTAVE_OPTIONS } from './lib/alignment';
+import { AVERAGING_MODES, DEFAULT_AVERAGING_MODE, getAveragingMode } from './lib/metrics';
+import { SMOOTHING_OPTIONS, DEFAULT_SMOOTHING, getSmoothingOption } from './lib/smoothing';
+import { BAND_TYPES, computeBandLevels, formatBandLabel } from './lib/octaveBands';
+import { WEIGHTINGS, DEFAULT_WEIGHTING, getWeighting } from './lib/weighting';
+import { analyzeBand, createTraceAnalyzer, metricsFromRaw, processMeasurement } from './lib/analysis';
+import { DEFAULT_WELCH_OPTIONS, FFT_SIZES, OVERLAP_OPTIONS, WINDOWS } from './lib/spectrum';
+import { computeSpectrumInWorker } from './workers/computeSpectrum';
+import { getParsers, parseMeasurement } from './lib/parsers';
+import { buildDiagnostics } from './lib/diagnostics';
+import { createTrace } from './lib/traces';
+import { BUILTIN_BAND_PRESETS, createBand, createBands } from './lib/bands';
+import { parseSession, serializeSession } from './lib/session';
+import { loadLastSession, saveLastSession } from './storage/sessionStore';
+import { loadBandPresets, saveBandPresets } from './storage/presetStore';
+import { DEFAULT_ENVELOPE, DEFAULT_GROUP_AVERAGING, ENVELOPES, GROUP_AVERAGING_MODES, groupMeasurements, repeatsOf } from './lib/repeats';
+import { addMaskPoint, checkMask, maskToCsv, parseMaskCsv, readMask } from './lib/mask';
+import { analyzeEffectiveness, DEFAULT_ATTENUATION_THRESHOLD } from './lib/effectiveness';
+import { checkNoiseFloor, DEFAULT_FLOOR_MARGIN, FLOOR_MARGINS } from './lib/noiseFloor';
+import { parseCalibration } from './lib/calibration';
+import { dataTableToCsv, dataTableToJson } from './lib/dataTable';
+import { computeRatings } from './lib/ratings';
+import { DEFAULT_CHART_HEIGHT, fitDbDomain, fitDiffDomain, formatFreqTick, xToFreq } from './lib/viewport';
+import { extentInView } from './lib/plotPaths';
+import ChartControls from './components/ChartControls';
+import SpectrumChart from './components/SpectrumChart';
+import DifferenceChart from './components/DifferenceChart';
+import PhaseChart from './components/PhaseChart';
+import BandLevelView from './components/BandLevelView';
+import DataTable from './components/DataTable';
+import ChartExportDialog from './components/ChartExportDialog';
+import BandEditor from './components/BandEditor';
+import ColumnMappingDialog from './components/ColumnMappingDialog';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import MaskPanel from './components/MaskPanel';
+import EffectivenessPanel from './components/EffectivenessPanel';
+import RatingsPanel from './components/RatingsPanel';
+import LivePanel from './components/LivePanel';
+import { useLiveSource } from './components/useLiveSource';
 
 /**
  * ANC Band Analysis & Comparison Tool
  * * Features:
- * - Parses text/CSV exports from REW (Room EQ Wizard).
+ * - Parses text/CSV exports from REW, ARTA, Smaart and Audio Precision, with
+ *   format auto-detection and column mapping for generic CSV.
+ * - Computes Welch-averaged spectra from raw WAV recordings (in a Web Worker).
+ * - Per-slot microphone calibration files (.cal / .frd, with sensitivity).
  * - Logarithmic frequency scaling for accurate audio visualization.
- * - Interactive band selection.
- * - Real-time metric calculation (Delta dB, Power Reduction).
+ * - One Before baseline against any number of labelled After configurations,
+ *   with a per-configuration comparison table.
+ * - Before/After alignment on a shared log-spaced frequency grid.
+ * - Phase response view (wrapped / unwrapped) when the files carry phase.
+ * - A / C / ITU-R 468 frequency weighting.
+ * - Fractional-octave smoothing (1/48 to 1/1 octave).
+ * - IEC 61260 octave / 1/3-octave band levels and attenuation.
+ * - Sortable, filterable data table of the aligned points, with CSV / JSON
+ *   export of the table and band metrics.
+ * - Any number of named analysis bands (drag to move / resize), with presets.
+ * - Wheel / box zoom, panning and manual axis limits on the spectrum charts.
+ * - Canvas-drawn, per-pixel min/max decimated curves for very dense exports.
+ * - Spec-limit masks (CSV or drawn) with pass / fail and worst-case margin.
+ * - Effective cancellation bandwidth, peak attenuation and waterbed
+ *   (amplification) regions read automatically off the difference curve.
+ * - Optional noise-floor measurement: flags (and can exclude) reductions that
+ *   are limited by the measurement rather than the ANC.
+ * - Live After trace from a WebSocket / Server-Sent Events source, with
+ *   exponential averaging, freeze and snapshots.
+ * - Groups of repeated measurements per slot: mean, spread envelopes and
+ *   band metrics with 95% confidence intervals.
+ * - ISO NR, NC and overall A-weighted level ratings, Before → After.
+ * - Real-time metric calculation (Delta dB, Power Reduction) with
+ *   arithmetic, power-averaged or band-integrated levels.
+ * - Standalone HTML / printable PDF report export.
+ * - Publication-quality SVG / high-DPI PNG chart images with adjustable size,
+ *   fonts, line widths, title and legend.
+ * - Versioned session files and an auto-saved last session (IndexedDB).
  */
 
 // --- Constants & Utilities ---
 
 const MIN_FREQ_PLOT = 20;
 const MAX_FREQ_PLOT = 20000;
-const DEFAULT_RANGE = [200, 1000]; // Hz
-
-// Helper: Convert frequency to X coordinate (Logarithmic)
-const freqToX = (freq, width) => {
-  const minLog = Math.log10(MIN_FREQ_PLOT);
-  const maxLog = Math.log10(MAX_FREQ_PLOT);
-  const freqLog = Math.log10(Math.max(freq, MIN_FREQ_PLOT));
-  return ((freqLog - minLog) / (maxLog - minLog)) * width;
-};
 
-// Helper: Convert X coordinate to Frequency (Logarithmic)
-const xToFreq = (x, width) => {
-  const minLog = Math.log10(MIN_FREQ_PLOT);
-  const maxLog = Math.log10(MAX_FREQ_PLOT);
-  const freqLog = (x / width) * (maxLog - minLog) + minLog;
-  return Math.pow(10, freqLog);
-};
+// Helper: Timestamp for download file names (2024-05-01-13-45-00)
+const fileStamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
 
-// Helper: Convert dB to Y coordinate
-const dbToY = (db, height, minDb, maxDb) => {
-  return height - ((db - minDb) / (maxDb - minDb)) * height;
-};
+const FULL_FREQ_DOMAIN = [MIN_FREQ_PLOT, MAX_FREQ_PLOT];
 
 // --- Components ---
 
@@ -45,79 +97,346 @@ const Card = ({ children, className = "" }) => (
   </div>
 );
 
-const FileUploader = ({ label, file, onFileLoaded, colorClass, onDelete }) => {
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+// Helper: The live trace showing `file`, keeping the mic calibration loaded onto its slot
+const withLiveFile = (trace, file) => ({ ...trace, file: trace.file.calibration ? { ...file, calibration: trace.file.calibration } : file });
+
+// Helper: Measurement for a live frame from useLiveSource
+const liveFileOf = ({ data, label }) => ({ name: label ? `Live · ${label}` : 'Live', data, format: 'Live stream' });
+
+// Helper: A measurement without its slot's mic calibration
+const withoutCalibration = (measurement) => {
+  const { calibration: _calibration, ...rest } = measurement;
+  return rest;
+};
+
+const FileUploader = ({ label, header, file, onFileLoaded, colorClass = '', color, onDelete, wavOptions }) => {
+  const [progress, setProgress] = useState(null); // 0..1 while a WAV is being analysed
+  const [error, setError] = useState(null);
+  const [formatId, setFormatId] = useState('auto');
+  const [pendingMapping, setPendingMapping] = useState(null); // { text, name, resolve } awaiting column mapping
+  const [rejected, setRejected] = useState(null); // { name, diagnostics } of a file with blocking errors
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [showRepeats, setShowRepeats] = useState(false);
 
+  // Every upload goes through diagnostics; blocking errors keep the file out (null)
+  const acceptParsed = (result, name, extra = {}) => {
+    const diagnostics = buildDiagnostics(result, { plotRange: [MIN_FREQ_PLOT, MAX_FREQ_PLOT] });
+    if (diagnostics.errors.length > 0) {
+      setRejected({ name, diagnostics });
+      return null;
+    }
+    return { data: result.data, name, format: result.formatLabel, diagnostics, ...extra };
+  };
+
+  // Helper: One uploaded file as a measurement, or null if it was rejected
+  const readMeasurement = (file) => new Promise((resolve) => {
     const reader = new FileReader();
+
+    // Raw recordings: spectrum is computed in a worker to keep the UI responsive
+    if (/\.wav$/i.test(file.name)) {
+      reader.onload = (event) => {
+        setProgress(0);
+        computeSpectrumInWorker(event.target.result, wavOptions, setProgress)
+          .then(({ data, info }) => resolve(acceptParsed({ data, formatLabel: 'WAV recording' }, file.name, { info })))
+          .catch(err => {
+            setError(`${file.name}: ${err.message}`);
+            resolve(null);
+          })
+          .finally(() => setProgress(null));
+      };
+      reader.readAsArrayBuffer(file);
+      return;
+    }
+
     reader.onload = (event) => {
       const text = event.target.result;
-      const data = parseREWFile(text);
-      onFileLoaded({ data, name: file.name });
+      const result = parseMeasurement(text, { formatId });
+      if (result.needsMapping) {
+        setPendingMapping({ text, name: file.name, resolve });
+        return;
+      }
+      resolve(acceptParsed(result, file.name));
     };
     reader.readAsText(file);
+  });
+
+  // Several files (or files added to a loaded slot) become a group of repeats.
+  // Files are read one after another so mapping dialogs never overlap.
+  const handleFileChange = (e, base = null) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+    setError(null);
+    setRejected(null);
+
+    files
+      .reduce((chain, file) => chain.then(loaded => readMeasurement(file).then(m => (m ? [...loaded, m] : loaded))), Promise.resolve([]))
+      .then(loaded => {
+        if (loaded.length === 0) return;
+        setShowDiagnostics(false);
+        onFileLoaded(withCalibration(groupMeasurements(base ? [withoutCalibration(base), ...loaded] : loaded)));
+      });
+  };
+
+  // The mic calibration belongs to the slot: it survives adding and removing repeats
+  const withCalibration = (next) => (file?.calibration ? { ...next, calibration: file.calibration } : next);
+
+  const handleCalibrationChange = (e) => {
+    const calFile = e.target.files[0];
+    e.target.value = '';
+    if (!calFile) return;
+    setError(null);
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        onFileLoaded({ ...file, calibration: parseCalibration(event.target.result, calFile.name) });
+      } catch (err) {
+        setError(`${calFile.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(calFile);
+  };
+
+  const handleMappingConfirm = (mapping) => {
+    const { text, name, resolve } = pendingMapping;
+    setPendingMapping(null);
+    resolve(acceptParsed(parseMeasurement(text, { formatId: 'generic', mapping }), name));
   };
 
+  const handleMappingCancel = () => {
+    pendingMapping.resolve(null);
+    setPendingMapping(null);
+  };
+
+  const repeats = file?.repeats || [];
+  const removeRepeat = (index) => onFileLoaded(withCalibration(groupMeasurements(repeats.filter((_, i) => i !== index))));
+  const calibration = file?.calibration;
+
   return (
     <div className="flex flex-col gap-2">
-      <label className="text-xs font-semibold uppercase tracking-wider text-slate-500">{label}</label>
-      {!file ? (
+      <div className="flex items-center justify-between gap-2">
+        {header || <label className="text-xs font-semibold uppercase tracking-wider text-slate-500">{label}</label>}
+        {!file && (
+          <select 
+            value={formatId} 
+            onChange={(e) => setFormatId(e.target.value)}
+            title="File format"
+            className="text-xs text-slate-500 bg-transparent border-0 outline-none cursor-pointer hover:text-slate-700 max-w-[55%]"
+          >
+            <option value="auto">Auto-detect</option>
+            {getParsers().map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </select>
+        )}
+      </div>
+      {progress !== null ? (
+        <div className="p-4 rounded-lg border border-slate-200 bg-slate-50">
+          <p className="text-sm font-medium text-slate-700">Computing spectrum…</p>
+          <div className="mt-2 h-1.5 bg-slate-200 rounded-full overflow-hidden">
+            <div className="h-full bg-blue-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }}></div>
+          </div>
+        </div>
+      ) : !file ? (
         <label className={`flex items-center gap-3 p-4 rounded-lg border-2 border-dashed border-slate-300 hover:border-blue-500 hover:bg-slate-50 cursor-pointer transition-all group`}>
           <div className={`p-2 rounded-full ${colorClass} bg-opacity-10 text-slate-600 group-hover:scale-110 transition-transform`}>
             <Upload size={20} />
           </div>
           <div className="flex-1">
             <p className="text-sm font-medium text-slate-700">Click to upload</p>
-            <p className="text-xs text-slate-400">.txt or .csv (REW export)</p>
+            <p className="text-xs text-slate-400">.txt / .csv export or .wav · several files for repeats</p>
           </div>
-          <input type="file" accept=".txt,.csv" className="hidden" onChange={handleFileChange} />
+          <input type="file" accept=".txt,.csv,.wav" multiple className="hidden" onChange={(e) => handleFileChange(e)} />
         </label>
       ) : (
         <div className="flex items-center gap-3 p-3 rounded-lg border border-slate-200 bg-slate-50">
-          <div className={`w-3 h-3 rounded-full ${colorClass.replace('bg-', 'bg-')}`}></div>
+          <div className={`w-3 h-3 shrink-0 rounded-full ${colorClass}`} style={color ? { backgroundColor: color } : undefined}></div>
           <div className="flex-1 min-w-0">
             <p className="text-sm font-medium text-slate-700 truncate">{file.name}</p>
-            <p className="text-xs text-slate-500">{file.data.length} data points</p>
+            <div className="flex items-center gap-2">
+              {repeats.length > 0 ? (
+                <button 
+                  onClick={() => setShowRepeats(!showRepeats)}
+                  title="Show the individual repeats"
+                  className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-700 truncate"
+                >
+                  {repeats.length} repeats{file.format ? ` · ${file.format}` : ''}
+                  {showRepeats ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+                </button>
+              ) : (
+                <p className="text-xs text-slate-500 truncate">{file.data.length} data points{file.format ? ` · ${file.format}` : ''}</p>
+              )}
+              {file.diagnostics && (
+                <button 
+                  onClick={() => setShowDiagnostics(!showDiagnostics)}
+                  title="Show file diagnostics"
+                  className={`shrink-0 flex items-center gap-1 text-[10px] font-bold px-1.5 py-0.5 rounded-full transition-colors ${file.diagnostics.warnings.length ? 'bg-amber-100 text-amber-700 hover:bg-amber-200' : 'bg-slate-200 text-slate-500 hover:bg-slate-300'}`}
+                >
+                  {file.diagnostics.warnings.length ? <><AlertTriangle size={10} /> {file.diagnostics.warnings.length}</> : <Info size={10} />}
+                </button>
+              )}
+            </div>
+            {file.info?.source === 'wav' && (
+              <p className="text-xs text-slate-400 truncate">
+                WAV · {file.info.sampleRate / 1000} kHz · ch {file.info.channel + 1}/{file.info.channelCount} · {file.info.fftSize} pt · {file.info.segments} avg
+              </p>
+            )}
           </div>
+          <label title="Add repeated measurements" className="p-2 hover:bg-blue-50 text-slate-400 hover:text-blue-600 rounded-full transition-colors cursor-pointer">
+            <Plus size={16} />
+            <input type="file" accept=".txt,.csv,.wav" multiple className="hidden" onChange={(e) => handleFileChange(e, file)} />
+          </label>
           <button onClick={onDelete} className="p-2 hover:bg-red-50 text-slate-400 hover:text-red-500 rounded-full transition-colors">
             <Trash2 size={16} />
           </button>
         </div>
       )}
+      {file && progress === null && (
+        <div className="flex items-center gap-2 pl-1 text-xs text-slate-500">
+          <Mic size={12} className="shrink-0 text-slate-400" />
+          {calibration ? (
+            <>
+              <span
+                className="flex-1 truncate"
+                title={`Mic calibration: ${calibration.points.length} points, ${Math.round(calibration.points[0].freq)}–${Math.round(calibration.points[calibration.points.length - 1].freq)} Hz`}
+              >
+                {calibration.name}{calibration.sensitivity !== null ? ` · Sens ${calibration.sensitivity} dB` : ''}
+              </span>
+              <button onClick={() => onFileLoaded(withoutCalibration(file))} title="Remove the mic calibration" className="p-0.5 hover:text-red-500 rounded">
+                <X size={12} />
+              </button>
+            </>
+          ) : (
+            <label title="Correct this slot for its microphone's response" className="flex-1 cursor-pointer hover:text-blue-600">
+              Load mic calibration (.cal / .frd)
+              <input type="file" accept=".cal,.frd,.txt,.csv" className="hidden" onChange={handleCalibrationChange} />
+            </label>
+          )}
+        </div>
+      )}
+      {repeats.length > 0 && showRepeats && (
+        <ul className="space-y-1 pl-2">
+          {repeats.map((r, i) => (
+            <li key={i} className="flex items-center gap-2 text-xs text-slate-500">
+              <span className="flex-1 truncate">{r.name}</span>
+              <span className="shrink-0 text-slate-400">{r.data.length} pts</span>
+              <button onClick={() => removeRepeat(i)} title="Remove this repeat" className="p-0.5 hover:text-red-500 rounded">
+                <X size={12} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {file?.diagnostics && showDiagnostics && <DiagnosticsPanel diagnostics={file.diagnostics} />}
+      {rejected && (
+        <div className="space-y-1">
+          <div className="flex items-center justify-between text-xs font-semibold text-red-600">
+            <span className="truncate">{rejected.name} was not loaded</span>
+            <button onClick={() => setRejected(null)} className="p-1 hover:bg-red-50 rounded-full"><X size={12} /></button>
+          </div>
+          <DiagnosticsPanel diagnostics={rejected.diagnostics} />
+        </div>
+      )}
+      {error && <p className="text-xs text-red-500">{error}</p>}
+      {pendingMapping && (
+        <ColumnMappingDialog 
+          text={pendingMapping.text} 
+          fileName={pendingMapping.name} 
+          onConfirm={handleMappingConfirm} 
+          onCancel={handleMappingCancel} 
+        />
+      )}
     </div>
   );
 };
 
-// --- Parsing Logic ---
+// Label, colour and visibility controls shown above each After trace
+const TraceHeader = ({ trace, onChange }) => (
+  <div className="flex items-center gap-2 flex-1 min-w-0">
+    <input 
+      type="color" 
+      value={trace.color} 
+      onChange={(e) => onChange({ color: e.target.value })}
+      title="Trace colour"
+      className="w-5 h-5 shrink-0 p-0 border-0 bg-transparent rounded cursor-pointer"
+    />
+    <input 
+      type="text" 
+      value={trace.label} 
+      onChange={(e) => onChange({ label: e.target.value })}
+      title="Trace label"
+      className="flex-1 min-w-0 text-xs font-semibold text-slate-700 bg-transparent border-b border-transparent hover:border-slate-300 focus:border-blue-500 outline-none"
+    />
+    <button 
+      onClick={() => onChange({ visible: !trace.visible })}
+      title={trace.visible ? 'Hide trace' : 'Show trace'}
+      className="p-1 text-slate-400 hover:text-slate-700 rounded transition-colors"
+    >
+      {trace.visible ? <Eye size={14} /> : <EyeOff size={14} />}
+    </button>
+  </div>
+);
 
-const parseREWFile = (text) => {
-  const lines = text.split('\n');
-  const data = [];
-  
-  for (let line of lines) {
-    line = line.trim();
-    // Skip comments and empty lines
-    if (!line || line.startsWith('*') || line.startsWith('#') || isNaN(line[0])) continue;
-    
-    // REW exports are typically: Freq(Hz) SPL(dB) Phase(deg)
-    // Sometimes comma separated, sometimes space separated
-    const parts = line.split(/[,\s]+/).filter(p => p !== "");
-    
-    if (parts.length >= 2) {
-      const freq = parseFloat(parts[0]);
-      const spl = parseFloat(parts[1]);
-      if (!isNaN(freq) && !isNaN(spl) && freq > 0) {
-        data.push({ freq, spl });
-      }
-    }
-  }
-  return data.sort((a, b) => a.freq - b.freq);
+const WavSettings = ({ options, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const set = (key, value) => onChange({ ...options, [key]: value });
+  const fieldClass = "w-full mt-1 p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+
+  return (
+    <div className="border-t border-slate-100 pt-3">
+      <button onClick={() => setOpen(!open)} className="w-full flex items-center justify-between text-xs font-semibold text-slate-500 hover:text-slate-700">
+        WAV analysis settings
+        {open ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+      </button>
+      {open && (
+        <div className="grid grid-cols-2 gap-2 mt-3">
+          <div>
+            <label className="text-xs text-slate-500">FFT size</label>
+            <select value={options.fftSize} onChange={(e) => set('fftSize', Number(e.target.value))} className={fieldClass}>
+              {FFT_SIZES.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-slate-500">Window</label>
+            <select value={options.window} onChange={(e) => set('window', e.target.value)} className={fieldClass}>
+              {WINDOWS.map(w => <option key={w.id} value={w.id}>{w.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-slate-500">Overlap</label>
+            <select value={options.overlap} onChange={(e) => set('overlap', Number(e.target.value))} className={fieldClass}>
+              {OVERLAP_OPTIONS.map(o => <option key={o} value={o}>{o * 100}%</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-slate-500">Channel</label>
+            <input 
+              type="number" 
+              min={1} 
+              value={options.channel + 1} 
+              onChange={(e) => set('channel', Math.max(0, Number(e.target.value) - 1))} 
+              className={fieldClass} 
+            />
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-slate-500">Calibration offset (dBFS → dB SPL)</label>
+            <input 
+              type="number" 
+              step={0.1} 
+              value={options.calibrationDb} 
+              onChange={(e) => set('calibrationDb', Number(e.target.value))} 
+              className={fieldClass} 
+            />
+          </div>
+          <p className="col-span-2 text-xs text-slate-400">Applies to recordings loaded after the change. Mono files always use channel 1.</p>
+        </div>
+      )}
+    </div>
+  );
 };
 
 const generateDemoData = () => {
   const dataBefore = [];
   const dataAfter = [];
+  const dataAfterNarrow = [];
   
   for (let f = 20; f <= 20000; f *= 1.05) {
     // Simulate a noise floor with a peak around 150-600Hz
@@ -134,372 +453,507 @@ const generateDemoData = () => {
     }
     const valAfter = valBefore - Math.max(0, reduction);
 
+    // Second tuning: deeper but narrower, with some boost just above the band
+    const narrow = 22 * Math.exp(-Math.pow((Math.log10(f) - Math.log10(350)), 2) / 0.04)
+      - 3 * Math.exp(-Math.pow((Math.log10(f) - Math.log10(1500)), 2) / 0.02);
+
     dataBefore.push({ freq: f, spl: valBefore });
     dataAfter.push({ freq: f, spl: valAfter });
+    dataAfterNarrow.push({ freq: f, spl: valBefore - narrow });
   }
-  return { before: dataBefore, after: dataAfter };
+  return {
+    before: dataBefore,
+    afters: [
+      { name: 'Demo_Tuning_Wideband.txt', data: dataAfter },
+      { name: 'Demo_Tuning_Narrow.txt', data: dataAfterNarrow },
+    ],
+  };
 };
 
 // --- Main Application ---
 
 export default function App() {
   const [fileBefore, setFileBefore] = useState(null);
-  const [fileAfter, setFileAfter] = useState(null);
-  const [range, setRange] = useState(DEFAULT_RANGE); // [minHz, maxHz]
+  const [storedTraces, setTraces] = useState([]); // After traces, see lib/traces; the live one with its last saved frame
+  const [liveFile, setLiveFile] = useState(null); // Latest live frame, kept apart so streaming does not touch the session
+  const [fileFloor, setFileFloor] = useState(null); // Optional background / system noise floor
+  const [floorMargin, setFloorMargin] = useState(DEFAULT_FLOOR_MARGIN); // dB the After level must stay above the floor
+  const [excludeFloorLimited, setExcludeFloorLimited] = useState(false); // Leave floor-limited points out of the band metrics
+  const [focusTraceId, setFocusTraceId] = useState(null); // Trace shown in band / phase views
+  const [bands, setBands] = useState(() => createBands(BUILTIN_BAND_PRESETS[0].bands)); // see lib/bands
+  const [activeBandId, setActiveBandId] = useState(null); // Band with handles; first band when unset
+  const [bandPresets, setBandPresets] = useState(loadBandPresets); // User presets (built-ins are not stored)
+  const [freqDomain, setFreqDomain] = useState(FULL_FREQ_DOMAIN); // Visible frequency span, shared by all charts
+  const [dbDomain, setDbDomain] = useState(null); // Main chart dB span; null = fit to the data
+  const [diffDomain, setDiffDomain] = useState(null); // Difference chart dB span; null = fit to the data
+  const [chartHeight, setChartHeight] = useState(DEFAULT_CHART_HEIGHT);
+  const [chartTool, setChartTool] = useState('bands'); // What dragging on the chart does: 'bands', 'zoom' or 'pan'
+  const [mask, setMask] = useState(null); // Spec mask { name, points }, see lib/mask
+  const [maskDrawing, setMaskDrawing] = useState(false); // Clicks on the difference chart add mask points
   const [hoverData, setHoverData] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showChartExport, setShowChartExport] = useState(false);
+  const [pointsPerOctave, setPointsPerOctave] = useState(DEFAULT_POINTS_PER_OCTAVE);
+  const [averagingMode, setAveragingMode] = useState(DEFAULT_AVERAGING_MODE);
+  const [weighting, setWeighting] = useState(DEFAULT_WEIGHTING);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [metricsUseSmoothed, setMetricsUseSmoothed] = useState(true);
+  const [groupAveraging, setGroupAveraging] = useState(DEFAULT_GROUP_AVERAGING); // How repeats are averaged: 'db' or 'power'
+  const [envelope, setEnvelope] = useState(DEFAULT_ENVELOPE); // Spread drawn around grouped curves: 'ci', 'std' or 'none'
+  const [attenuationThreshold, setAttenuationThreshold] = useState(DEFAULT_ATTENUATION_THRESHOLD); // dB the effective bandwidth must exceed
+  const [chartView, setChartView] = useState('spectrum'); // 'spectrum', 'bands' or 'table'
+  const [bandType, setBandType] = useState('third');
+  const [wavOptions, setWavOptions] = useState(DEFAULT_WELCH_OPTIONS);
+  const [phaseMode, setPhaseMode] = useState('wrapped'); // 'wrapped' or 'unwrapped'
+  const [sessionRestored, setSessionRestored] = useState(false); // auto-saved session loaded (or none found)
+  const chartsRef = useRef(null);
 
-  // Parse check
-  const hasData = fileBefore && fileAfter;
+  // Traces as shown: the live trace follows the latest frame
+  const traces = useMemo(() => (liveFile ? storedTraces.map(t => (t.live ? withLiveFile(t, liveFile) : t)) : storedTraces), [storedTraces, liveFile]);
+  const hasData = fileBefore && traces.length > 0;
 
   const handleDemoLoad = () => {
-    const { before, after } = generateDemoData();
+    const { before, afters } = generateDemoData();
     setFileBefore({ name: "Demo_Measurement_Before.txt", data: before });
-    setFileAfter({ name: "Demo_Measurement_After.txt", data: after });
+    const demoTraces = afters.reduce((list, file) => [...list, createTrace(file, list)], []);
+    setTraces(demoTraces);
+    setFocusTraceId(demoTraces[0].id);
   };
 
-  // --- Analysis Calculations ---
-  
-  const analysis = useMemo(() => {
-    if (!hasData) return null;
+  // Edits go to the stored traces, so they never save the live trace's current frame
+  const addTrace = (file) => {
+    const trace = createTrace(file, storedTraces);
+    setTraces(list => [...list, trace]);
+    if (!focusTraceId) setFocusTraceId(trace.id);
+  };
+  const updateTrace = (id, changes) => setTraces(list => list.map(t => (t.id === id ? { ...t, ...changes } : t)));
+  const removeTrace = (id) => {
+    if (storedTraces.find(t => t.id === id)?.live) {
+      live.disconnect();
+      setLiveFile(null);
+    }
+    setTraces(list => list.filter(t => t.id !== id));
+  };
 
-    // Filter data to selected range
-    const inRangeBefore = fileBefore.data.filter(d => d.freq >= range[0] && d.freq <= range[1]);
-    const inRangeAfter = fileAfter.data.filter(d => d.freq >= range[0] && d.freq <= range[1]);
+  // --- Live Input ---
 
-    if (inRangeBefore.length === 0 || inRangeAfter.length === 0) return null;
+  // Frames go to `liveFile`; the first one also creates the trace flagged `live`.
+  // Stored traces (and with them the auto-saved session) only take the live
+  // curve over on a snapshot, a disconnect or when the source stops by itself,
+  // so a running stream neither re-serializes the session every frame nor keeps
+  // pushing back its auto-save.
+  // Frames arrive outside React events, so the updates must not rely on `traces` here.
+  const handleLiveFrame = (frame) => {
+    const file = liveFileOf(frame);
+    setLiveFile(file);
+    setTraces(list => (list.some(t => t.live) ? list : [...list, { ...createTrace(file, list, { label: 'Live' }), live: true }]));
+  };
+  const commitLive = (file) => {
+    setTraces(list => list.map(t => (t.live ? withLiveFile(t, file) : t)));
+    setLiveFile(null);
+  };
+  // A frame still waiting for the screen when the source stops is newer than `liveFile`
+  const handleLiveStop = (frame) => {
+    const file = frame ? liveFileOf(frame) : liveFile;
+    if (file) commitLive(file);
+  };
+  const live = useLiveSource(handleLiveFrame, handleLiveStop);
+  const liveTrace = traces.find(t => t.live) || null;
 
-    // Compute Averages (Arithmetic Mean of dB)
-    // Note: For "Average SPL", arithmetic mean of dB is standard for visual level.
-    // For pure energy total, we would sum powers, but that's "Total SPL".
-    const avgBefore = inRangeBefore.reduce((sum, d) => sum + d.spl, 0) / inRangeBefore.length;
-    const avgAfter = inRangeAfter.reduce((sum, d) => sum + d.spl, 0) / inRangeAfter.length;
-    
-    const deltaDb = avgAfter - avgBefore;
+  // A snapshot keeps the current live curve as an ordinary After configuration
+  // (and saves it as the live trace's last frame)
+  const snapshotLive = () => {
+    const time = new Date().toLocaleTimeString();
+    const trace = createTrace({ ...liveTrace.file, name: `Snapshot ${time}` }, traces, { label: `${liveTrace.label} @ ${time}` });
+    setTraces([...traces, trace]);
+  };
+  const disconnectLive = () => {
+    live.disconnect();
+    if (liveFile) commitLive(liveFile);
+  };
 
-    // Power Calculation
-    // Ratio = 10^(delta / 10)
-    const powerRatio = Math.pow(10, deltaDb / 10);
-    const reductionPercent = (1 - powerRatio) * 100;
+  // --- Analysis Bands ---
 
-    return {
-      avgBefore,
-      avgAfter,
-      deltaDb,
-      reductionPercent
+  // The active band is the one with drag handles; `range` always follows it
+  const activeBand = bands.find(b => b.id === activeBandId) || bands[0];
+  const range = activeBand.range;
+
+  const updateBand = (id, changes) => setBands(bands.map(b => (b.id === id ? { ...b, ...changes } : b)));
+  const removeBand = (id) => setBands(bands.filter(b => b.id !== id));
+  const addBand = () => {
+    // Two octaves above the last band, or the default band when that runs off the plot
+    const last = bands[bands.length - 1];
+    const lo = last ? last.range[1] : 200;
+    const band = createBand({ range: lo * 4 <= MAX_FREQ_PLOT ? [lo, lo * 4] : [200, 1000] }, bands);
+    setBands([...bands, band]);
+    setActiveBandId(band.id);
+  };
+
+  const loadPreset = (presetId) => {
+    const preset = [...BUILTIN_BAND_PRESETS, ...bandPresets].find(p => p.id === presetId);
+    // An empty preset would leave no active band
+    if (!preset || preset.bands.length === 0) return;
+    setBands(createBands(preset.bands));
+    setActiveBandId(null);
+  };
+  const savePreset = () => {
+    const name = prompt('Preset name', '');
+    if (!name || !name.trim()) return;
+    const preset = {
+      id: `user-${Date.now()}`,
+      name: name.trim(),
+      bands: bands.map(({ name: bandName, range: bandRange, color }) => ({ name: bandName, range: bandRange, color })),
     };
-  }, [fileBefore, fileAfter, range, hasData]);
+    // Saving under an existing name replaces that preset
+    const next = [...bandPresets.filter(p => p.name !== preset.name), preset];
+    setBandPresets(next);
+    saveBandPresets(next);
+  };
+  const deletePreset = (presetId) => {
+    const next = bandPresets.filter(p => p.id !== presetId);
+    setBandPresets(next);
+    saveBandPresets(next);
+  };
 
+  // --- Spec Mask ---
 
-  // --- Chart Rendering Logic ---
+  // Mask as checked: sorted, and only once it has at least two valid points
+  const specMask = useMemo(() => readMask(mask), [mask]);
 
-  const Chart = () => {
-    const containerRef = useRef(null);
-    const [dims, setDims] = useState({ width: 0, height: 350 });
-    const [isDragging, setIsDragging] = useState(null); // 'start', 'end', or 'range'
-
-    useEffect(() => {
-      const handleResize = () => {
-        if (containerRef.current) {
-          setDims({
-            width: containerRef.current.clientWidth,
-            height: 350
-          });
-        }
-      };
-      window.addEventListener('resize', handleResize);
-      handleResize();
-      return () => window.removeEventListener('resize', handleResize);
-    }, []);
-
-    if (!hasData) return <div className="h-[350px] flex items-center justify-center text-slate-400 bg-slate-50 rounded-lg border border-slate-100">Upload data to view chart</div>;
-
-    // Determine Y Axis bounds
-    const allSpls = [...fileBefore.data, ...fileAfter.data].map(d => d.spl);
-    const minDbRaw = Math.min(...allSpls);
-    const maxDbRaw = Math.max(...allSpls);
-    const minDb = Math.floor(minDbRaw / 10) * 10 - 5;
-    const maxDb = Math.ceil(maxDbRaw / 10) * 10 + 5;
-
-    // Generate Path Data
-    const generatePath = (data) => {
-      return data.map((d, i) => {
-        const x = freqToX(d.freq, dims.width);
-        const y = dbToY(d.spl, dims.height, minDb, maxDb);
-        return `${i === 0 ? 'M' : 'L'} ${x},${y}`;
-      }).join(' ');
+  const loadMaskFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        setMask(parseMaskCsv(event.target.result, file.name.replace(/\.[^.]+$/, '')));
+        setMaskDrawing(false);
+      } catch (err) {
+        alert(`${file.name} could not be read as a mask: ${err.message}`);
+      }
     };
+    reader.readAsText(file);
+  };
 
-    const pathBefore = generatePath(fileBefore.data);
-    const pathAfter = generatePath(fileAfter.data);
-
-    // Generate Difference Path (only where freqs match closely)
-    // We'll resample 'After' to 'Before' frequencies for simplicity or just plot matching points
-    const diffPoints = [];
-    let j = 0;
-    for (let i = 0; i < fileBefore.data.length; i++) {
-        // Simple nearest neighbor matching for demo (assuming same sample rate usually)
-        // A robust app would interpolate.
-        const d1 = fileBefore.data[i];
-        // Find closest freq in d2
-        while(j < fileAfter.data.length - 1 && Math.abs(fileAfter.data[j+1].freq - d1.freq) < Math.abs(fileAfter.data[j].freq - d1.freq)) {
-            j++;
-        }
-        const d2 = fileAfter.data[j];
-        
-        if (d2 && Math.abs(d2.freq - d1.freq) < (d1.freq * 0.05)) { // within 5% freq
-             const x = freqToX(d1.freq, dims.width);
-             // Plot diff relative to a center line (e.g., bottom 20% of chart)? 
-             // Or just plot on same scale? Let's plot on same scale but offset if needed.
-             // Requirement says: "Plot difference curve". 
-             // Usually difference is small (0 to -20dB). If plotted on absolute scale (e.g. 60dB), it's way at the bottom.
-             // Let's plot it on the same graph.
-             const diff = d2.spl - d1.spl; 
-             // To make it visible, let's map 0dB diff to a specific line or just plot raw values.
-             // Raw values might be -15dB, which is off chart if chart is 30-100dB.
-             // Let's create a secondary axis or just clamp it. 
-             // For simplicity in this single chart, let's just plot the line. If it's off screen, user won't see it well.
-             // BETTER APPROACH: Add a fixed offset for the diff line (e.g. + 50dB) or just show it in a separate chart?
-             // Prompt says: "Plot a third curve showing the difference". 
-             // I will plot it on the main graph but purely as (Diff + Offset) for visualization, or raw.
-             // Actually, usually ANC diff is negative. If chart is 40dB-100dB, and diff is -10dB, it's invisible.
-             // Let's put the diff on a secondary smaller chart below, or just overlay it.
-             // I'll calculate it for the "Difference" logic but maybe not draw it on the MAIN dB scale to avoid confusion, 
-             // unless I add a right-axis.
-             // Let's stick to the prompt: "Plot both spectra... Plot a third curve".
-             // I'll plot the third curve on a secondary chart below to make it clear.
-             diffPoints.push({ x, y: dbToY(diff, dims.height, -40, 20), val: diff }); // Scale -40dB to +20dB for diff
-        }
-    }
-    
-    // Grid Lines (Log X)
-    const xGridLines = [];
-    const xLabels = [];
-    [20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000].forEach(f => {
-      const x = freqToX(f, dims.width);
-      xGridLines.push(<line key={f} x1={x} y1={0} x2={x} y2={dims.height} stroke="#e2e8f0" strokeDasharray="4 4" />);
-      xLabels.push(<text key={f} x={x} y={dims.height + 15} textAnchor="middle" fontSize="10" fill="#64748b">{f >= 1000 ? (f/1000)+'k' : f}</text>);
+  const toggleMaskDrawing = () => {
+    if (!maskDrawing && !mask) setMask({ name: 'Drawn mask', points: [] });
+    setMaskDrawing(!maskDrawing);
+  };
+
+  // Drawn points are rounded to what a spec sheet would state
+  const addDrawnMaskPoint = (freq, db) => {
+    setMask(addMaskPoint(mask, { freq: +freq.toPrecision(3), db: Math.round(db * 2) / 2 }));
+  };
+
+  const removeMaskPoint = (index) => setMask({ ...mask, points: mask.points.filter((_, i) => i !== index) });
+
+  const saveMask = () => downloadFile(maskToCsv(specMask), `${specMask.name || 'mask'}.csv`, 'text/csv');
+
+  const clearMask = () => {
+    setMask(null);
+    setMaskDrawing(false);
+  };
+
+  // --- Weighting & Smoothing ---
+
+  // The pipeline itself lives in lib/analysis (shared with the batch CLI)
+  const processedBefore = useMemo(() => processMeasurement(fileBefore, { weighting, smoothing, groupAveraging }), [fileBefore, weighting, smoothing, groupAveraging]);
+  const unit = getWeighting(weighting).unit;
+
+  // Curves as plotted; identical to the weighted data when smoothing is off
+  const plotBefore = processedBefore.plot;
+
+  // The noise floor goes through the same weighting and smoothing as the measurements
+  const processedFloor = useMemo(() => (
+    fileFloor ? processMeasurement(fileFloor, { weighting, smoothing, groupAveraging }) : null
+  ), [fileFloor, weighting, smoothing, groupAveraging]);
+  const plotFloor = processedFloor ? processedFloor.plot : null;
+
+  // --- Frequency Alignment & Analysis ---
+
+  // Metrics may deliberately ignore the display smoothing
+  const metricsFromRawData = metricsFromRaw({ smoothing, metricsUseSmoothed });
+
+  // Every trace is resampled with the baseline onto one log grid; the plotted
+  // curves, difference plot, tooltip and metrics all read from these results.
+  // Results are cached per file, so renaming or hiding a trace is free.
+  const processTrace = useMemo(() => (
+    createTraceAnalyzer(fileBefore ? processedBefore : null, { weighting, smoothing, groupAveraging, metricsUseSmoothed, pointsPerOctave })
+  ), [fileBefore, processedBefore, weighting, smoothing, groupAveraging, metricsUseSmoothed, pointsPerOctave]);
+
+  // The mask, effectiveness and noise-floor checks use the difference curve as plotted
+  const traceResults = useMemo(() => traces.map(trace => {
+    const result = processTrace(trace.file);
+    const bandOptions = { averagingMode, floor: processedFloor, floorMargin, excludeFloorLimited };
+    return {
+      ...trace,
+      ...result,
+      bandMetrics: bands.map(b => analyzeBand(result.comparison, processedBefore, result.processed, b.range, bandOptions)),
+      maskCheck: specMask ? checkMask(result.aligned, specMask) : null,
+      effectiveness: analyzeEffectiveness(result.aligned, { threshold: attenuationThreshold }),
+      floorCheck: processedFloor ? checkNoiseFloor(result.aligned, processedFloor.plot, floorMargin) : null,
+    };
+  }), [traces, processTrace, processedBefore, processedFloor, bands, averagingMode, floorMargin, excludeFloorLimited, specMask, attenuationThreshold]);
+
+  // NR / NC are defined on unweighted octave-band levels, so the ratings get
+  // their own pass without the display weighting and smoothing
+  const rateTrace = useMemo(() => {
+    if (!fileBefore) return null;
+    const options = { weighting: 'Z', smoothing: 'none', groupAveraging, pointsPerOctave };
+    return createTraceAnalyzer(processMeasurement(fileBefore, options), options);
+  }, [fileBefore, groupAveraging, pointsPerOctave]);
+  const traceRatings = useMemo(() => (
+    rateTrace ? Object.fromEntries(traces.map(t => [t.id, computeRatings(rateTrace(t.file).aligned)])) : {}
+  ), [traces, rateTrace]);
+
+  const visibleTraces = traceResults.filter(t => t.visible);
+  // Band and phase views show one trace: the focused one, if it is visible
+  const focusTrace = visibleTraces.find(t => t.id === focusTraceId) || visibleTraces[0] || null;
+  const aligned = focusTrace ? focusTrace.aligned : [];
+  const alignedHasPhase = aligned.length > 0 && aligned[0].phaseDiff !== undefined;
+
+  // Per band: the configuration with the largest reduction
+  const bestTraceIds = bands.map((_, bi) => traceResults.reduce((best, t) => (
+    t.bandMetrics[bi] && (!best || t.bandMetrics[bi].deltaDb < best.bandMetrics[bi].deltaDb) ? t : best
+  ), null)?.id);
+
+  const modeInfo = getAveragingMode(averagingMode);
+
+  const hasRepeats = repeatsOf(fileBefore).length > 1 || traces.some(t => repeatsOf(t.file).length > 1);
+  const anyFloorLimited = traceResults.some(t => t.bandMetrics.some(a => a?.floorLimitedCount > 0));
+  // Helper: "± 1.1" after a metric, when it has an uncertainty
+  const ciSuffix = (ci) => (Number.isFinite(ci) && ci > 0 ? <span className="font-normal text-slate-400"> ± {ci.toFixed(1)}</span> : null);
+
+  // Octave / 1/3-octave levels follow the same data choice as the metrics
+  // (keyed on the data, which stays the same while bands are dragged)
+  const focusMetricsData = focusTrace ? focusTrace.alignedForMetrics : null;
+  const bandLevels = useMemo(() => (
+    focusMetricsData ? computeBandLevels(focusMetricsData, bandType) : []
+  ), [focusMetricsData, bandType]);
+
+  // --- Report Export ---
+
+  const buildReport = () => {
+    const svgs = chartsRef.current ? chartsRef.current.querySelectorAll('svg[data-export]') : [];
+    const findSvg = (name) => Array.from(svgs).find(svg => svg.dataset.export === name);
+    return buildReportHtml({
+      fileBefore,
+      traces: visibleTraces.map(t => ({ label: t.label, color: t.color, file: t.file, bandMetrics: t.bandMetrics, maskCheck: t.maskCheck, ratings: traceRatings[t.id] })),
+      bands: bands.map(({ name, color, range: bandRange }) => ({ name, color, range: bandRange })),
+      mask: specMask,
+      modeInfo,
+      unit,
+      settings: [
+        { label: 'Weighting', value: getWeighting(weighting).label },
+        { label: 'Smoothing', value: smoothing === 'none' ? 'None' : `${getSmoothingOption(smoothing).label} (metrics from ${metricsFromRawData ? 'raw' : 'smoothed'} data)` },
+        { label: 'Alignment Grid', value: `${pointsPerOctave} points / octave` },
+        ...(fileFloor ? [{
+          label: 'Noise Floor',
+          value: `${fileFloor.name} (${floorMargin} dB margin, floor-limited points ${excludeFloorLimited ? 'excluded from' : 'included in'} metrics)`,
+        }] : []),
+      ],
+      bandLevels: {
+        typeLabel: BAND_TYPES.find(t => t.id === bandType).label,
+        traceLabel: focusTrace?.label,
+        bands: bandLevels.map(b => ({ ...b, label: formatBandLabel(b.nominal) })),
+      },
+      chartSvg: serializeSvg(findSvg('chart')),
+      diffSvg: serializeSvg(findSvg('difference')),
+      phaseSvg: serializeSvg(findSvg('phase')),
     });
+  };
 
-    // Grid Lines (Linear Y)
-    const yGridLines = [];
-    for (let db = minDb; db <= maxDb; db += 10) {
-      const y = dbToY(db, dims.height, minDb, maxDb);
-      yGridLines.push(<line key={db} x1={0} y1={y} x2={dims.width} y2={y} stroke="#e2e8f0" />);
-      yGridLines.push(<text key={`t${db}`} x={-5} y={y + 3} textAnchor="end" fontSize="10" fill="#64748b">{db}</text>);
-    }
+  const handleExportHtml = () => {
+    const html = buildReport();
+    downloadFile(html, `anc-report-${fileStamp()}.html`, 'text/html');
+    setShowExportMenu(false);
+  };
 
-    // Range Overlay
-    const xStart = freqToX(range[0], dims.width);
-    const xEnd = freqToX(range[1], dims.width);
+  const handleExportPrint = () => {
+    if (!printReport(buildReport())) {
+      alert('Pop-up blocked: allow pop-ups for this page to print the report.');
+    }
+    setShowExportMenu(false);
+  };
 
-    // Mouse Interactions for Slider
-    const handleMouseDown = (e, type) => {
-        setIsDragging(type);
+  // The data table exports what it shows, with the focused trace's band metrics
+  const handleExportTable = (format, { scope, columns, rows }) => {
+    const table = {
+      trace: focusTrace.label,
+      beforeFile: fileBefore.name,
+      afterFile: focusTrace.file.name,
+      scope,
+      unit,
+      averaging: modeInfo.label,
+      columns,
+      rows,
+      bands: bands.map((b, bi) => ({ name: b.name, range: b.range, metrics: focusTrace.bandMetrics[bi] })),
+      mask: specMask,
+      maskCheck: focusTrace.maskCheck,
     };
-    
-    const handleMouseMove = (e) => {
-        if (!isDragging) {
-             // Hover Logic
-             const rect = containerRef.current.getBoundingClientRect();
-             const mouseX = e.clientX - rect.left;
-             const freq = xToFreq(mouseX, dims.width);
-             
-             // Find closest data points
-             const closestBefore = fileBefore.data.reduce((prev, curr) => 
-                Math.abs(curr.freq - freq) < Math.abs(prev.freq - freq) ? curr : prev
-             );
-             const closestAfter = fileAfter.data.reduce((prev, curr) => 
-                Math.abs(curr.freq - freq) < Math.abs(prev.freq - freq) ? curr : prev
-             );
-
-             setHoverData({
-                 freq: closestBefore.freq,
-                 before: closestBefore.spl,
-                 after: closestAfter.spl,
-                 x: mouseX
-             });
-             return;
-        }
-
-        const rect = containerRef.current.getBoundingClientRect();
-        const mouseX = Math.max(0, Math.min(dims.width, e.clientX - rect.left));
-        const newFreq = xToFreq(mouseX, dims.width);
-
-        if (isDragging === 'start') {
-            setRange([Math.min(newFreq, range[1] - 10), range[1]]);
-        } else if (isDragging === 'end') {
-            setRange([range[0], Math.max(newFreq, range[0] + 10)]);
-        } else if (isDragging === 'range') {
-             // Move whole range logic could go here, skipping for simplicity
-        }
+    const name = `anc-data-${fileStamp()}`;
+    if (format === 'json') downloadFile(dataTableToJson(table), `${name}.json`, 'application/json');
+    else downloadFile(dataTableToCsv(table), `${name}.csv`, 'text/csv');
+  };
+
+  // --- Sessions ---
+
+  // Everything needed to reopen this exact view, apart from the traces
+  const sessionState = useMemo(() => ({
+    fileBefore,
+    fileFloor,
+    bands,
+    activeBandIndex: bands.findIndex(b => b.id === activeBandId),
+    mask: specMask,
+    settings: { pointsPerOctave, averagingMode, weighting, smoothing, metricsUseSmoothed, groupAveraging, envelope, attenuationThreshold, floorMargin, excludeFloorLimited, bandType, chartView, phaseMode, wavOptions },
+  }), [fileBefore, fileFloor, bands, activeBandId, specMask, pointsPerOctave, averagingMode, weighting, smoothing, metricsUseSmoothed, groupAveraging, envelope, attenuationThreshold, floorMargin, excludeFloorLimited, bandType, chartView, phaseMode, wavOptions]);
+
+  // What gets auto-saved: the stored traces, so live frames do not count as changes
+  const session = useMemo(() => serializeSession({
+    ...sessionState,
+    traces: storedTraces,
+    focusTraceIndex: storedTraces.findIndex(t => t.id === focusTraceId),
+  }), [sessionState, storedTraces, focusTraceId]);
+
+  // Expects the output of `parseSession` (already validated and migrated)
+  const applySession = (restored) => {
+    live.disconnect();
+    setLiveFile(null);
+    const { settings } = restored;
+    const restoredTraces = restored.traces.reduce((list, t) => [...list, createTrace(t.file, list, t)], []);
+    setFileBefore(restored.fileBefore);
+    setTraces(restoredTraces);
+    setFileFloor(restored.fileFloor);
+    setFocusTraceId(restoredTraces[restored.focusTraceIndex]?.id ?? restoredTraces[0]?.id ?? null);
+    const restoredBands = createBands(restored.bands.length ? restored.bands : BUILTIN_BAND_PRESETS[0].bands);
+    setBands(restoredBands);
+    setActiveBandId(restoredBands[restored.activeBandIndex]?.id ?? null);
+    setMask(restored.mask);
+    setMaskDrawing(false);
+    setPointsPerOctave(settings.pointsPerOctave);
+    setAveragingMode(settings.averagingMode);
+    setWeighting(settings.weighting);
+    setSmoothing(settings.smoothing);
+    setMetricsUseSmoothed(settings.metricsUseSmoothed);
+    setGroupAveraging(settings.groupAveraging);
+    setEnvelope(settings.envelope);
+    setAttenuationThreshold(settings.attenuationThreshold);
+    setFloorMargin(settings.floorMargin);
+    setExcludeFloorLimited(settings.excludeFloorLimited);
+    setBandType(settings.bandType);
+    setChartView(settings.chartView);
+    setPhaseMode(settings.phaseMode);
+    setWavOptions(settings.wavOptions);
+  };
+
+  const handleExportSession = () => {
+    // A saved file holds the traces as shown, including the current live frame
+    const current = serializeSession({ ...sessionState, traces, focusTraceIndex: traces.findIndex(t => t.id === focusTraceId) });
+    downloadFile(JSON.stringify(current), `anc-session-${fileStamp()}.json`, 'application/json');
+    setShowExportMenu(false);
+  };
+
+  const handleImportSession = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        applySession(parseSession(event.target.result));
+      } catch (err) {
+        alert(`${file.name} could not be opened: ${err.message}`);
+      }
     };
+    reader.readAsText(file);
+  };
 
-    const handleMouseUp = () => setIsDragging(null);
+  // Restore the auto-saved session once on startup. Auto-saving waits for
+  // this, so an empty first render never overwrites the stored session.
+  const applySessionRef = useRef(applySession);
+  useEffect(() => {
+    applySessionRef.current = applySession;
+  });
+  useEffect(() => {
+    loadLastSession()
+      .then(stored => {
+        if (stored) applySessionRef.current(parseSession(stored));
+      })
+      .catch(err => console.warn('Auto-saved session could not be restored:', err))
+      .finally(() => setSessionRestored(true));
+  }, []);
 
-    // --- Difference Chart ---
-    // We'll render the Diff chart INSIDE the same SVG but at the bottom or as an overlay?
-    // Let's render the Diff chart as a separate path on the same graph but obscure?
-    // Actually, let's render it on a separate smaller SVG below to be clean.
-    // Returning just the main chart here.
-    
-    return (
-      <div 
-        className="relative select-none"
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
-        onMouseLeave={() => { setIsDragging(null); setHoverData(null); }}
-      >
-        <svg 
-            ref={containerRef} 
-            width="100%" 
-            height={dims.height + 30} 
-            className="overflow-visible"
-        >
-            {/* Grids */}
-            {xGridLines}
-            {yGridLines}
-            {xLabels}
-
-            {/* Selection Band */}
-            <rect 
-                x={xStart} 
-                y={0} 
-                width={Math.max(0, xEnd - xStart)} 
-                height={dims.height} 
-                fill="#fef08a" 
-                fillOpacity="0.2" 
-            />
-            
-            {/* Data Paths */}
-            <path d={pathBefore} fill="none" stroke="#94a3b8" strokeWidth="2" strokeOpacity="0.5" />
-            <path d={pathAfter} fill="none" stroke="#2563eb" strokeWidth="2" />
-            
-            {/* Diff Path (Scaled to fit? Or just overlay?) 
-                Let's omit diff on main chart to avoid clutter, will show in separate view or just stats.
-            */}
-
-            {/* Handles */}
-            <g 
-                transform={`translate(${xStart}, 0)`} 
-                className="cursor-ew-resize group"
-                onMouseDown={(e) => handleMouseDown(e, 'start')}
-            >
-                <line y1={0} y2={dims.height} stroke="#eab308" strokeWidth="2" strokeDasharray="4 2" />
-                <circle cy={dims.height / 2} r={8} fill="#eab308" className="group-hover:scale-125 transition-transform shadow-sm" />
-                <text y={-10} textAnchor="middle" fontSize="12" fontWeight="bold" fill="#ca8a04">{Math.round(range[0])}</text>
-            </g>
-
-            <g 
-                transform={`translate(${xEnd}, 0)`} 
-                className="cursor-ew-resize group"
-                onMouseDown={(e) => handleMouseDown(e, 'end')}
-            >
-                <line y1={0} y2={dims.height} stroke="#eab308" strokeWidth="2" strokeDasharray="4 2" />
-                <circle cy={dims.height / 2} r={8} fill="#eab308" className="group-hover:scale-125 transition-transform shadow-sm" />
-                <text y={-10} textAnchor="middle" fontSize="12" fontWeight="bold" fill="#ca8a04">{Math.round(range[1])}</text>
-            </g>
-
-            {/* Tooltip Hover Line */}
-            {hoverData && !isDragging && (
-                <g>
-                    <line x1={hoverData.x} y1={0} x2={hoverData.x} y2={dims.height} stroke="#475569" strokeWidth="1" />
-                    <circle cx={hoverData.x} cy={dbToY(hoverData.before, dims.height, minDb, maxDb)} r={4} fill="#94a3b8" />
-                    <circle cx={hoverData.x} cy={dbToY(hoverData.after, dims.height, minDb, maxDb)} r={4} fill="#2563eb" />
-                </g>
-            )}
+  useEffect(() => {
+    if (!sessionRestored) return undefined;
+    const timer = setTimeout(() => {
+      saveLastSession(session).catch(err => console.warn('Session auto-save failed:', err));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [session, sessionRestored]);
 
-        </svg>
 
-        {/* Floating Tooltip */}
-        {hoverData && !isDragging && (
-             <div 
-                className="absolute top-0 bg-slate-900/90 text-white text-xs p-2 rounded shadow-lg pointer-events-none"
-                style={{ left: hoverData.x + 10 }}
-             >
-                 <div className="font-bold mb-1">{Math.round(hoverData.freq)} Hz</div>
-                 <div className="flex items-center gap-2 text-slate-300">
-                    <div className="w-2 h-2 rounded-full bg-slate-400"></div>
-                    Before: {hoverData.before.toFixed(1)} dB
-                 </div>
-                 <div className="flex items-center gap-2 text-blue-300">
-                    <div className="w-2 h-2 rounded-full bg-blue-500"></div>
-                    After: {hoverData.after.toFixed(1)} dB
-                 </div>
-                 <div className="mt-1 pt-1 border-t border-slate-700 font-mono text-green-400">
-                    Diff: {(hoverData.after - hoverData.before).toFixed(1)} dB
-                 </div>
-             </div>
-        )}
-      </div>
-    );
-  };
-
-  const DifferenceChart = () => {
-       // A simplified chart just for the difference
-       // Reusing similar logic but simpler display
-       const containerRef = useRef(null);
-       const [width, setWidth] = useState(0);
-       
-       useEffect(() => {
-           if(containerRef.current) setWidth(containerRef.current.clientWidth);
-       }, []);
-
-       if(!hasData) return null;
-
-       // Calculate diff points
-       const diffData = [];
-       let j = 0;
-       for (let i = 0; i < fileBefore.data.length; i++) {
-           const d1 = fileBefore.data[i];
-           while(j < fileAfter.data.length - 1 && fileAfter.data[j+1].freq < d1.freq) j++;
-           const d2 = fileAfter.data[j];
-           if (d2 && Math.abs(d2.freq - d1.freq) < d1.freq * 0.1) {
-               diffData.push({ freq: d1.freq, diff: d2.spl - d1.spl });
-           }
-       }
-
-       // Y Axis for Diff: usually -30 to +10
-       const h = 100;
-       const minD = -30;
-       const maxD = 10;
-       
-       const pathDiff = diffData.map((d, i) => {
-           const x = freqToX(d.freq, width);
-           const clampedDiff = Math.max(minD, Math.min(maxD, d.diff));
-           const y = h - ((clampedDiff - minD) / (maxD - minD)) * h;
-           return `${i===0?'M':'L'} ${x},${y}`;
-       }).join(' ');
-
-       const zeroY = h - ((0 - minD) / (maxD - minD)) * h;
-
-       return (
-           <div className="mt-6 border-t pt-4">
-               <h3 className="text-sm font-semibold text-slate-600 mb-2">Difference Curve (After - Before)</h3>
-               <div ref={containerRef} className="h-[100px] w-full relative">
-                   <svg width="100%" height="100%" className="overflow-visible">
-                       {/* Zero Line */}
-                       <line x1={0} y1={zeroY} x2={width} y2={zeroY} stroke="#94a3b8" strokeDasharray="2 2" />
-                       
-                       {/* Selection Highlight in Diff */}
-                       <rect 
-                            x={freqToX(range[0], width)} 
-                            y={0} 
-                            width={Math.max(0, freqToX(range[1], width) - freqToX(range[0], width))} 
-                            height={h} 
-                            fill="#fef08a" 
-                            fillOpacity="0.2" 
-                        />
+  // --- Chart Viewport ---
 
-                       <path d={pathDiff} fill="none" stroke="#ef4444" strokeWidth="2" />
-                       
-                       {/* Y Labels */}
-                       <text x={-5} y={zeroY + 3} textAnchor="end" fontSize="10" fill="#64748b">0 dB</text>
-                       <text x={-5} y={10} textAnchor="end" fontSize="10" fill="#64748b">+10</text>
-                       <text x={-5} y={h} textAnchor="end" fontSize="10" fill="#64748b">-30</text>
-                   </svg>
-               </div>
-           </div>
-       )
+  // Auto-fitted axes only consider what is inside the visible frequency span.
+  // Plotted curves can be dense, so their extent is only rescanned when they or
+  // the span change, not while bands are dragged.
+  const visibleCurves = useMemo(() => traces.filter(t => t.visible).map(t => processTrace(t.file)), [traces, processTrace]);
+  const autoDbDomain = useMemo(() => (
+    fitDbDomain([plotBefore, ...visibleCurves.map(c => c.plot), ...(plotFloor ? [plotFloor] : [])].flatMap(curve => extentInView(curve, freqDomain) || [])) || [0, 100]
+  ), [plotBefore, visibleCurves, plotFloor, freqDomain]);
+  const autoDiffDomain = useMemo(() => fitDiffDomain([
+    ...visibleCurves.flatMap(c => extentInView(c.aligned, freqDomain, 'diff') || []),
+    ...(mask ? mask.points.map(p => p.db) : []),
+  ]), [visibleCurves, freqDomain, mask]);
+  const mainDbDomain = dbDomain || autoDbDomain;
+  const shownDiffDomain = diffDomain || autoDiffDomain;
+
+  const zoomToBand = () => {
+    // A little margin either side so the handles stay visible
+    setFreqDomain([Math.max(MIN_FREQ_PLOT, range[0] / 1.25), Math.min(MAX_FREQ_PLOT, range[1] * 1.25)]);
+  };
+  const resetZoom = () => {
+    setFreqDomain(FULL_FREQ_DOMAIN);
+    setDbDomain(null);
+    setDiffDomain(null);
+  };
+
+  // --- Chart Rendering Logic ---
+
+  // Helper: Hover state for the aligned points nearest to `freq` (shared by all charts
+  // and the chart image cursor). `traces` holds one entry per visible trace that covers it.
+  const hoverAt = (freq) => {
+    const points = visibleTraces.map(t => {
+      const idx = findNearestIndex(t.aligned, freq);
+      return idx === -1 ? null : { id: t.id, label: t.label, color: t.color, ...t.aligned[idx] };
+    }).filter(Boolean);
+    if (points.length === 0) return null;
+    const focusPoint = points.find(p => p.id === focusTrace?.id) || points[0];
+    return { freq: focusPoint.freq, before: focusPoint.before, phaseDiff: focusPoint.phaseDiff, traces: points };
+  };
+
+  const updateHover = (mouseX, width) => {
+    const hover = hoverAt(xToFreq(mouseX, width, freqDomain));
+    setHoverData(hover ? { ...hover, x: mouseX } : null);
+  };
+
+  // Chart images are drawn from the same data and view as the charts on screen
+  const chartImage = {
+    before: plotBefore,
+    floor: plotFloor,
+    traces: visibleTraces,
+    unit,
+    freqDomain,
+    dbDomain: mainDbDomain,
+    diffDomain: shownDiffDomain,
+    envelope,
+    bands,
+    activeBandId: activeBand.id,
+    mask: specMask,
+    threshold: attenuationThreshold,
+    hoverAt,
+  };
+
+  const downloadChartImage = (content, kind, extension, mimeType) => {
+    downloadFile(content, `anc-${kind}-${fileStamp()}.${extension}`, mimeType);
   };
 
   return (
@@ -524,10 +978,53 @@ export default function App() {
              >
                 Load Demo Data
              </button>
-             <button className="flex items-center gap-2 text-xs font-semibold px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg shadow-sm transition-colors">
-                <Download size={14} />
-                Export Report
-             </button>
+             <label 
+                title="Open a saved session file (.json)"
+                className="flex items-center gap-2 text-xs font-semibold px-3 py-2 bg-slate-100 hover:bg-slate-200 text-slate-600 rounded-lg transition-colors cursor-pointer"
+             >
+                <FolderOpen size={14} /> Open Session
+                <input type="file" accept=".json,application/json" className="hidden" onChange={handleImportSession} />
+             </label>
+             <div className="relative">
+                <button 
+                   onClick={() => setShowExportMenu(!showExportMenu)}
+                   disabled={!hasData}
+                   title={hasData ? 'Export analysis report' : 'Load Before and After data first'}
+                   className="flex items-center gap-2 text-xs font-semibold px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed text-white rounded-lg shadow-sm transition-colors"
+                >
+                   <Download size={14} />
+                   Export Report
+                </button>
+                {showExportMenu && hasData && (
+                   <div className="absolute right-0 mt-2 w-56 bg-white border border-slate-200 rounded-lg shadow-lg py-1 z-40">
+                      <button 
+                         onClick={handleExportHtml}
+                         className="w-full flex items-center gap-2 px-3 py-2 text-xs text-slate-700 hover:bg-slate-50"
+                      >
+                         <FileText size={14} /> Download HTML report
+                      </button>
+                      <button 
+                         onClick={handleExportPrint}
+                         className="w-full flex items-center gap-2 px-3 py-2 text-xs text-slate-700 hover:bg-slate-50"
+                      >
+                         <Printer size={14} /> Print / Save as PDF
+                      </button>
+                      <button 
+                         onClick={() => { setShowChartExport(true); setShowExportMenu(false); }}
+                         className="w-full flex items-center gap-2 px-3 py-2 text-xs text-slate-700 hover:bg-slate-50"
+                      >
+                         <ImageDown size={14} /> Chart image (SVG / PNG)…
+                      </button>
+                      <div className="my-1 border-t border-slate-100"></div>
+                      <button 
+                         onClick={handleExportSession}
+                         className="w-full flex items-center gap-2 px-3 py-2 text-xs text-slate-700 hover:bg-slate-50"
+                      >
+                         <Save size={14} /> Download session file
+                      </button>
+                   </div>
+                )}
+             </div>
           </div>
         </div>
       </header>
@@ -547,45 +1044,188 @@ export default function App() {
                     file={fileBefore} 
                     onFileLoaded={setFileBefore} 
                     onDelete={() => setFileBefore(null)}
+                    wavOptions={wavOptions}
                   />
+                  {traces.map(t => (
+                    <FileUploader 
+                      key={t.id}
+                      header={<TraceHeader trace={t} onChange={(changes) => updateTrace(t.id, changes)} />}
+                      color={t.color} 
+                      file={t.file} 
+                      onFileLoaded={(file) => updateTrace(t.id, { file })} 
+                      onDelete={() => removeTrace(t.id)}
+                      wavOptions={wavOptions}
+                    />
+                  ))}
                   <FileUploader 
-                    label="After ANC" 
+                    key="add-trace"
+                    label={traces.length ? 'Add After Configuration' : 'After ANC'} 
                     colorClass="bg-blue-500" 
-                    file={fileAfter} 
-                    onFileLoaded={setFileAfter} 
-                    onDelete={() => setFileAfter(null)}
+                    file={null} 
+                    onFileLoaded={addTrace} 
+                    wavOptions={wavOptions}
+                  />
+                  <FileUploader 
+                    label="Noise Floor (optional)" 
+                    colorClass="bg-slate-700" 
+                    file={fileFloor} 
+                    onFileLoaded={setFileFloor} 
+                    onDelete={() => setFileFloor(null)}
+                    wavOptions={wavOptions}
                   />
+                  {fileFloor && (
+                    <div className="-mt-2 space-y-2">
+                      <label className="flex items-center justify-between gap-2 text-xs text-slate-500">
+                        Margin above floor
+                        <select 
+                          value={floorMargin} 
+                          onChange={(e) => setFloorMargin(Number(e.target.value))}
+                          title="After levels closer to the floor than this are flagged as floor-limited"
+                          className="p-1 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                        >
+                          {FLOOR_MARGINS.map(m => <option key={m} value={m}>{m} dB</option>)}
+                        </select>
+                      </label>
+                      <label className="flex items-center gap-2 text-xs text-slate-600">
+                        <input 
+                          type="checkbox" 
+                          checked={excludeFloorLimited} 
+                          onChange={(e) => setExcludeFloorLimited(e.target.checked)}
+                          className="rounded border-slate-300"
+                        />
+                        Exclude floor-limited points from metrics
+                      </label>
+                    </div>
+                  )}
+                  <WavSettings options={wavOptions} onChange={setWavOptions} />
               </div>
            </Card>
 
            <Card className="p-4">
                <h2 className="font-bold text-sm text-slate-800 mb-4 flex items-center gap-2">
-                   <BarChart2 size={16} /> Band Selection
+                   <Radio size={16} /> Live Input
+               </h2>
+               <LivePanel live={{ ...live, disconnect: disconnectLive }} liveTrace={liveTrace} onSnapshot={snapshotLive} />
+           </Card>
+
+           <Card className="p-4">
+               <h2 className="font-bold text-sm text-slate-800 mb-4 flex items-center gap-2">
+                   <BarChart2 size={16} /> Analysis Bands
+               </h2>
+               <BandEditor 
+                   bands={bands}
+                   activeBandId={activeBand.id}
+                   onSelect={setActiveBandId}
+                   onChange={updateBand}
+                   onRemove={removeBand}
+                   onAdd={addBand}
+                   presets={bandPresets}
+                   onLoadPreset={loadPreset}
+                   onSavePreset={savePreset}
+                   onDeletePreset={deletePreset}
+               />
+               <p className="text-xs text-slate-400 leading-relaxed mt-3">
+                   Drag a band on the chart to move it, or its handles to resize it. Each band gets its own row of metrics.
+               </p>
+           </Card>
+
+           <Card className="p-4">
+               <h2 className="font-bold text-sm text-slate-800 mb-4 flex items-center gap-2">
+                   <ShieldCheck size={16} /> Spec Mask
+               </h2>
+               <MaskPanel 
+                   mask={mask}
+                   drawing={maskDrawing}
+                   onLoadFile={loadMaskFile}
+                   onToggleDraw={toggleMaskDrawing}
+                   onChange={setMask}
+                   onSave={saveMask}
+                   onClear={clearMask}
+               />
+           </Card>
+
+           <Card className="p-4">
+               <h2 className="font-bold text-sm text-slate-800 mb-4 flex items-center gap-2">
+                   <SlidersHorizontal size={16} /> Processing
                </h2>
                <div className="space-y-4">
-                   <div className="grid grid-cols-2 gap-3">
-                       <div>
-                           <label className="text-xs text-slate-500 font-semibold">Start (Hz)</label>
-                           <input 
-                                type="number" 
-                                value={Math.round(range[0])} 
-                                onChange={(e) => setRange([Number(e.target.value), range[1]])}
-                                className="w-full mt-1 p-2 border border-slate-300 rounded text-sm focus:ring-2 focus:ring-blue-500 outline-none"
-                           />
-                       </div>
-                       <div>
-                           <label className="text-xs text-slate-500 font-semibold">End (Hz)</label>
+                   <div>
+                       <label className="text-xs text-slate-500 font-semibold">Weighting</label>
+                       <select 
+                            value={weighting} 
+                            onChange={(e) => setWeighting(e.target.value)}
+                            className="w-full mt-1 p-2 border border-slate-300 rounded text-sm bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                       >
+                           {WEIGHTINGS.map(w => (
+                               <option key={w.id} value={w.id}>{w.label}</option>
+                           ))}
+                       </select>
+                   </div>
+                   <div>
+                       <label className="text-xs text-slate-500 font-semibold">Smoothing</label>
+                       <select 
+                            value={smoothing} 
+                            onChange={(e) => setSmoothing(e.target.value)}
+                            className="w-full mt-1 p-2 border border-slate-300 rounded text-sm bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                       >
+                           {SMOOTHING_OPTIONS.map(o => (
+                               <option key={o.id} value={o.id}>{o.label}</option>
+                           ))}
+                       </select>
+                       <label className={`flex items-center gap-2 mt-2 text-xs ${smoothing === 'none' ? 'text-slate-300' : 'text-slate-600'}`}>
                            <input 
-                                type="number" 
-                                value={Math.round(range[1])} 
-                                onChange={(e) => setRange([range[0], Number(e.target.value)])}
-                                className="w-full mt-1 p-2 border border-slate-300 rounded text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                                type="checkbox" 
+                                checked={metricsUseSmoothed} 
+                                disabled={smoothing === 'none'}
+                                onChange={(e) => setMetricsUseSmoothed(e.target.checked)}
+                                className="rounded border-slate-300"
                            />
+                           Use smoothed data for metrics
+                       </label>
+                   </div>
+                   <div>
+                       <label className="text-xs text-slate-500 font-semibold">Alignment Grid</label>
+                       <select 
+                            value={pointsPerOctave} 
+                            onChange={(e) => setPointsPerOctave(Number(e.target.value))}
+                            className="w-full mt-1 p-2 border border-slate-300 rounded text-sm bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                       >
+                           {POINTS_PER_OCTAVE_OPTIONS.map(n => (
+                               <option key={n} value={n}>{n} points / octave</option>
+                           ))}
+                       </select>
+                       <p className="text-xs text-slate-400 mt-1">
+                           Before and After are interpolated onto this shared log grid for the difference curve and metrics.
+                       </p>
+                   </div>
+                   <div>
+                       <label className="text-xs text-slate-500 font-semibold">Repeated Measurements</label>
+                       <div className="grid grid-cols-2 gap-2 mt-1">
+                           <select 
+                                value={groupAveraging} 
+                                onChange={(e) => setGroupAveraging(e.target.value)}
+                                title="How the repeats of a group are averaged"
+                                className="w-full p-2 border border-slate-300 rounded text-sm bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                           >
+                               {GROUP_AVERAGING_MODES.map(m => (
+                                   <option key={m.id} value={m.id}>{m.label}</option>
+                               ))}
+                           </select>
+                           <select 
+                                value={envelope} 
+                                onChange={(e) => setEnvelope(e.target.value)}
+                                title="Spread drawn around grouped curves"
+                                className="w-full p-2 border border-slate-300 rounded text-sm bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                           >
+                               {ENVELOPES.map(o => (
+                                   <option key={o.id} value={o.id}>{o.label}</option>
+                               ))}
+                           </select>
                        </div>
+                       <p className="text-xs text-slate-400 mt-1">
+                           Select several files at once, or add repeats to a loaded slot, to average them and show their spread.
+                       </p>
                    </div>
-                   <p className="text-xs text-slate-400 leading-relaxed">
-                       Drag the yellow handles on the chart or enter precise values above to isolate the noise reduction zone.
-                   </p>
                </div>
            </Card>
         </div>
@@ -594,59 +1234,305 @@ export default function App() {
         <div className="lg:col-span-9 space-y-6">
             
             {/* Metrics Panel */}
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                <Card className="p-4 bg-gradient-to-br from-white to-slate-50">
-                    <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">Avg SPL (Before)</p>
-                    <div className="text-2xl font-mono font-bold text-slate-700 mt-1">
-                        {analysis ? analysis.avgBefore.toFixed(1) : '--'} <span className="text-sm font-sans text-slate-400">dB</span>
-                    </div>
-                </Card>
-                <Card className="p-4 bg-gradient-to-br from-white to-slate-50">
-                    <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">Avg SPL (After)</p>
-                    <div className="text-2xl font-mono font-bold text-blue-600 mt-1">
-                        {analysis ? analysis.avgAfter.toFixed(1) : '--'} <span className="text-sm font-sans text-slate-400">dB</span>
+            <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-2 text-xs text-slate-500">
+                    <span className="font-semibold uppercase tracking-wider">Averaging</span>
+                    <select 
+                        value={averagingMode} 
+                        onChange={(e) => setAveragingMode(e.target.value)}
+                        title={modeInfo.description}
+                        className="p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                    >
+                        {AVERAGING_MODES.map(m => (
+                            <option key={m.id} value={m.id}>{m.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <p className="text-xs text-slate-400 hidden md:block">{modeInfo.description}</p>
+            </div>
+            <Card className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="bg-slate-50 text-xs font-bold text-slate-400 uppercase tracking-wider">
+                            <th className="text-left px-4 py-3">Configuration</th>
+                            <th className="text-right px-4 py-3">{modeInfo.cardLabel} (Before)</th>
+                            <th className="text-right px-4 py-3">{modeInfo.cardLabel} (After)</th>
+                            <th className="text-right px-4 py-3">Reduction</th>
+                            <th className="text-right px-4 py-3">Power Reduced</th>
+                        </tr>
+                    </thead>
+                    {traceResults.length === 0 && (
+                        <tbody>
+                            <tr className="border-t border-slate-100 text-slate-400">
+                                <td className="px-4 py-3">No After data loaded</td>
+                                <td className="text-right px-4 py-3 font-mono">--</td>
+                                <td className="text-right px-4 py-3 font-mono">--</td>
+                                <td className="text-right px-4 py-3 font-mono">--</td>
+                                <td className="text-right px-4 py-3 font-mono">--</td>
+                            </tr>
+                        </tbody>
+                    )}
+                    {traceResults.length > 0 && bands.map((band, bi) => (
+                        <tbody key={band.id}>
+                            <tr 
+                                onClick={() => setActiveBandId(band.id)}
+                                className={`border-t border-slate-200 cursor-pointer ${band.id === activeBand.id ? 'bg-slate-100' : 'bg-slate-50 hover:bg-slate-100'}`}
+                            >
+                                <td colSpan={5} className="px-4 py-1.5 text-xs font-semibold text-slate-600">
+                                    <span className="inline-block w-2.5 h-2.5 mr-2 rounded-sm align-[-1px]" style={{ backgroundColor: band.color }}></span>
+                                    {band.name} <span className="font-normal text-slate-400">· {Math.round(band.range[0])} – {Math.round(band.range[1])} Hz</span>
+                                </td>
+                            </tr>
+                            {traceResults.map(t => {
+                                const a = t.bandMetrics[bi];
+                                const focused = focusTrace?.id === t.id;
+                                return (
+                                    <tr 
+                                        key={t.id} 
+                                        onClick={() => setFocusTraceId(t.id)}
+                                        title="Show this configuration in the band and phase views"
+                                        className={`border-t border-slate-100 cursor-pointer transition-colors ${focused ? 'bg-blue-50/60' : 'hover:bg-slate-50'} ${t.visible ? '' : 'opacity-50'}`}
+                                    >
+                                        <td className="px-4 py-3">
+                                            <div className="flex items-center gap-2 min-w-0">
+                                                <div className="w-3 h-3 shrink-0 rounded-full" style={{ backgroundColor: t.color }}></div>
+                                                <span className={`truncate max-w-[14rem] ${focused ? 'font-semibold text-slate-800' : 'text-slate-700'}`}>{t.label}</span>
+                                                {t.id === bestTraceIds[bi] && traceResults.length > 1 && (
+                                                    <span className="shrink-0 text-[10px] font-bold px-1.5 py-0.5 rounded-full bg-emerald-100 text-emerald-700">Best</span>
+                                                )}
+                                            </div>
+                                        </td>
+                                        <td className="text-right px-4 py-3 font-mono text-slate-600">
+                                            {a ? a.avgBefore.toFixed(1) : '--'}{ciSuffix(a?.uncertainty?.ciBefore)} <span className="text-xs font-sans text-slate-400">{unit}</span>
+                                        </td>
+                                        <td className="text-right px-4 py-3 font-mono font-semibold" style={{ color: t.color }}>
+                                            {a ? a.avgAfter.toFixed(1) : '--'}{ciSuffix(a?.uncertainty?.ciAfter)} <span className="text-xs font-sans text-slate-400">{unit}</span>
+                                        </td>
+                                        <td className="text-right px-4 py-3 font-mono font-bold text-slate-800">
+                                            {a?.floorLimitedCount > 0 && (
+                                                <span 
+                                                    className="inline-block mr-1.5 align-[-2px] text-amber-500"
+                                                    title={excludeFloorLimited
+                                                        ? `${a.floorLimitedCount} floor-limited points excluded`
+                                                        : `${a.floorLimitedCount} of ${a.pointCount} points within ${floorMargin} dB of the noise floor`}
+                                                >
+                                                    <AlertTriangle size={14} />
+                                                </span>
+                                            )}
+                                            {a ? a.deltaDb.toFixed(1) : '--'}{ciSuffix(a?.uncertainty?.ciDelta)} <span className="text-xs font-sans font-normal text-slate-400">{unit}</span>
+                                        </td>
+                                        <td className="text-right px-4 py-3 font-mono font-bold text-emerald-600">
+                                            {a ? a.reductionPercent.toFixed(0) : '--'} <span className="text-xs font-sans font-normal">%</span>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    ))}
+                </table>
+                {specMask && traceResults.length > 0 && (
+                    <div className="px-4 py-3 border-t border-slate-200 flex flex-wrap items-center gap-x-6 gap-y-2 text-xs">
+                        <span className="font-semibold uppercase tracking-wider text-slate-400">Spec · {specMask.name}</span>
+                        {traceResults.map(t => {
+                            const check = t.maskCheck;
+                            return (
+                                <div key={t.id} className={`flex items-center gap-2 ${t.visible ? '' : 'opacity-50'}`}>
+                                    <div className="w-2.5 h-2.5 shrink-0 rounded-full" style={{ backgroundColor: t.color }}></div>
+                                    <span className="truncate max-w-[10rem] text-slate-700">{t.label}</span>
+                                    {check.pass === null ? (
+                                        <span className="text-slate-400">outside mask</span>
+                                    ) : (
+                                        <>
+                                            <span className={`font-bold px-1.5 py-0.5 rounded ${check.pass ? 'bg-emerald-100 text-emerald-700' : 'bg-red-100 text-red-700'}`}>
+                                                {check.pass ? 'PASS' : 'FAIL'}
+                                            </span>
+                                            <span className="font-mono text-slate-500" title="Worst-case margin to the mask (negative fails)">
+                                                {check.worstMargin > 0 ? '+' : ''}{check.worstMargin.toFixed(1)} dB @ {formatFreqTick(check.worstFreq)} Hz
+                                            </span>
+                                        </>
+                                    )}
+                                </div>
+                            );
+                        })}
                     </div>
-                </Card>
-                <Card className="p-4 bg-blue-600 text-white shadow-lg shadow-blue-200">
-                    <p className="text-xs font-bold text-blue-200 uppercase tracking-wider">Reduction</p>
-                    <div className="text-3xl font-mono font-bold mt-1">
-                        {analysis ? analysis.deltaDb.toFixed(1) : '--'} <span className="text-sm font-sans opacity-70">dB</span>
+                )}
+                {anyFloorLimited && (
+                    <div className={`px-4 py-3 border-t flex flex-wrap items-center gap-x-4 gap-y-2 text-xs ${excludeFloorLimited ? 'border-slate-200 text-slate-500' : 'border-amber-200 bg-amber-50 text-amber-800'}`}>
+                        <AlertTriangle size={14} className="shrink-0" />
+                        <span className="flex-1 min-w-[16rem]">
+                            {excludeFloorLimited
+                                ? `Points within ${floorMargin} dB of the noise floor are excluded from the band metrics.`
+                                : `Some band metrics include points within ${floorMargin} dB of the noise floor. There the reduction is limited by the measurement, not by the ANC, and is overstated.`}
+                        </span>
+                        <button 
+                            onClick={() => setExcludeFloorLimited(!excludeFloorLimited)}
+                            className="shrink-0 font-semibold px-2 py-1 rounded bg-white border border-current hover:bg-slate-50"
+                        >
+                            {excludeFloorLimited ? 'Include them' : 'Exclude them'}
+                        </button>
                     </div>
-                    {analysis && (
-                        <div className="text-xs text-blue-100 mt-1 flex items-center">
-                            <ChevronDown size={12} /> {Math.abs(analysis.deltaDb).toFixed(1)} dB lower
-                        </div>
-                    )}
+                )}
+                <p className="px-4 py-2 border-t border-slate-100 text-xs text-slate-400">
+                    {modeInfo.label} · Power reduction {averagingMode === 'arithmetic' ? 'derived from dB mean' : `from acoustic energy (${modeInfo.short})`}
+                    {hasRepeats && ' · ± is the 95% confidence interval over repeated measurements'}
+                </p>
+            </Card>
+
+            {/* NR, NC and overall A-weighted level, Before → After */}
+            {hasData && (
+                <Card className="overflow-x-auto">
+                    <RatingsPanel traces={traceResults} ratings={traceRatings} />
                 </Card>
-                <Card className="p-4 border-emerald-100 bg-emerald-50/50">
-                    <p className="text-xs font-bold text-emerald-600 uppercase tracking-wider">Power Reduced</p>
-                    <div className="text-3xl font-mono font-bold text-emerald-600 mt-1">
-                        {analysis ? analysis.reductionPercent.toFixed(0) : '--'} <span className="text-sm font-sans">%</span>
-                    </div>
-                    <div className="text-xs text-emerald-500 mt-1">Acoustic Energy</div>
+            )}
+
+            {/* Effective bandwidth, peak attenuation and waterbed per configuration */}
+            {hasData && (
+                <Card className="overflow-x-auto">
+                    <EffectivenessPanel
+                        traces={traceResults}
+                        threshold={attenuationThreshold}
+                        onThresholdChange={setAttenuationThreshold}
+                        onUseRange={(bandRange) => updateBand(activeBand.id, { range: bandRange })}
+                    />
                 </Card>
-            </div>
+            )}
 
             {/* Main Chart */}
             <Card className="p-6 relative">
                 <div className="flex justify-between items-center mb-6">
-                    <h3 className="font-bold text-slate-700">Frequency Response Comparison</h3>
-                    <div className="flex gap-4 text-xs font-medium">
-                        <div className="flex items-center gap-2">
-                            <div className="w-3 h-3 rounded-full bg-slate-400 opacity-50"></div> Before ANC
-                        </div>
-                        <div className="flex items-center gap-2">
-                            <div className="w-3 h-3 rounded-full bg-blue-600"></div> After ANC
+                    <div className="flex items-center gap-4">
+                        <h3 className="font-bold text-slate-700">
+                            {chartView === 'spectrum' ? 'Frequency Response Comparison' : `${chartView === 'table' ? 'Data Table' : 'Band Attenuation'}${focusTrace ? ` · ${focusTrace.label}` : ''}`}
+                        </h3>
+                        <div className="flex bg-slate-100 rounded-lg p-0.5 text-xs font-semibold">
+                            {[['spectrum', 'Spectrum'], ['bands', 'Octave Bands'], ['table', 'Data Table']].map(([id, label]) => (
+                                <button 
+                                    key={id}
+                                    onClick={() => setChartView(id)}
+                                    className={`px-3 py-1 rounded-md transition-colors ${chartView === id ? 'bg-white shadow-sm text-slate-800' : 'text-slate-500 hover:text-slate-700'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
                         </div>
+                    </div>
+                    <div className="flex flex-wrap justify-end gap-x-4 gap-y-1 text-xs font-medium">
                         <div className="flex items-center gap-2">
-                            <div className="w-3 h-3 rounded-full bg-red-500"></div> Difference
+                            <div className="w-3 h-3 rounded-full bg-slate-400 opacity-50"></div> Before ANC
                         </div>
+                        {visibleTraces.map(t => (
+                            <div key={t.id} className="flex items-center gap-2 max-w-[10rem]">
+                                <div className="w-3 h-3 shrink-0 rounded-full" style={{ backgroundColor: t.color }}></div>
+                                <span className="truncate">{t.label}</span>
+                            </div>
+                        ))}
+                        {plotFloor && chartView === 'spectrum' && (
+                            <div className="flex items-center gap-2">
+                                <svg width="14" height="4"><line x1="0" y1="2" x2="14" y2="2" stroke="#475569" strokeWidth="1.5" strokeDasharray="4 3" /></svg> Noise floor
+                            </div>
+                        )}
                     </div>
                 </div>
                 
-                <div className="pl-4">
-                   <Chart />
-                   <DifferenceChart />
+                <div className="pl-4" ref={chartsRef}>
+                   {chartView === 'spectrum' ? (
+                       <>
+                           {hasData && (
+                               <ChartControls
+                                   tool={chartTool}
+                                   onToolChange={setChartTool}
+                                   onZoomToBand={zoomToBand}
+                                   onReset={resetZoom}
+                                   freqDomain={freqDomain}
+                                   freqLimits={FULL_FREQ_DOMAIN}
+                                   onFreqDomainChange={setFreqDomain}
+                                   dbDomain={dbDomain}
+                                   autoDbDomain={autoDbDomain}
+                                   onDbDomainChange={setDbDomain}
+                                   diffDomain={diffDomain}
+                                   autoDiffDomain={autoDiffDomain}
+                                   onDiffDomainChange={setDiffDomain}
+                                   height={chartHeight}
+                                   onHeightChange={setChartHeight}
+                               />
+                           )}
+                           {hasData ? (
+                               <>
+                                   <SpectrumChart
+                                       height={chartHeight}
+                                       plotBefore={plotBefore}
+                                       plotFloor={plotFloor}
+                                       traces={visibleTraces}
+                                       unit={unit}
+                                       freqDomain={freqDomain}
+                                       freqLimits={FULL_FREQ_DOMAIN}
+                                       dbDomain={mainDbDomain}
+                                       envelope={envelope}
+                                       bands={bands}
+                                       activeBand={activeBand}
+                                       tool={chartTool}
+                                       hover={hoverData}
+                                       focusTrace={focusTrace}
+                                       onHover={updateHover}
+                                       onHoverEnd={() => setHoverData(null)}
+                                       onFreqDomainChange={setFreqDomain}
+                                       onDbDomainChange={setDbDomain}
+                                       onBandChange={(id, bandRange) => updateBand(id, { range: bandRange })}
+                                       onActiveBandChange={setActiveBandId}
+                                   />
+                                   <DifferenceChart
+                                       traces={visibleTraces}
+                                       freqDomain={freqDomain}
+                                       diffDomain={shownDiffDomain}
+                                       envelope={envelope}
+                                       threshold={attenuationThreshold}
+                                       bands={bands}
+                                       activeBandId={activeBand.id}
+                                       mask={specMask}
+                                       drawingPoints={maskDrawing ? (mask?.points || []) : null}
+                                       onAddMaskPoint={addDrawnMaskPoint}
+                                       onRemoveMaskPoint={removeMaskPoint}
+                                   />
+                                   {alignedHasPhase && (
+                                       <PhaseChart
+                                           trace={focusTrace}
+                                           mode={phaseMode}
+                                           onModeChange={setPhaseMode}
+                                           freqDomain={freqDomain}
+                                           bands={bands}
+                                           activeBandId={activeBand.id}
+                                           hover={hoverData}
+                                           onHover={updateHover}
+                                           onHoverEnd={() => setHoverData(null)}
+                                       />
+                                   )}
+                               </>
+                           ) : (
+                               <div style={{ height: chartHeight }} className="flex items-center justify-center text-slate-400 bg-slate-50 rounded-lg border border-slate-100">Upload data to view chart</div>
+                           )}
+                       </>
+                   ) : chartView === 'table' ? (
+                       hasData ? (
+                           <DataTable
+                               aligned={aligned}
+                               band={activeBand}
+                               unit={unit}
+                               onExport={handleExportTable}
+                           />
+                       ) : (
+                           <div className="h-[350px] flex items-center justify-center text-slate-400 bg-slate-50 rounded-lg border border-slate-100">Upload data to view the data table</div>
+                       )
+                   ) : hasData ? (
+                       <BandLevelView 
+                           bands={bandLevels} 
+                           unit={unit}
+                           bandType={bandType} 
+                           onBandTypeChange={setBandType} 
+                           range={range} 
+                       />
+                   ) : (
+                       <div className="h-[350px] flex items-center justify-center text-slate-400 bg-slate-50 rounded-lg border border-slate-100">Upload data to view band levels</div>
+                   )}
                 </div>
             </Card>
             
@@ -665,14 +1551,19 @@ export default function App() {
                         </p>
                         <ul className="text-sm text-blue-800 list-disc list-inside space-y-1">
                             <li>Upload your "System Off" measurement to <strong>Before ANC</strong>.</li>
-                            <li>Upload your "System On" measurement to <strong>After ANC</strong>.</li>
-                            <li>Use the yellow handles to focus on your target frequency band (e.g. 200-800Hz).</li>
+                            <li>Upload your "System On" measurement to <strong>After ANC</strong>; add more configurations (tunings, gains, builds) to compare them against the same baseline.</li>
+                            <li>Raw <strong>.wav</strong> recordings are also accepted; the spectrum is computed in the browser (see WAV analysis settings).</li>
+                            <li>Drag the band handles to focus on your target frequency band (e.g. 200-800Hz); add more bands under <strong>Analysis Bands</strong> to report several regions at once.</li>
                         </ul>
                     </div>
                 </div>
             )}
         </div>
       </main>
+
+      {showChartExport && hasData && (
+        <ChartExportDialog chart={chartImage} onDownload={downloadChartImage} onClose={() => setShowChartExport(false)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
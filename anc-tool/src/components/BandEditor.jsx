@@ -0,0 +1,118 @@
+import React from 'react';
+import { Plus, Save, Trash2, X } from 'lucide-react';
+import { BUILTIN_BAND_PRESETS } from '../lib/bands';
+
+/**
+ * Analysis band list for the sidebar.
+ * Each band has a name, colour and exact start / end inputs; the active band
+ * is the one with drag handles on the chart. Band sets load from and save to
+ * presets.
+ */
+
+const inputClass = "w-full p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+
+const BandEditor = ({ bands, activeBandId, onSelect, onChange, onRemove, onAdd, presets, onLoadPreset, onSavePreset, onDeletePreset }) => (
+  <div className="space-y-3">
+    <div className="flex gap-2">
+      <select
+        value=""
+        onChange={(e) => onLoadPreset(e.target.value)}
+        className={`${inputClass} flex-1 text-slate-600`}
+      >
+        <option value="" disabled>Load preset…</option>
+        <optgroup label="Built-in">
+          {BUILTIN_BAND_PRESETS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </optgroup>
+        {presets.length > 0 && (
+          <optgroup label="Saved">
+            {presets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </optgroup>
+        )}
+      </select>
+      <button
+        onClick={onSavePreset}
+        title="Save these bands as a preset"
+        className="shrink-0 p-1.5 bg-slate-100 hover:bg-slate-200 text-slate-600 rounded transition-colors"
+      >
+        <Save size={14} />
+      </button>
+    </div>
+    {presets.length > 0 && (
+      <div className="flex flex-wrap gap-1">
+        {presets.map(p => (
+          <span key={p.id} className="flex items-center gap-1 text-[10px] font-semibold pl-2 pr-1 py-0.5 rounded-full bg-slate-100 text-slate-500">
+            {p.name}
+            <button onClick={() => onDeletePreset(p.id)} title={`Delete preset "${p.name}"`} className="p-0.5 hover:text-red-500 rounded-full">
+              <X size={10} />
+            </button>
+          </span>
+        ))}
+      </div>
+    )}
+
+    {bands.map(band => {
+      const active = band.id === activeBandId;
+      return (
+        <div
+          key={band.id}
+          onClick={() => onSelect(band.id)}
+          className={`p-2 rounded-lg border transition-colors cursor-pointer ${active ? 'border-slate-400 bg-slate-50' : 'border-slate-200 hover:border-slate-300'}`}
+        >
+          <div className="flex items-center gap-2">
+            <input
+              type="color"
+              value={band.color}
+              onChange={(e) => onChange(band.id, { color: e.target.value })}
+              title="Band colour"
+              className="w-5 h-5 shrink-0 p-0 border-0 bg-transparent rounded cursor-pointer"
+            />
+            <input
+              type="text"
+              value={band.name}
+              onChange={(e) => onChange(band.id, { name: e.target.value })}
+              title="Band name"
+              className="flex-1 min-w-0 text-xs font-semibold text-slate-700 bg-transparent border-b border-transparent hover:border-slate-300 focus:border-blue-500 outline-none"
+            />
+            <button
+              onClick={(e) => { e.stopPropagation(); onRemove(band.id); }}
+              disabled={bands.length === 1}
+              title={bands.length === 1 ? 'At least one band is needed' : 'Remove band'}
+              className="p-1 text-slate-400 hover:text-red-500 disabled:opacity-30 disabled:hover:text-slate-400 rounded transition-colors"
+            >
+              <Trash2 size={12} />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2 mt-2">
+            <label className="text-[10px] text-slate-500 font-semibold">
+              Start (Hz)
+              <input
+                type="number"
+                value={Math.round(band.range[0])}
+                onChange={(e) => onChange(band.id, { range: [Number(e.target.value), band.range[1]] })}
+                className={`${inputClass} mt-0.5`}
+              />
+            </label>
+            <label className="text-[10px] text-slate-500 font-semibold">
+              End (Hz)
+              <input
+                type="number"
+                value={Math.round(band.range[1])}
+                onChange={(e) => onChange(band.id, { range: [band.range[0], Number(e.target.value)] })}
+                className={`${inputClass} mt-0.5`}
+              />
+            </label>
+          </div>
+        </div>
+      );
+    })}
+
+    <button
+      onClick={onAdd}
+      className="w-full flex items-center justify-center gap-1 text-xs font-semibold py-1.5 border border-dashed border-slate-300 hover:border-blue-500 text-slate-500 hover:text-blue-600 rounded-lg transition-colors"
+    >
+      <Plus size={12} /> Add band
+    </button>
+  </div>
+);
+
+export default BandEditor;
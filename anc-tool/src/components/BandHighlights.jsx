@@ -0,0 +1,23 @@
+import React from 'react';
+import { freqToX } from '../lib/viewport';
+
+/**
+ * Non-interactive band rectangles for the secondary charts (difference, phase).
+ */
+const BandHighlights = ({ bands, activeBandId, width, height, freqDomain }) => bands.map(b => {
+  const x0 = freqToX(b.range[0], width, freqDomain);
+  const x1 = freqToX(b.range[1], width, freqDomain);
+  return (
+    <rect
+      key={b.id}
+      x={x0}
+      y={0}
+      width={Math.max(0, x1 - x0)}
+      height={height}
+      fill={b.color}
+      fillOpacity={b.id === activeBandId ? 0.18 : 0.1}
+    />
+  );
+});
+
+export default BandHighlights;
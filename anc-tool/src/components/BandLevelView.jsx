@@ -0,0 +1,162 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { BAND_TYPES, formatBandLabel } from '../lib/octaveBands';
+
+/**
+ * Octave / 1/3-octave band view.
+ * Grouped Before/After bars, an attenuation bar strip and a sortable table
+ * for the same bands. Bands whose centre lies in the selected range are highlighted.
+ */
+
+const CHART_HEIGHT = 220;
+const ATTEN_HEIGHT = 90;
+
+const tableColumns = (unit) => [
+  { key: 'center', label: 'Band (Hz)' },
+  { key: 'before', label: `Before (${unit})` },
+  { key: 'after', label: `After (${unit})` },
+  { key: 'attenuation', label: 'Attenuation (dB)' },
+];
+
+const isInRange = (band, range) => band.center >= range[0] && band.center <= range[1];
+
+const BandLevelView = ({ bands, unit = 'dB', bandType, onBandTypeChange, range }) => {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [sort, setSort] = useState({ key: 'center', dir: 'asc' });
+
+  useEffect(() => {
+    const handleResize = () => {
+      if (containerRef.current) setWidth(containerRef.current.clientWidth);
+    };
+    window.addEventListener('resize', handleResize);
+    handleResize();
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  const handleSort = (key) => {
+    setSort(prev => ({ key, dir: prev.key === key && prev.dir === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  const sortedBands = [...bands].sort((a, b) => {
+    const delta = a[sort.key] - b[sort.key];
+    return sort.dir === 'asc' ? delta : -delta;
+  });
+
+  // Y Axis bounds (levels)
+  const levels = bands.flatMap(b => [b.before, b.after]);
+  const minDb = levels.length ? Math.floor(Math.min(...levels) / 10) * 10 - 10 : 0;
+  const maxDb = levels.length ? Math.ceil(Math.max(...levels) / 10) * 10 : 100;
+  const levelToY = (db) => CHART_HEIGHT - ((db - minDb) / (maxDb - minDb)) * CHART_HEIGHT;
+
+  // Y Axis bounds (attenuation), always including 0 dB
+  const attens = bands.map(b => b.attenuation);
+  const minAtt = Math.min(0, Math.floor(Math.min(0, ...attens) / 5) * 5);
+  const maxAtt = Math.max(5, Math.ceil(Math.max(0, ...attens) / 5) * 5);
+  const attToY = (db) => ATTEN_HEIGHT - ((db - minAtt) / (maxAtt - minAtt)) * ATTEN_HEIGHT;
+
+  const slot = bands.length ? width / bands.length : 0;
+  const barWidth = Math.max(1, slot * 0.35);
+
+  const yTicks = [];
+  for (let db = minDb; db <= maxDb; db += 10) yTicks.push(db);
+
+  return (
+    <div ref={containerRef}>
+      <div className="flex items-center gap-2 mb-4">
+        {BAND_TYPES.map(t => (
+          <button
+            key={t.id}
+            onClick={() => onBandTypeChange(t.id)}
+            className={`text-xs font-semibold px-3 py-1.5 rounded-lg transition-colors ${bandType === t.id ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+          >
+            {t.label}
+          </button>
+        ))}
+        <span className="text-xs text-slate-400 ml-2">IEC 61260 nominal bands · band-integrated levels</span>
+      </div>
+
+      {bands.length === 0 ? (
+        <div className="h-[220px] flex items-center justify-center text-slate-400 bg-slate-50 rounded-lg border border-slate-100">
+          No complete bands within the measured frequency range
+        </div>
+      ) : (
+        <div className="w-full">
+          <svg width="100%" height={CHART_HEIGHT + 20} className="overflow-visible" data-export="bands">
+            <text x={-5} y={-8} textAnchor="end" fontSize="10" fontWeight="bold" fill="#64748b">{unit}</text>
+            {yTicks.map(db => (
+              <g key={db}>
+                <line x1={0} y1={levelToY(db)} x2={width} y2={levelToY(db)} stroke="#e2e8f0" />
+                <text x={-5} y={levelToY(db) + 3} textAnchor="end" fontSize="10" fill="#64748b">{db}</text>
+              </g>
+            ))}
+            {bands.map((b, i) => {
+              const x = i * slot;
+              const highlighted = isInRange(b, range);
+              return (
+                <g key={b.nominal}>
+                  {highlighted && <rect x={x} y={0} width={slot} height={CHART_HEIGHT} fill="#fef08a" fillOpacity="0.35" />}
+                  <rect x={x + slot / 2 - barWidth} y={levelToY(b.before)} width={barWidth} height={CHART_HEIGHT - levelToY(b.before)} fill="#94a3b8" fillOpacity="0.7" />
+                  <rect x={x + slot / 2} y={levelToY(b.after)} width={barWidth} height={CHART_HEIGHT - levelToY(b.after)} fill="#2563eb" />
+                  <text x={x + slot / 2} y={CHART_HEIGHT + 14} textAnchor="middle" fontSize="9" fill={highlighted ? '#ca8a04' : '#64748b'} fontWeight={highlighted ? 'bold' : 'normal'}>
+                    {formatBandLabel(b.nominal)}
+                  </text>
+                </g>
+              );
+            })}
+          </svg>
+
+          <h3 className="text-sm font-semibold text-slate-600 mt-4 mb-2">Attenuation per Band (After - Before)</h3>
+          <svg width="100%" height={ATTEN_HEIGHT} className="overflow-visible">
+            <line x1={0} y1={attToY(0)} x2={width} y2={attToY(0)} stroke="#94a3b8" strokeDasharray="2 2" />
+            {bands.map((b, i) => {
+              const x = i * slot;
+              const y0 = attToY(0);
+              const y1 = attToY(b.attenuation);
+              return (
+                <g key={b.nominal}>
+                  {isInRange(b, range) && <rect x={x} y={0} width={slot} height={ATTEN_HEIGHT} fill="#fef08a" fillOpacity="0.35" />}
+                  <rect x={x + slot * 0.2} y={Math.min(y0, y1)} width={slot * 0.6} height={Math.abs(y1 - y0)} fill={b.attenuation <= 0 ? '#10b981' : '#ef4444'} />
+                </g>
+              );
+            })}
+            <text x={-5} y={attToY(0) + 3} textAnchor="end" fontSize="10" fill="#64748b">0 dB</text>
+            <text x={-5} y={10} textAnchor="end" fontSize="10" fill="#64748b">{maxAtt > 0 ? `+${maxAtt}` : maxAtt}</text>
+            <text x={-5} y={ATTEN_HEIGHT} textAnchor="end" fontSize="10" fill="#64748b">{minAtt}</text>
+          </svg>
+
+          <div className="mt-6 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 text-xs text-slate-500">
+                  {tableColumns(unit).map(col => (
+                    <th key={col.key} className="text-left font-semibold py-2 px-2">
+                      <button onClick={() => handleSort(col.key)} className="flex items-center gap-1 hover:text-slate-800">
+                        {col.label}
+                        {sort.key === col.key && (sort.dir === 'asc' ? <ChevronUp size={12} /> : <ChevronDown size={12} />)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {sortedBands.map(b => (
+                  <tr key={b.nominal} className={`border-b border-slate-100 ${isInRange(b, range) ? 'bg-yellow-50 font-bold' : ''}`}>
+                    <td className="py-1.5 px-2 font-sans">{formatBandLabel(b.nominal)}</td>
+                    <td className="py-1.5 px-2 text-slate-600">{b.before.toFixed(1)}</td>
+                    <td className="py-1.5 px-2 text-blue-600">{b.after.toFixed(1)}</td>
+                    <td className={`py-1.5 px-2 ${b.attenuation <= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+                      {b.attenuation > 0 ? '+' : ''}{b.attenuation.toFixed(1)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BandLevelView;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Hand, Maximize2, MousePointer2, RotateCcw, SlidersHorizontal, ZoomIn } from 'lucide-react';
+import { CHART_HEIGHTS } from '../lib/viewport';
+
+/**
+ * Toolbar above the spectrum charts: what dragging does (move bands, box
+ * zoom, pan), zoom to the active band, reset, and manual axis limits.
+ */
+
+const TOOLS = [
+  { id: 'bands', label: 'Move bands', icon: MousePointer2 },
+  { id: 'zoom', label: 'Box zoom', icon: ZoomIn },
+  { id: 'pan', label: 'Pan', icon: Hand },
+];
+
+const fieldClass = "w-full p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+
+// Min / max pair that commits on blur or Enter; blank fields mean "auto"
+const RangeFields = ({ label, value, placeholder, onCommit, allowAuto, validate }) => {
+  const [draft, setDraft] = useState(null); // [min, max] strings while editing
+
+  const shown = draft || (value ? value.map(v => String(+v.toFixed(1))) : ['', '']);
+  const commit = () => {
+    if (!draft) return;
+    setDraft(null);
+    if (allowAuto && draft[0].trim() === '' && draft[1].trim() === '') {
+      onCommit(null);
+      return;
+    }
+    const next = draft.map((text, i) => (text.trim() === '' ? (value || placeholder)[i] : Number(text)));
+    if (next.every(Number.isFinite) && next[0] < next[1] && (!validate || validate(next))) onCommit(next);
+  };
+
+  return (
+    <div>
+      <label className="text-xs text-slate-500 font-semibold">{label}</label>
+      <div className="grid grid-cols-2 gap-2 mt-1">
+        {[0, 1].map(i => (
+          <input
+            key={i}
+            type="number"
+            value={shown[i]}
+            placeholder={placeholder ? `${i === 0 ? 'min' : 'max'} ${Math.round(placeholder[i])}` : ''}
+            onChange={(e) => setDraft(shown.map((v, j) => (j === i ? e.target.value : v)))}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === 'Enter' && commit()}
+            className={fieldClass}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const ChartControls = ({
+  tool, onToolChange, onZoomToBand, onReset,
+  freqDomain, freqLimits, onFreqDomainChange,
+  dbDomain, autoDbDomain, onDbDomainChange,
+  diffDomain, autoDiffDomain, onDiffDomainChange,
+  height, onHeightChange,
+}) => {
+  const [showAxes, setShowAxes] = useState(false);
+  const buttonClass = "flex items-center gap-1 px-2 py-1 rounded-md transition-colors";
+
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs font-semibold">
+        <div className="flex bg-slate-100 rounded-lg p-0.5">
+          {TOOLS.map(t => {
+            const Icon = t.icon;
+            return (
+              <button
+                key={t.id}
+                onClick={() => onToolChange(t.id)}
+                title={t.label}
+                className={`${buttonClass} ${tool === t.id ? 'bg-white shadow-sm text-slate-800' : 'text-slate-500 hover:text-slate-700'}`}
+              >
+                <Icon size={12} /> {t.label}
+              </button>
+            );
+          })}
+        </div>
+        <button onClick={onZoomToBand} title="Zoom to the active band" className={`${buttonClass} bg-slate-100 hover:bg-slate-200 text-slate-600`}>
+          <Maximize2 size={12} /> Zoom to band
+        </button>
+        <button onClick={onReset} title="Show the full range on all axes" className={`${buttonClass} bg-slate-100 hover:bg-slate-200 text-slate-600`}>
+          <RotateCcw size={12} /> Reset
+        </button>
+        <button
+          onClick={() => setShowAxes(!showAxes)}
+          className={`${buttonClass} ${showAxes ? 'bg-slate-200 text-slate-800' : 'bg-slate-100 hover:bg-slate-200 text-slate-600'}`}
+        >
+          <SlidersHorizontal size={12} /> Axes
+        </button>
+        <span className="text-slate-400 font-normal hidden md:inline">Wheel: zoom frequency · Shift + wheel: zoom dB</span>
+      </div>
+
+      {showAxes && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 p-3 rounded-lg border border-slate-200 bg-slate-50">
+          <RangeFields
+            label="Frequency (Hz)"
+            value={freqDomain}
+            placeholder={freqLimits}
+            onCommit={onFreqDomainChange}
+            validate={([lo, hi]) => lo >= freqLimits[0] && hi <= freqLimits[1]}
+          />
+          <RangeFields label="Level (dB)" value={dbDomain} placeholder={autoDbDomain} onCommit={onDbDomainChange} allowAuto />
+          <RangeFields label="Difference (dB)" value={diffDomain} placeholder={autoDiffDomain} onCommit={onDiffDomainChange} allowAuto />
+          <div>
+            <label className="text-xs text-slate-500 font-semibold">Chart height</label>
+            <select value={height} onChange={(e) => onHeightChange(Number(e.target.value))} className={`${fieldClass} mt-1`}>
+              {CHART_HEIGHTS.map(h => <option key={h} value={h}>{h} px</option>)}
+            </select>
+          </div>
+          <p className="col-span-2 md:col-span-4 text-xs text-slate-400">Leave both dB fields empty to fit the axis to the data.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartControls;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { Download, X } from 'lucide-react';
+import { buildChartSvg, CHART_IMAGE_KINDS, DEFAULT_CHART_IMAGE_OPTIONS, LEGEND_POSITIONS, PNG_SCALES } from '../lib/chartSvg';
+import { svgToPng } from '../export/chartImage';
+
+/**
+ * Chart image export: the spectrum or difference chart as a standalone SVG or
+ * high-DPI PNG, with size, font size, line width, title, legend placement and
+ * the interactive overlays (bands, band handles, a cursor) set for print.
+ * `chart` is the data the charts are drawn from (see lib/chartSvg), plus
+ * `hoverAt(freq)` for the cursor; `onDownload(content, kind, extension, mimeType)` saves a file.
+ */
+
+const fieldClass = "w-full mt-1 p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+
+const SIZE_PRESETS = [
+  { label: 'Slide 16:9', width: 1600, height: 900 },
+  { label: 'Paper, one column', width: 700, height: 450 },
+  { label: 'Paper, full width', width: 1400, height: 600 },
+];
+
+// Helper: A typed number within limits, or the fallback while the field is not a number
+const clamp = (value, lo, hi, fallback) => (Number.isFinite(value) && value > 0 ? Math.min(hi, Math.max(lo, value)) : fallback);
+
+const ChartExportDialog = ({ chart, onDownload, onClose }) => {
+  const activeBand = chart.bands.find(b => b.id === chart.activeBandId);
+  const [options, setOptions] = useState(DEFAULT_CHART_IMAGE_OPTIONS);
+  const [cursorFreq, setCursorFreq] = useState(() => (activeBand ? Math.round(Math.sqrt(activeBand.range[0] * activeBand.range[1])) : 1000));
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const set = (changes) => setOptions({ ...options, ...changes });
+  const effective = {
+    ...options,
+    width: Math.round(clamp(options.width, 200, 6000, DEFAULT_CHART_IMAGE_OPTIONS.width)),
+    height: Math.round(clamp(options.height, 150, 4000, DEFAULT_CHART_IMAGE_OPTIONS.height)),
+    fontSize: clamp(options.fontSize, 6, 48, DEFAULT_CHART_IMAGE_OPTIONS.fontSize),
+    lineWidth: clamp(options.lineWidth, 0.5, 10, DEFAULT_CHART_IMAGE_OPTIONS.lineWidth),
+  };
+  const hover = options.showHover ? chart.hoverAt(clamp(cursorFreq, 1, 100000, 1000)) : null;
+  const svg = buildChartSvg({ ...chart, hover }, effective);
+
+  const downloadPng = () => {
+    setBusy(true);
+    setError(null);
+    svgToPng(svg, effective.width, effective.height, effective.scale)
+      .then(blob => onDownload(blob, effective.kind, 'png', 'image/png'))
+      .catch(err => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  const numberField = (key, label, step = 1) => (
+    <div>
+      <label className="text-xs text-slate-500 font-semibold">{label}</label>
+      <input type="number" step={step} value={options[key]} onChange={(e) => set({ [key]: Number(e.target.value) })} className={fieldClass} />
+    </div>
+  );
+
+  const checkbox = (key, label, disabled = false) => (
+    <label className={`flex items-center gap-2 text-xs ${disabled ? 'text-slate-300' : 'text-slate-600 cursor-pointer'}`}>
+      <input type="checkbox" checked={options[key] && !disabled} disabled={disabled} onChange={(e) => set({ [key]: e.target.checked })} className="rounded text-blue-600 focus:ring-blue-500" />
+      {label}
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-200">
+          <div>
+            <h3 className="font-bold text-slate-800">Export Chart Image</h3>
+            <p className="text-xs text-slate-500">Standalone SVG or high-DPI PNG for papers and slides</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 text-slate-400 rounded-full transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <label className="text-xs text-slate-500 font-semibold">Chart</label>
+              <select value={options.kind} onChange={(e) => set({ kind: e.target.value })} className={fieldClass}>
+                {CHART_IMAGE_KINDS.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="text-xs text-slate-500 font-semibold">Title</label>
+              <input type="text" value={options.title} onChange={(e) => set({ title: e.target.value })} placeholder="No title" className={fieldClass} />
+            </div>
+            <div>
+              <label className="text-xs text-slate-500 font-semibold">Legend</label>
+              <select value={options.legend} onChange={(e) => set({ legend: e.target.value })} className={fieldClass}>
+                {LEGEND_POSITIONS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+              </select>
+            </div>
+            {numberField('width', 'Width (px)', 10)}
+            {numberField('height', 'Height (px)', 10)}
+            {numberField('fontSize', 'Font size (px)')}
+            {numberField('lineWidth', 'Line width (px)', 0.5)}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-x-5 gap-y-2">
+            {checkbox('showBands', 'Analysis bands')}
+            {checkbox('showHandles', 'Band handles', options.kind !== 'spectrum')}
+            <div className="flex items-center gap-2">
+              {checkbox('showHover', 'Cursor at')}
+              <input
+                type="number"
+                value={cursorFreq}
+                onChange={(e) => setCursorFreq(Number(e.target.value))}
+                disabled={!options.showHover}
+                className="w-20 p-1 border border-slate-300 rounded text-xs disabled:text-slate-300"
+              />
+              <span className="text-xs text-slate-500">Hz</span>
+            </div>
+            <div className="flex items-center gap-1 ml-auto">
+              {SIZE_PRESETS.map(p => (
+                <button
+                  key={p.label}
+                  onClick={() => set({ width: p.width, height: p.height })}
+                  title={`${p.width} × ${p.height} px`}
+                  className={`text-xs px-2 py-1 rounded-lg transition-colors ${effective.width === p.width && effective.height === p.height ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+                >
+                  {p.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="border border-slate-200 rounded-lg bg-slate-50 p-2">
+            <img
+              src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+              alt="Chart preview"
+              className="w-full h-auto max-h-[50vh] object-contain bg-white"
+            />
+          </div>
+          <p className="text-xs text-slate-400">
+            {effective.width} × {effective.height} px · PNG at {effective.scale}× is {effective.width * effective.scale} × {effective.height * effective.scale} px ({96 * effective.scale} dpi at the nominal size)
+          </p>
+          {error && <p className="text-xs text-red-500">{error}</p>}
+        </div>
+
+        <div className="flex items-center justify-end gap-2 px-5 py-4 border-t border-slate-200">
+          <label className="text-xs text-slate-500 font-semibold mr-1">PNG scale</label>
+          <select value={options.scale} onChange={(e) => set({ scale: Number(e.target.value) })} className="p-1.5 border border-slate-300 rounded text-xs bg-white outline-none mr-auto">
+            {PNG_SCALES.map(s => <option key={s} value={s}>{s}×</option>)}
+          </select>
+          <button
+            onClick={() => onDownload(svg, effective.kind, 'svg', 'image/svg+xml')}
+            className="flex items-center gap-1 text-xs font-semibold px-3 py-2 bg-slate-100 hover:bg-slate-200 text-slate-600 rounded-lg transition-colors"
+          >
+            <Download size={14} /> SVG
+          </button>
+          <button
+            onClick={downloadPng}
+            disabled={busy}
+            className="flex items-center gap-1 text-xs font-semibold px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white rounded-lg shadow-sm transition-colors"
+          >
+            <Download size={14} /> PNG
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChartExportDialog;
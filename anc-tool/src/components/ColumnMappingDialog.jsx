@@ -0,0 +1,123 @@
+import React, { useState, useMemo } from 'react';
+import { X } from 'lucide-react';
+import { DECIMAL_SEPARATORS, DELIMITERS, inspectColumns, parseMeasurement } from '../lib/parsers';
+
+/**
+ * Column mapping for generic CSV/text files.
+ * The user picks delimiter, decimal separator and the frequency / level
+ * columns; a preview of the first rows and a live point count confirm the choice.
+ */
+
+const fieldClass = "w-full mt-1 p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+
+const ColumnMappingDialog = ({ text, fileName, onConfirm, onCancel }) => {
+  const initial = useMemo(() => inspectColumns(text), [text]);
+  const [delimiter, setDelimiter] = useState(initial.delimiter);
+  const [decimal, setDecimal] = useState(initial.decimal);
+  const [freqColumn, setFreqColumn] = useState(0);
+  const [levelColumn, setLevelColumn] = useState(1);
+  const [phaseColumn, setPhaseColumn] = useState(-1);
+
+  const layout = useMemo(() => inspectColumns(text, { delimiter, decimal }), [text, delimiter, decimal]);
+  const mapping = { freqColumn, levelColumn, phaseColumn, delimiter, decimal };
+  const pointCount = useMemo(
+    () => parseMeasurement(text, { formatId: 'generic', mapping: { freqColumn, levelColumn, delimiter, decimal } }).data.length,
+    [text, freqColumn, levelColumn, delimiter, decimal],
+  );
+
+  const columnOptions = layout.columnNames.map((name, i) => <option key={i} value={i}>{name}</option>);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-200">
+          <div>
+            <h3 className="font-bold text-slate-800">Map Columns</h3>
+            <p className="text-xs text-slate-500 truncate">{fileName}</p>
+          </div>
+          <button onClick={onCancel} className="p-2 hover:bg-slate-100 text-slate-400 rounded-full transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <div>
+              <label className="text-xs text-slate-500 font-semibold">Delimiter</label>
+              <select value={delimiter} onChange={(e) => setDelimiter(e.target.value)} className={fieldClass}>
+                {DELIMITERS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-slate-500 font-semibold">Decimal</label>
+              <select value={decimal} onChange={(e) => setDecimal(e.target.value)} className={fieldClass}>
+                {DECIMAL_SEPARATORS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-slate-500 font-semibold">Frequency column</label>
+              <select value={freqColumn} onChange={(e) => setFreqColumn(Number(e.target.value))} className={fieldClass}>
+                {columnOptions}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-slate-500 font-semibold">Level column</label>
+              <select value={levelColumn} onChange={(e) => setLevelColumn(Number(e.target.value))} className={fieldClass}>
+                {columnOptions}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-slate-500 font-semibold">Phase column</label>
+              <select value={phaseColumn} onChange={(e) => setPhaseColumn(Number(e.target.value))} className={fieldClass}>
+                <option value={-1}>None</option>
+                {columnOptions}
+              </select>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto border border-slate-200 rounded-lg">
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr className="bg-slate-50 text-slate-500">
+                  {layout.columnNames.map((name, i) => (
+                    <th key={i} className={`text-left font-sans font-semibold px-2 py-1.5 ${i === freqColumn ? 'bg-slate-200 text-slate-800' : ''} ${i === levelColumn ? 'bg-blue-100 text-blue-800' : ''} ${i === phaseColumn ? 'bg-violet-100 text-violet-800' : ''}`}>
+                      {name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {layout.previewRows.map((row, r) => (
+                  <tr key={r} className="border-t border-slate-100">
+                    {layout.columnNames.map((_, i) => (
+                      <td key={i} className={`px-2 py-1 ${i === freqColumn ? 'bg-slate-100' : ''} ${i === levelColumn ? 'bg-blue-50' : ''} ${i === phaseColumn ? 'bg-violet-50' : ''}`}>{row[i] ?? ''}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className={`text-xs ${pointCount >= 2 ? 'text-slate-500' : 'text-red-500'}`}>
+            {pointCount} data points with this mapping
+          </p>
+        </div>
+
+        <div className="flex justify-end gap-2 px-5 py-4 border-t border-slate-200">
+          <button onClick={onCancel} className="text-xs font-semibold px-3 py-2 bg-slate-100 hover:bg-slate-200 text-slate-600 rounded-lg transition-colors">
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(mapping)}
+            disabled={pointCount < 2 || freqColumn === levelColumn}
+            className="text-xs font-semibold px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white rounded-lg shadow-sm transition-colors"
+          >
+            Use Columns
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingDialog;
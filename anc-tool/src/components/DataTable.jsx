@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Download } from 'lucide-react';
+import { filterRows, parseFilter, sortRows, tableColumns, tableRows } from '../lib/dataTable';
+
+/**
+ * Data table view: the aligned points of one trace (frequency, Before, After,
+ * difference) in the selected band or over the whole range, sortable and
+ * filterable per column. `onExport(format, table)` receives exactly what is
+ * shown: `{scope, columns, rows}`.
+ */
+
+// Helper: Filter text is valid (or empty)
+const isValidFilter = (text) => {
+  try {
+    parseFilter(text);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const DataTable = ({ aligned, band, unit = 'dB', onExport }) => {
+  const [scope, setScope] = useState('band'); // 'band' or 'all'
+  const [sort, setSort] = useState({ key: 'freq', dir: 'asc' });
+  const [filters, setFilters] = useState({});
+
+  const allRows = tableRows(aligned, scope === 'band' ? band.range : null);
+  const columns = tableColumns(allRows, unit);
+  const rows = sortRows(filterRows(allRows, filters), sort.key, sort.dir);
+  const scopeLabel = scope === 'band' ? `${band.name} (${Math.round(band.range[0])}–${Math.round(band.range[1])} Hz)` : 'All data';
+  const anyFilter = Object.values(filters).some(text => text.trim());
+
+  const handleSort = (key) => {
+    setSort(prev => ({ key, dir: prev.key === key && prev.dir === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  const exportAs = (format) => onExport(format, { scope: anyFilter ? `${scopeLabel}, filtered` : scopeLabel, columns, rows });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {[['band', `Band: ${band.name}`], ['all', 'All data']].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setScope(id)}
+            className={`text-xs font-semibold px-3 py-1.5 rounded-lg transition-colors max-w-[12rem] truncate ${scope === id ? 'bg-slate-800 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+          >
+            {label}
+          </button>
+        ))}
+        <span className="text-xs text-slate-400 ml-2">
+          {rows.length === allRows.length ? `${rows.length} points` : `${rows.length} of ${allRows.length} points`}
+        </span>
+        {anyFilter && (
+          <button onClick={() => setFilters({})} className="text-xs text-blue-600 hover:underline">Clear filters</button>
+        )}
+        <div className="flex items-center gap-1 ml-auto">
+          {[['csv', 'CSV'], ['json', 'JSON']].map(([format, label]) => (
+            <button
+              key={format}
+              onClick={() => exportAs(format)}
+              disabled={rows.length === 0}
+              title={`Download the table and band metrics as ${label}`}
+              className="flex items-center gap-1 text-xs font-semibold px-2 py-1.5 rounded-lg bg-slate-100 text-slate-600 hover:bg-slate-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Download size={12} /> {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="max-h-[480px] overflow-auto border border-slate-100 rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 bg-white">
+            <tr className="border-b border-slate-200 text-xs text-slate-500">
+              {columns.map(col => (
+                <th key={col.key} className="text-left font-semibold py-2 px-2 whitespace-nowrap">
+                  <button onClick={() => handleSort(col.key)} className="flex items-center gap-1 hover:text-slate-800">
+                    {col.label} ({col.unit})
+                    {sort.key === col.key && (sort.dir === 'asc' ? <ChevronUp size={12} /> : <ChevronDown size={12} />)}
+                  </button>
+                </th>
+              ))}
+            </tr>
+            <tr className="border-b border-slate-200">
+              {columns.map(col => {
+                const text = filters[col.key] || '';
+                return (
+                  <th key={col.key} className="py-1 px-2 font-normal">
+                    <input
+                      type="text"
+                      value={text}
+                      onChange={(e) => setFilters({ ...filters, [col.key]: e.target.value })}
+                      placeholder={col.key === 'freq' ? '100..500' : '< -10'}
+                      title='Filter: "< x", "<= x", "> x", ">= x", "= x" or a range "a..b"'
+                      className={`w-full min-w-[4rem] px-1.5 py-0.5 text-xs font-mono border rounded outline-none focus:ring-1 focus:ring-blue-500 ${isValidFilter(text) ? 'border-slate-200' : 'border-red-400 bg-red-50'}`}
+                    />
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {rows.map(row => (
+              <tr key={row.freq} className="border-b border-slate-100 hover:bg-slate-50">
+                {columns.map(col => {
+                  const value = row[col.key];
+                  const text = Number.isFinite(value) ? value.toFixed(col.digits) : '–';
+                  if (col.key !== 'diff') return <td key={col.key} className="py-1 px-2 text-slate-600">{text}</td>;
+                  return (
+                    <td key={col.key} className={`py-1 px-2 ${value <= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+                      {value > 0 ? '+' : ''}{text}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && (
+          <div className="py-8 text-center text-sm text-slate-400">No points {anyFilter ? 'match the filters' : 'in this range'}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
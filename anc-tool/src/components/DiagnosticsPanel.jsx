@@ -0,0 +1,66 @@
+import React from 'react';
+import { AlertTriangle, XCircle } from 'lucide-react';
+
+/**
+ * Parser diagnostics for one uploaded file: blocking errors, warnings,
+ * header metadata, examples of skipped lines and frequency coverage.
+ */
+
+const formatHz = (f) => (f >= 1000 ? `${+(f / 1000).toFixed(2)}k` : `${+f.toFixed(1)}`);
+
+const DiagnosticsPanel = ({ diagnostics }) => {
+  const { errors, warnings, metadata, skipped, coverage, pointCount } = diagnostics;
+
+  return (
+    <div className="text-xs space-y-2 p-3 rounded-lg border border-slate-200 bg-white">
+      {errors.map((msg, i) => (
+        <div key={`e${i}`} className="flex gap-2 text-red-600">
+          <XCircle size={14} className="shrink-0 mt-px" /> {msg}
+        </div>
+      ))}
+      {warnings.map((msg, i) => (
+        <div key={`w${i}`} className="flex gap-2 text-amber-600">
+          <AlertTriangle size={14} className="shrink-0 mt-px" /> {msg}
+        </div>
+      ))}
+
+      <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-slate-600 pt-1">
+        <dt className="text-slate-400">Points</dt>
+        <dd>{pointCount}</dd>
+        {coverage && (
+          <>
+            <dt className="text-slate-400">Coverage</dt>
+            <dd>{formatHz(coverage.fMin)} – {formatHz(coverage.fMax)} Hz ({Math.round(coverage.fraction * 100)}% of plot)</dd>
+          </>
+        )}
+        {metadata.software && (
+          <>
+            <dt className="text-slate-400">Software</dt>
+            <dd className="truncate">{metadata.software}</dd>
+          </>
+        )}
+        {metadata.fields.map(f => (
+          <React.Fragment key={f.key}>
+            <dt className="text-slate-400">{f.label}</dt>
+            <dd className="truncate" title={f.value}>{f.value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      {skipped.count > 0 && (
+        <div className="pt-1">
+          <p className="text-slate-400 mb-1">Skipped lines ({skipped.count}){skipped.count > skipped.examples.length ? ', first examples:' : ':'}</p>
+          <ul className="space-y-0.5 font-mono text-[11px] text-slate-500">
+            {skipped.examples.map(row => (
+              <li key={row.lineNumber} className="truncate" title={row.text}>
+                <span className="text-slate-400">L{row.lineNumber}</span> {row.text} <span className="font-sans text-slate-400">({row.reason})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -0,0 +1,196 @@
+import React from 'react';
+import { cachedPath, decimateMinMax, envelopePath, linePath } from '../lib/plotPaths';
+import { dbToY, freqToX, linearTicks, xToFreq, yToDb } from '../lib/viewport';
+import BandHighlights from './BandHighlights';
+import FloorRegions from './FloorRegions';
+import TraceLayer from './TraceLayer';
+import { useElementWidth } from './useElementWidth';
+
+/**
+ * Difference curve (After - Before) of every visible trace, with the spec
+ * mask, its failing regions, waterbed (amplification) and noise-floor limited
+ * regions, the effective bandwidth threshold and markers where manual limits
+ * clip the curve.
+ * While a mask is being drawn, clicks add points to it.
+ */
+
+const HEIGHT = 100;
+
+const DifferenceChart = ({
+  traces,
+  freqDomain,
+  diffDomain,
+  envelope,
+  threshold, // Attenuation threshold of the effective bandwidth (dB, positive)
+  bands,
+  activeBandId,
+  mask,
+  drawingPoints, // Points of the mask being drawn; null when not drawing
+  onAddMaskPoint,
+  onRemoveMaskPoint,
+}) => {
+  const { ref, element, width } = useElementWidth();
+  const h = HEIGHT;
+  const [minD, maxD] = diffDomain;
+  const toX = (f) => freqToX(f, width, freqDomain);
+  const diffToY = (diff) => dbToY(diff, h, minD, maxD);
+  const inView = (f) => f >= freqDomain[0] && f <= freqDomain[1];
+
+  const view = `${width}|${freqDomain}|${diffDomain}|${envelope}`;
+  const spreadKey = envelope === 'std' ? 'diffStd' : 'diffCi';
+  const layers = [
+    ...traces.map(t => ({
+      key: `${t.id}-envelope`,
+      d: envelope === 'none' ? '' : cachedPath(t.aligned, 'difference-envelope', view, () => (
+        envelopePath(decimateMinMax(t.aligned, freqDomain, width, 'diff'), 'diff', spreadKey, toX, diffToY)
+      )),
+      fill: t.color,
+      fillOpacity: 0.15,
+    })),
+    ...traces.map(t => ({
+      key: t.id,
+      // Values beyond manual limits run along the chart edge
+      d: cachedPath(t.aligned, 'difference', view, () => linePath(
+        decimateMinMax(t.aligned, freqDomain, width, 'diff'),
+        d => toX(d.freq),
+        d => diffToY(Math.max(minD, Math.min(maxD, d.diff)))
+      )),
+      stroke: t.color,
+      strokeWidth: 2,
+    })),
+  ];
+
+  // Manual limits can cut the curve off; mark where, so it isn't mistaken for data
+  const clippedMarks = (diffData) => diffData
+    .filter(d => inView(d.freq) && (d.diff < minD || d.diff > maxD))
+    .map(d => ({ x: toX(d.freq), y: d.diff > maxD ? 0 : h - 3 }));
+  const clipped = traces.map(t => ({ trace: t, marks: clippedMarks(t.aligned) }));
+  const anyClipped = clipped.some(c => c.marks.length > 0);
+  const anyWaterbed = traces.some(t => t.effectiveness?.waterbed.length > 0);
+  const anyFloorLimited = traces.some(t => t.floorCheck?.regions.length > 0);
+
+  const maskPath = mask ? linePath(mask.points, p => toX(p.freq), p => diffToY(p.db)) : '';
+
+  // While drawing, a click on the chart adds a mask point there
+  const handleMaskClick = (e) => {
+    if (!drawingPoints) return;
+    const rect = element.getBoundingClientRect();
+    onAddMaskPoint(xToFreq(e.clientX - rect.left, width, freqDomain), yToDb(e.clientY - rect.top, h, minD, maxD));
+  };
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <div className="flex items-center gap-2 mb-2">
+        <h3 className="text-sm font-semibold text-slate-600">Difference Curve (After - Before)</h3>
+        {mask && (
+          <span className="flex items-center gap-1 text-xs text-slate-500">
+            <svg width="18" height="4"><line x1="0" y1="2" x2="18" y2="2" stroke="#0f172a" strokeWidth="1.5" strokeDasharray="6 3" /></svg>
+            {mask.name}
+          </span>
+        )}
+        {anyWaterbed && (
+          <span className="flex items-center gap-1 text-xs text-slate-500" title="Regions where ANC amplifies the noise">
+            <span className="inline-block w-3 h-2.5 rounded-sm bg-amber-400/40"></span>
+            Waterbed
+          </span>
+        )}
+        {anyFloorLimited && (
+          <span className="flex items-center gap-1 text-xs text-slate-500" title="After level within the margin of the noise floor: the reduction there is limited by the measurement">
+            <svg width="12" height="10"><rect width="12" height="10" fill="url(#difference-floor-hatch)" /></svg>
+            Floor-limited
+          </span>
+        )}
+        {anyClipped && (
+          <span className="text-[10px] font-bold uppercase px-1.5 py-0.5 rounded bg-amber-100 text-amber-700" title="Some values lie outside the Difference axis limits">Clipped</span>
+        )}
+      </div>
+      <div ref={ref} className={`h-[100px] w-full relative ${drawingPoints ? 'cursor-crosshair' : ''}`}>
+        <svg width="100%" height="100%" className="overflow-visible" data-export="difference" onClick={handleMaskClick}>
+          <defs>
+            <clipPath id="difference-plot-area">
+              <rect x={0} y={0} width={width} height={h} />
+            </clipPath>
+          </defs>
+
+          {/* Grid and Y Labels */}
+          {linearTicks(diffDomain, 4).map(d => (
+            <g key={d}>
+              <line x1={0} y1={diffToY(d)} x2={width} y2={diffToY(d)} stroke={d === 0 ? '#94a3b8' : '#e2e8f0'} strokeDasharray="2 2" />
+              <text x={-5} y={diffToY(d) + 3} textAnchor="end" fontSize="10" fill="#64748b">{d === 0 ? '0 dB' : `${d > 0 ? '+' : ''}${d}`}</text>
+            </g>
+          ))}
+
+          <g clipPath="url(#difference-plot-area)">
+            {/* Band Highlights in Diff */}
+            <BandHighlights bands={bands} activeBandId={activeBandId} width={width} height={h} freqDomain={freqDomain} />
+
+            {/* Regions failing the spec mask */}
+            {traces.map(t => (t.maskCheck?.failRegions || []).map(([lo, hi]) => (
+              <rect
+                key={`${t.id}-${lo}`}
+                x={toX(lo)}
+                y={0}
+                width={Math.max(1, toX(hi) - toX(lo))}
+                height={h}
+                fill="#ef4444"
+                fillOpacity="0.15"
+              />
+            )))}
+
+            {/* Waterbed: where the controller amplifies instead of cancelling */}
+            {traces.map(t => (t.effectiveness?.waterbed || []).map(w => (
+              <rect
+                key={`${t.id}-wb-${w.range[0]}`}
+                x={toX(w.range[0])}
+                y={0}
+                width={Math.max(1, toX(w.range[1]) - toX(w.range[0]))}
+                height={h}
+                fill="#f59e0b"
+                fillOpacity="0.18"
+              >
+                <title>{`${t.label}: +${w.peakGain.toFixed(1)} dB amplification`}</title>
+              </rect>
+            )))}
+
+            <FloorRegions id="difference" traces={traces} width={width} height={h} freqDomain={freqDomain} />
+
+            {/* Effective bandwidth threshold */}
+            {threshold > 0 && -threshold > minD && (
+              <line x1={0} y1={diffToY(-threshold)} x2={width} y2={diffToY(-threshold)} stroke="#10b981" strokeWidth="1" strokeDasharray="1 3" />
+            )}
+
+            <TraceLayer width={width} height={h} layers={layers} />
+
+            {/* Spec mask */}
+            {maskPath && <path d={maskPath} fill="none" stroke="#0f172a" strokeWidth="1.5" strokeDasharray="6 3" />}
+
+            {/* Clipped regions as strips along the edge they ran past */}
+            {clipped.map(({ trace, marks }) => marks.map(m => (
+              <rect key={`${trace.id}-${m.x}`} x={m.x - 1} y={m.y} width={2} height={3} fill={trace.color} />
+            )))}
+          </g>
+
+          {/* Mask points while drawing (click one to remove it) */}
+          {drawingPoints && drawingPoints.map((p, i) => (
+            <circle
+              key={i}
+              data-export-ignore
+              cx={toX(p.freq)}
+              cy={diffToY(p.db)}
+              r={4}
+              fill="#fff"
+              stroke="#0f172a"
+              strokeWidth="1.5"
+              className="cursor-pointer"
+              onClick={(e) => { e.stopPropagation(); onRemoveMaskPoint(i); }}
+            >
+              <title>{`${p.freq} Hz, ${p.db} dB`}</title>
+            </circle>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default DifferenceChart;
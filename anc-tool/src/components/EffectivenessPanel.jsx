@@ -0,0 +1,93 @@
+import React from 'react';
+import { Crosshair } from 'lucide-react';
+import { ATTENUATION_THRESHOLDS } from '../lib/effectiveness';
+import { formatFreqTick } from '../lib/viewport';
+
+/**
+ * Automatic reading of each difference curve: effective cancellation
+ * bandwidth at the chosen threshold, peak attenuation and waterbed
+ * (amplification) regions. The effective bandwidth can be taken over as the
+ * active analysis band.
+ */
+
+// Helper: "180 – 950 Hz"
+const formatRange = ([lo, hi]) => `${formatFreqTick(lo)} – ${formatFreqTick(hi)} Hz`;
+
+const EffectivenessPanel = ({ traces, threshold, onThresholdChange, onUseRange }) => (
+  <div>
+    <div className="px-4 py-3 flex flex-wrap items-center justify-between gap-2 border-b border-slate-200">
+      <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">ANC Effectiveness</h3>
+      <label className="flex items-center gap-2 text-xs text-slate-500">
+        Attenuation threshold
+        <select
+          value={threshold}
+          onChange={(e) => onThresholdChange(Number(e.target.value))}
+          className="p-1 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+        >
+          {ATTENUATION_THRESHOLDS.map(t => <option key={t} value={t}>{t} dB</option>)}
+        </select>
+      </label>
+    </div>
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="bg-slate-50 text-xs font-bold text-slate-400 uppercase tracking-wider">
+          <th className="text-left px-4 py-2">Configuration</th>
+          <th className="text-left px-4 py-2">Effective bandwidth (≥ {threshold} dB)</th>
+          <th className="text-left px-4 py-2">Peak attenuation</th>
+          <th className="text-left px-4 py-2">Waterbed (amplification)</th>
+        </tr>
+      </thead>
+      <tbody>
+        {traces.map(t => {
+          const { peak, effective, waterbed } = t.effectiveness;
+          return (
+            <tr key={t.id} className={`border-t border-slate-100 align-top ${t.visible ? '' : 'opacity-50'}`}>
+              <td className="px-4 py-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <div className="w-3 h-3 shrink-0 rounded-full" style={{ backgroundColor: t.color }}></div>
+                  <span className="truncate max-w-[14rem] text-slate-700">{t.label}</span>
+                </div>
+              </td>
+              <td className="px-4 py-2">
+                {effective ? (
+                  <div className="flex items-center gap-2">
+                    <span className="font-mono text-slate-700">{formatRange(effective.range)}</span>
+                    <span className="text-xs text-slate-400">{effective.octaves.toFixed(1)} oct</span>
+                    <button
+                      onClick={() => onUseRange(effective.range)}
+                      className="flex items-center gap-1 text-xs font-semibold px-1.5 py-0.5 rounded bg-slate-100 hover:bg-slate-200 text-slate-600"
+                      title="Set the active band to this range"
+                    >
+                      <Crosshair size={12} /> Set band
+                    </button>
+                  </div>
+                ) : (
+                  <span className="text-xs text-slate-400">Never reaches {threshold} dB</span>
+                )}
+              </td>
+              <td className="px-4 py-2 font-mono text-slate-700">
+                {peak ? `-${peak.attenuation.toFixed(1)} dB @ ${formatFreqTick(peak.freq)} Hz` : '--'}
+              </td>
+              <td className="px-4 py-2">
+                {waterbed.length === 0 ? (
+                  <span className="text-xs font-semibold text-emerald-600">None</span>
+                ) : (
+                  <ul className="space-y-0.5">
+                    {waterbed.map(w => (
+                      <li key={w.range[0]} className="font-mono text-amber-700">
+                        +{w.peakGain.toFixed(1)} dB @ {formatFreqTick(w.peakFreq)} Hz
+                        <span className="ml-2 font-sans text-xs text-slate-400">{formatRange(w.range)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default EffectivenessPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { freqToX } from '../lib/viewport';
+
+/**
+ * Hatched spans where a trace's After level is within the margin of the noise
+ * floor (see lib/noiseFloor). `id` keeps the hatch pattern unique per chart.
+ */
+const FloorRegions = ({ id, traces, width, height, freqDomain }) => {
+  const patternId = `${id}-floor-hatch`;
+  return (
+    <g>
+      <defs>
+        <pattern id={patternId} width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+          <line x1="0" y1="0" x2="0" y2="6" stroke="#64748b" strokeWidth="1.5" strokeOpacity="0.35" />
+        </pattern>
+      </defs>
+      {traces.map(t => (t.floorCheck?.regions || []).map(([lo, hi]) => {
+        const x0 = freqToX(lo, width, freqDomain);
+        const x1 = freqToX(hi, width, freqDomain);
+        return (
+          <rect key={`${t.id}-${lo}`} x={x0} y={0} width={Math.max(1, x1 - x0)} height={height} fill={`url(#${patternId})`}>
+            <title>{`${t.label}: within ${t.floorCheck.margin} dB of the noise floor`}</title>
+          </rect>
+        );
+      }))}
+    </g>
+  );
+};
+
+export default FloorRegions;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Camera, Pause, Play, Power } from 'lucide-react';
+import { LIVE_AVERAGING } from '../lib/liveFrames';
+
+/**
+ * Live input controls: source URL, connection status, exponential averaging,
+ * freeze and snapshot. `live` is the `useLiveSource` state; `liveTrace` the
+ * After trace the frames are written to, once the first one has arrived.
+ */
+
+const DEFAULT_LIVE_URL = 'http://localhost:8765/events';
+
+const STATUS_DOT = {
+  idle: 'bg-slate-300',
+  connecting: 'bg-amber-400 animate-pulse',
+  live: 'bg-emerald-500 animate-pulse',
+  error: 'bg-red-500',
+};
+
+const LivePanel = ({ live, liveTrace, onSnapshot }) => {
+  const [url, setUrl] = useState(DEFAULT_LIVE_URL);
+  const { status, frames, frozen, averaging } = live;
+  const connected = status.state !== 'idle';
+  const fieldClass = "p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+
+  const statusText = {
+    idle: 'Not connected',
+    connecting: 'Connecting…',
+    live: frozen ? `Frozen · ${frames} frames` : `Live · ${frames} frames`,
+    error: 'Disconnected',
+  }[status.state];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          disabled={connected}
+          placeholder="ws://… or http://…"
+          title="WebSocket (ws://) or Server-Sent Events (http://) endpoint"
+          className={`${fieldClass} flex-1 min-w-0 font-mono disabled:bg-slate-50 disabled:text-slate-400`}
+        />
+        <button
+          onClick={() => (connected ? live.disconnect() : live.connect(url.trim()))}
+          className={`flex items-center gap-1 shrink-0 text-xs font-semibold px-2 py-1.5 rounded transition-colors ${connected ? 'bg-slate-100 hover:bg-slate-200 text-slate-600' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
+        >
+          <Power size={12} /> {connected ? 'Disconnect' : 'Connect'}
+        </button>
+      </div>
+      <div className="flex items-center gap-2 text-xs text-slate-500">
+        <span className={`w-2 h-2 shrink-0 rounded-full ${frozen && status.state === 'live' ? 'bg-sky-400' : STATUS_DOT[status.state]}`}></span>
+        <span className="font-semibold">{statusText}</span>
+        {status.message && <span className="truncate text-slate-400" title={status.message}>{status.message}</span>}
+      </div>
+      <div className="flex gap-2">
+        <select
+          value={averaging}
+          onChange={(e) => live.setAveraging(e.target.value)}
+          title="Exponential averaging of incoming frames"
+          className={`${fieldClass} flex-1 min-w-0`}
+        >
+          {LIVE_AVERAGING.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+        </select>
+        <button
+          onClick={live.toggleFrozen}
+          disabled={!connected}
+          title={frozen ? 'Resume live updates' : 'Hold the current trace'}
+          className="p-1.5 rounded bg-slate-100 hover:bg-slate-200 text-slate-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          {frozen ? <Play size={14} /> : <Pause size={14} />}
+        </button>
+        <button
+          onClick={onSnapshot}
+          disabled={!liveTrace}
+          title="Keep the current live trace as a new After configuration"
+          className="p-1.5 rounded bg-slate-100 hover:bg-slate-200 text-slate-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <Camera size={14} />
+        </button>
+      </div>
+      <p className="text-xs text-slate-400 leading-relaxed">
+        Frames update a "Live" After trace. For a test source, run <code className="font-mono">npm run live-replay -- &lt;file&gt;</code>.
+      </p>
+    </div>
+  );
+};
+
+export default LivePanel;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { Download, PenLine, Trash2, Upload, X } from 'lucide-react';
+
+/**
+ * Spec mask editor for the sidebar: load a mask from CSV, draw it on the
+ * difference chart, fine-tune individual points and save it back to CSV.
+ */
+
+const inputClass = "w-full p-1.5 border border-slate-300 rounded text-xs bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+const buttonClass = "flex-1 flex items-center justify-center gap-1 text-xs font-semibold py-1.5 rounded transition-colors";
+
+const MaskPanel = ({ mask, drawing, onLoadFile, onToggleDraw, onChange, onSave, onClear }) => {
+  const updatePoint = (index, changes) => onChange({
+    ...mask,
+    points: mask.points.map((p, i) => (i === index ? { ...p, ...changes } : p)),
+  });
+  const removePoint = (index) => onChange({ ...mask, points: mask.points.filter((_, i) => i !== index) });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <label className={`${buttonClass} cursor-pointer bg-slate-100 hover:bg-slate-200 text-slate-600`}>
+          <Upload size={12} /> Load CSV
+          <input
+            type="file"
+            accept=".csv,.txt"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onLoadFile(file);
+            }}
+          />
+        </label>
+        <button
+          onClick={onToggleDraw}
+          className={`${buttonClass} ${drawing ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-slate-100 hover:bg-slate-200 text-slate-600'}`}
+        >
+          <PenLine size={12} /> {drawing ? 'Done' : 'Draw'}
+        </button>
+      </div>
+
+      {drawing && (
+        <p className="text-xs text-blue-700 bg-blue-50 rounded p-2">
+          Click the difference chart to add limit points; click a point to remove it.
+        </p>
+      )}
+
+      {mask && (
+        <>
+          <input
+            type="text"
+            value={mask.name}
+            onChange={(e) => onChange({ ...mask, name: e.target.value })}
+            title="Mask name"
+            className={`${inputClass} font-semibold text-slate-700`}
+          />
+          <div className="max-h-48 overflow-y-auto space-y-1">
+            {mask.points.map((p, i) => (
+              <div key={i} className="flex items-center gap-1">
+                <input
+                  type="number"
+                  value={p.freq}
+                  onChange={(e) => updatePoint(i, { freq: Number(e.target.value) })}
+                  title="Frequency (Hz)"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  step="0.5"
+                  value={p.db}
+                  onChange={(e) => updatePoint(i, { db: Number(e.target.value) })}
+                  title="Limit (dB)"
+                  className={inputClass}
+                />
+                <button onClick={() => removePoint(i)} title="Remove point" className="p-1 text-slate-400 hover:text-red-500 rounded">
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={onSave}
+              disabled={mask.points.length < 2}
+              className={`${buttonClass} bg-slate-100 hover:bg-slate-200 text-slate-600 disabled:opacity-40`}
+            >
+              <Download size={12} /> Save CSV
+            </button>
+            <button onClick={onClear} className={`${buttonClass} bg-slate-100 hover:bg-red-50 text-slate-600 hover:text-red-600`}>
+              <Trash2 size={12} /> Remove
+            </button>
+          </div>
+        </>
+      )}
+
+      <p className="text-xs text-slate-400 leading-relaxed">
+        Limits apply to the difference curve (After - Before): -10 dB requires at least 10 dB of reduction. CSV columns are frequency (Hz) and limit (dB).
+      </p>
+    </div>
+  );
+};
+
+export default MaskPanel;
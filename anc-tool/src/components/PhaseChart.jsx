@@ -0,0 +1,106 @@
+import React from 'react';
+import { wrapPhase } from '../lib/phase';
+import { cachedPath, decimateMinMax, linePath } from '../lib/plotPaths';
+import { freqToX } from '../lib/viewport';
+import BandHighlights from './BandHighlights';
+import TraceLayer from './TraceLayer';
+import { useElementWidth } from './useElementWidth';
+
+/**
+ * Phase of Before, After and their difference for one trace, wrapped to
+ * ±180° or unwrapped.
+ */
+
+const HEIGHT = 140;
+
+const PhaseChart = ({ trace, mode, onModeChange, freqDomain, bands, activeBandId, hover, onHover, onHoverEnd }) => {
+  const { ref, element, width } = useElementWidth();
+  const h = HEIGHT;
+  const aligned = trace.aligned;
+  const wrapped = mode === 'wrapped';
+  const series = [
+    { key: 'before', color: '#94a3b8', opacity: 0.5, values: aligned.map(d => d.phaseBefore) },
+    { key: 'after', color: trace.color, opacity: 1, values: aligned.map(d => d.phaseAfter) },
+    { key: 'diff', color: '#ef4444', opacity: 1, values: aligned.map(d => d.phaseAfter - d.phaseBefore) },
+  ].map(s => ({ ...s, values: wrapped ? s.values.map(wrapPhase) : s.values }));
+
+  // Wrapped phase always spans ±180°; unwrapped is fitted to whole quarter turns
+  let minP = -180;
+  let maxP = 180;
+  if (!wrapped) {
+    const all = series.flatMap(s => s.values);
+    minP = Math.floor(Math.min(...all) / 90) * 90;
+    maxP = Math.max(minP + 90, Math.ceil(Math.max(...all) / 90) * 90);
+  }
+  const phaseToY = (p) => h - ((p - minP) / (maxP - minP)) * h;
+  const tickStep = wrapped ? 90 : Math.max(90, Math.ceil((maxP - minP) / 4 / 90) * 90);
+
+  // Wrapped curves jump at ±180°; those steps start a new segment instead of a vertical line
+  const view = `${width}|${freqDomain}|${mode}|${minP}|${maxP}`;
+  const layers = series.map(s => ({
+    key: s.key,
+    d: cachedPath(aligned, `phase-${s.key}`, view, () => linePath(
+      decimateMinMax(aligned.map((d, i) => ({ freq: d.freq, phase: s.values[i] })), freqDomain, width, 'phase'),
+      p => freqToX(p.freq, width, freqDomain),
+      p => phaseToY(p.phase),
+      (p, prev) => Math.abs(p.phase - prev.phase) > 180
+    )),
+    stroke: s.color,
+    strokeWidth: s.key === 'diff' ? 2 : 1.5,
+    strokeOpacity: s.opacity,
+  }));
+
+  const ticks = [];
+  for (let p = minP; p <= maxP; p += tickStep) ticks.push(p);
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-semibold text-slate-600">Phase Response <span className="font-normal text-slate-400">· {trace.label}</span></h3>
+        <div className="flex bg-slate-100 rounded-lg p-0.5 text-xs font-semibold">
+          {[['wrapped', 'Wrapped'], ['unwrapped', 'Unwrapped']].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => onModeChange(id)}
+              className={`px-2 py-0.5 rounded-md transition-colors ${mode === id ? 'bg-white shadow-sm text-slate-800' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div
+        ref={ref}
+        className="h-[140px] w-full relative"
+        onMouseMove={(e) => onHover(e.clientX - element.getBoundingClientRect().left, width)}
+        onMouseLeave={onHoverEnd}
+      >
+        <svg width="100%" height="100%" className="overflow-visible" data-export="phase">
+          <defs>
+            <clipPath id="phase-plot-area">
+              <rect x={0} y={0} width={width} height={h} />
+            </clipPath>
+          </defs>
+
+          {ticks.map(p => (
+            <g key={p}>
+              <line x1={0} y1={phaseToY(p)} x2={width} y2={phaseToY(p)} stroke="#e2e8f0" strokeDasharray={p === 0 ? '2 2' : undefined} />
+              <text x={-5} y={phaseToY(p) + 3} textAnchor="end" fontSize="10" fill="#64748b">{p}°</text>
+            </g>
+          ))}
+
+          <g clipPath="url(#phase-plot-area)">
+            <BandHighlights bands={bands} activeBandId={activeBandId} width={width} height={h} freqDomain={freqDomain} />
+            <TraceLayer width={width} height={h} layers={layers} />
+          </g>
+
+          {hover && (
+            <line data-export-ignore x1={hover.x} y1={0} x2={hover.x} y2={h} stroke="#475569" strokeWidth="1" />
+          )}
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default PhaseChart;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { ArrowRight } from 'lucide-react';
+import { formatRating } from '../lib/ratings';
+import { formatBandLabel } from '../lib/octaveBands';
+import { formatFreqTick } from '../lib/viewport';
+
+/**
+ * Single-number ratings per configuration, Before → After: ISO NR, NC and
+ * the overall A-weighted level (see lib/ratings). `ratings` maps trace ids
+ * to `computeRatings` results.
+ */
+
+// Helper: Tooltip naming the governing band
+const governedBy = (result) => (result ? `${result.value.toFixed(1)}, set by the ${formatBandLabel(result.band)} Hz band` : undefined);
+
+// Helper: Signed change, green when it went down
+const Delta = ({ value, digits = 0 }) => {
+  if (!Number.isFinite(value)) return null;
+  const text = value.toFixed(digits);
+  const zero = Number(text) === 0;
+  return (
+    <span className={`ml-2 text-xs font-bold ${zero ? 'text-slate-400' : value < 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+      {value > 0 && !zero ? '+' : ''}{text}
+    </span>
+  );
+};
+
+const Change = ({ before, after, beforeTitle, afterTitle, delta, digits }) => (
+  <div className="flex items-center gap-1.5 font-mono whitespace-nowrap">
+    <span className="text-slate-500" title={beforeTitle}>{before}</span>
+    <ArrowRight size={12} className="text-slate-300" />
+    <span className="font-semibold text-slate-800" title={afterTitle}>{after}</span>
+    <Delta value={delta} digits={digits} />
+  </div>
+);
+
+// Helper: Rating change, only when both sides are within the rated range
+const ratingDelta = (before, after) => (before && after && !before.outOfRange && !after.outOfRange ? after.rating - before.rating : NaN);
+
+const RatingsPanel = ({ traces, ratings }) => {
+  const first = traces.map(t => ratings[t.id]).find(r => r?.range);
+  const missing = first?.before.nr ? first.before.nr.missingBands : [];
+  return (
+    <div>
+      <div className="px-4 py-3 border-b border-slate-200">
+        <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">Noise Ratings · Before → After</h3>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="bg-slate-50 text-xs font-bold text-slate-400 uppercase tracking-wider">
+            <th className="text-left px-4 py-2">Configuration</th>
+            <th className="text-left px-4 py-2">NR (ISO)</th>
+            <th className="text-left px-4 py-2">NC</th>
+            <th className="text-left px-4 py-2">Overall L<sub>Aeq</sub></th>
+          </tr>
+        </thead>
+        <tbody>
+          {traces.map(t => {
+            const r = ratings[t.id];
+            const { before, after } = r || { before: {}, after: {} };
+            return (
+              <tr key={t.id} className={`border-t border-slate-100 ${t.visible ? '' : 'opacity-50'}`}>
+                <td className="px-4 py-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <div className="w-3 h-3 shrink-0 rounded-full" style={{ backgroundColor: t.color }}></div>
+                    <span className="truncate max-w-[14rem] text-slate-700">{t.label}</span>
+                  </div>
+                </td>
+                <td className="px-4 py-2">
+                  <Change
+                    before={formatRating(before.nr, 'NR')}
+                    after={formatRating(after.nr, 'NR')}
+                    beforeTitle={governedBy(before.nr)}
+                    afterTitle={governedBy(after.nr)}
+                    delta={ratingDelta(before.nr, after.nr)}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <Change
+                    before={formatRating(before.nc, 'NC')}
+                    after={formatRating(after.nc, 'NC')}
+                    beforeTitle={governedBy(before.nc)}
+                    afterTitle={governedBy(after.nc)}
+                    delta={ratingDelta(before.nc, after.nc)}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <Change
+                    before={Number.isFinite(before.laeq) ? `${before.laeq.toFixed(1)} dBA` : '--'}
+                    after={Number.isFinite(after.laeq) ? `${after.laeq.toFixed(1)} dBA` : '--'}
+                    delta={after.laeq - before.laeq}
+                    digits={1}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="px-4 py-2 border-t border-slate-100 text-xs text-slate-400">
+        From unweighted, unsmoothed octave-band levels{first ? ` over ${formatFreqTick(first.range[0])} – ${formatFreqTick(first.range[1])} Hz` : ''}, whatever the display weighting; meaningful for calibrated SPL data only.
+        {missing.length > 0 && ` Not covered by the data: ${missing.map(formatBandLabel).join(', ')} Hz, so the ratings may read low.`}
+        {' '}Hover a rating for its exact value and governing band.
+      </p>
+    </div>
+  );
+};
+
+export default RatingsPanel;
@@ -0,0 +1,309 @@
+import React, { useEffect, useState } from 'react';
+import { moveRange } from '../lib/bands';
+import { cachedPath, decimateMinMax, envelopePath, linePath } from '../lib/plotPaths';
+import { dbToY, formatFreqTick, freqToX, linearTicks, logTicks, panLogDomain, xToFreq, yToDb, zoomLinearDomain, zoomLogDomain } from '../lib/viewport';
+import FloorRegions from './FloorRegions';
+import TraceLayer from './TraceLayer';
+import { useElementWidth } from './useElementWidth';
+
+/**
+ * Main Before / After spectrum chart: the curves (with repeat envelopes), the
+ * optional noise floor with the spans it limits, analysis bands with drag
+ * handles, wheel / box zoom and panning, and the hover tooltip. Curves are decimated to the plot width and drawn on a
+ * canvas, so dragging and hovering stay smooth with very dense exports.
+ */
+
+const BEFORE_COLOR = '#94a3b8';
+const FLOOR_COLOR = '#475569';
+
+const SpectrumChart = ({
+  height,
+  plotBefore,
+  plotFloor, // Noise floor curve; null when none is loaded
+  traces,
+  unit,
+  freqDomain,
+  freqLimits,
+  dbDomain,
+  envelope,
+  bands,
+  activeBand,
+  tool,
+  hover,
+  focusTrace,
+  onHover,
+  onHoverEnd,
+  onFreqDomainChange,
+  onDbDomainChange,
+  onBandChange,
+  onActiveBandChange,
+}) => {
+  const { ref, element, width } = useElementWidth();
+  const [drag, setDrag] = useState(null); // Band: { type: 'start' | 'end' | 'range', ... }, view: { type: 'box' | 'pan', ... }
+  const [minDb, maxDb] = dbDomain;
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling.
+  // Frequency zooms around the mouse; Shift zooms the dB axis instead.
+  useEffect(() => {
+    if (!element) return undefined;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = element.getBoundingClientRect();
+      const factor = (e.deltaY || e.deltaX) > 0 ? 1.2 : 1 / 1.2;
+      if (e.shiftKey) {
+        const anchor = yToDb(e.clientY - rect.top, height, minDb, maxDb);
+        onDbDomainChange(zoomLinearDomain(dbDomain, anchor, factor));
+      } else {
+        const anchor = xToFreq(e.clientX - rect.left, rect.width, freqDomain);
+        onFreqDomainChange(zoomLogDomain(freqDomain, anchor, factor, freqLimits));
+      }
+    };
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  });
+
+  const toX = (f) => freqToX(f, width, freqDomain);
+  const toY = (db) => dbToY(db, height, minDb, maxDb);
+
+  // Curves are only rebuilt when the data or the view changes, not on hover or band drags
+  const view = `${width}|${height}|${freqDomain}|${dbDomain}|${envelope}`;
+  const curve = (data) => cachedPath(data, 'spectrum', view, () => (
+    linePath(decimateMinMax(data, freqDomain, width), d => toX(d.freq), d => toY(d.spl))
+  ));
+  const spread = (data) => (envelope === 'none' ? '' : cachedPath(data, 'spectrum-envelope', view, () => (
+    envelopePath(decimateMinMax(data, freqDomain, width), 'spl', envelope, toX, toY)
+  )));
+  const layers = [
+    { key: 'before-envelope', d: spread(plotBefore), fill: BEFORE_COLOR, fillOpacity: 0.2 },
+    ...traces.map(t => ({ key: `${t.id}-envelope`, d: spread(t.plot), fill: t.color, fillOpacity: 0.15 })),
+    { key: 'before', d: curve(plotBefore), stroke: BEFORE_COLOR, strokeWidth: 2, strokeOpacity: 0.5 },
+    ...traces.map(t => ({ key: t.id, d: curve(t.plot), stroke: t.color, strokeWidth: 2 })),
+    ...(plotFloor ? [{ key: 'floor', d: curve(plotFloor), stroke: FLOOR_COLOR, strokeWidth: 1.5, strokeDasharray: '4 3' }] : []),
+  ];
+
+  // Grid Lines (Log X)
+  const xGridLines = [];
+  const xLabels = [];
+  logTicks(freqDomain).forEach(f => {
+    const x = toX(f);
+    xGridLines.push(<line key={f} x1={x} y1={0} x2={x} y2={height} stroke="#e2e8f0" strokeDasharray="4 4" />);
+    xLabels.push(<text key={f} x={x} y={height + 15} textAnchor="middle" fontSize="10" fill="#64748b">{formatFreqTick(f)}</text>);
+  });
+
+  // Grid Lines (Linear Y)
+  const yGridLines = [];
+  for (const db of linearTicks(dbDomain, 8)) {
+    const y = toY(db);
+    yGridLines.push(<line key={db} x1={0} y1={y} x2={width} y2={y} stroke="#e2e8f0" />);
+    yGridLines.push(<text key={`t${db}`} x={-5} y={y + 3} textAnchor="end" fontSize="10" fill="#64748b">{db}</text>);
+  }
+
+  // Active band handles
+  const range = activeBand.range;
+  const xStart = toX(range[0]);
+  const xEnd = toX(range[1]);
+  const inPlot = (x) => x >= 0 && x <= width;
+
+  // Helper: Mouse position in plot coordinates, clamped to the plot
+  const mousePos = (e) => {
+    const rect = element.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(width, e.clientX - rect.left)),
+      y: Math.max(0, Math.min(height, e.clientY - rect.top)),
+    };
+  };
+  const mouseFreq = (e) => xToFreq(mousePos(e).x, width, freqDomain);
+
+  const handleMouseDown = (e, type, band) => {
+    // With the zoom / pan tools the event falls through to the plot background
+    if (tool !== 'bands') return;
+    e.preventDefault();
+    e.stopPropagation();
+    onActiveBandChange(band.id);
+    setDrag({ type, bandId: band.id, originFreq: mouseFreq(e), originRange: band.range });
+  };
+
+  // Box zoom and pan start anywhere on the plot
+  const handlePlotMouseDown = (e) => {
+    if (tool === 'bands') return;
+    e.preventDefault();
+    const { x, y } = mousePos(e);
+    if (tool === 'zoom') setDrag({ type: 'box', x0: x, y0: y, x1: x, y1: y });
+    else setDrag({ type: 'pan', originX: x, originY: y, originFreq: freqDomain, originDb: dbDomain });
+  };
+
+  const handleMouseMove = (e) => {
+    if (drag?.type === 'box') {
+      const { x, y } = mousePos(e);
+      setDrag({ ...drag, x1: x, y1: y });
+      return;
+    }
+    if (drag?.type === 'pan') {
+      const { x, y } = mousePos(e);
+      const [f0, f1] = drag.originFreq;
+      const [d0, d1] = drag.originDb;
+      onFreqDomainChange(panLogDomain(drag.originFreq, Math.pow(f1 / f0, -(x - drag.originX) / width), freqLimits));
+      const shift = ((y - drag.originY) / height) * (d1 - d0);
+      onDbDomainChange([d0 + shift, d1 + shift]);
+      return;
+    }
+    if (!drag) {
+      onHover(e.clientX - element.getBoundingClientRect().left, width);
+      return;
+    }
+
+    const band = bands.find(b => b.id === drag.bandId);
+    if (!band) return;
+    const newFreq = mouseFreq(e);
+    const [lo, hi] = band.range;
+
+    if (drag.type === 'start') {
+      onBandChange(band.id, [Math.min(newFreq, hi - 10), hi]);
+    } else if (drag.type === 'end') {
+      onBandChange(band.id, [lo, Math.max(newFreq, lo + 10)]);
+    } else if (drag.type === 'range') {
+      // Whole band moves in log frequency, keeping its width in octaves
+      onBandChange(band.id, moveRange(drag.originRange, newFreq / drag.originFreq, freqLimits));
+    }
+  };
+
+  const handleMouseUp = () => {
+    // A box smaller than a few pixels in one direction leaves that axis alone
+    if (drag?.type === 'box') {
+      const [xa, xb] = [drag.x0, drag.x1].sort((p, q) => p - q);
+      const [ya, yb] = [drag.y0, drag.y1].sort((p, q) => p - q);
+      if (xb - xa > 5) onFreqDomainChange([xToFreq(xa, width, freqDomain), xToFreq(xb, width, freqDomain)]);
+      if (yb - ya > 5) onDbDomainChange([yToDb(yb, height, minDb, maxDb), yToDb(ya, height, minDb, maxDb)]);
+    }
+    setDrag(null);
+  };
+
+  // Active band drawn last so it sits on top where bands overlap
+  const orderedBands = [...bands.filter(b => b.id !== activeBand.id), activeBand];
+
+  const plotCursor = { zoom: 'cursor-crosshair', pan: drag?.type === 'pan' ? 'cursor-grabbing' : 'cursor-grab' }[tool] || '';
+
+  const handle = (type, x, label) => (
+    <g
+      transform={`translate(${x}, 0)`}
+      className="cursor-ew-resize group"
+      onMouseDown={(e) => handleMouseDown(e, type, activeBand)}
+    >
+      <line y1={0} y2={height} stroke={activeBand.color} strokeWidth="2" strokeDasharray="4 2" />
+      <circle cy={height / 2} r={8} fill={activeBand.color} className="group-hover:scale-125 transition-transform shadow-sm" />
+      <text y={-10} textAnchor="middle" fontSize="12" fontWeight="bold" fill={activeBand.color}>{Math.round(label)}</text>
+    </g>
+  );
+
+  return (
+    <div
+      ref={ref}
+      className={`relative select-none ${plotCursor}`}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onMouseLeave={() => { setDrag(null); onHoverEnd(); }}
+    >
+      <svg
+        width="100%"
+        height={height + 30}
+        className="overflow-visible"
+        data-export="chart"
+        onMouseDown={handlePlotMouseDown}
+      >
+        <defs>
+          <clipPath id="chart-plot-area">
+            <rect x={0} y={0} width={width} height={height} />
+          </clipPath>
+        </defs>
+
+        {/* Grids */}
+        {xGridLines}
+        {yGridLines}
+        {xLabels}
+        <text x={-5} y={-10} textAnchor="end" fontSize="10" fontWeight="bold" fill="#64748b">{unit}</text>
+
+        <g clipPath="url(#chart-plot-area)">
+          {/* Analysis Bands (drag to move) */}
+          {orderedBands.map(b => {
+            const x0 = toX(b.range[0]);
+            const x1 = toX(b.range[1]);
+            return (
+              <g key={b.id} className={tool === 'bands' ? 'cursor-move' : ''} onMouseDown={(e) => handleMouseDown(e, 'range', b)}>
+                <rect
+                  x={x0}
+                  y={0}
+                  width={Math.max(0, x1 - x0)}
+                  height={height}
+                  fill={b.color}
+                  fillOpacity={b.id === activeBand.id ? 0.18 : 0.1}
+                />
+                {bands.length > 1 && (
+                  <text x={x0 + 4} y={12} fontSize="10" fontWeight="bold" fill={b.color}>{b.name}</text>
+                )}
+              </g>
+            );
+          })}
+
+          {/* After levels too close to the noise floor to trust */}
+          <FloorRegions id="spectrum" traces={traces} width={width} height={height} freqDomain={freqDomain} />
+
+          {/* Data: repeat envelopes, then the curves */}
+          <TraceLayer width={width} height={height} layers={layers} />
+        </g>
+
+        {/* Handles (active band), hidden when zoomed out of view */}
+        {tool === 'bands' && inPlot(xStart) && handle('start', xStart, range[0])}
+        {tool === 'bands' && inPlot(xEnd) && handle('end', xEnd, range[1])}
+
+        {/* Box zoom selection */}
+        {drag?.type === 'box' && (
+          <rect
+            data-export-ignore
+            x={Math.min(drag.x0, drag.x1)} y={Math.min(drag.y0, drag.y1)}
+            width={Math.abs(drag.x1 - drag.x0)} height={Math.abs(drag.y1 - drag.y0)}
+            fill="#3b82f6" fillOpacity="0.1" stroke="#3b82f6" strokeDasharray="4 2"
+          />
+        )}
+
+        {/* Tooltip Hover Line */}
+        {hover && !drag && (
+          <g data-export-ignore>
+            <line x1={hover.x} y1={0} x2={hover.x} y2={height} stroke="#475569" strokeWidth="1" />
+            <circle cx={hover.x} cy={toY(hover.before)} r={4} fill={BEFORE_COLOR} />
+            {hover.traces.map(p => (
+              <circle key={p.id} cx={hover.x} cy={toY(p.after)} r={4} fill={p.color} />
+            ))}
+          </g>
+        )}
+      </svg>
+
+      {/* Floating Tooltip */}
+      {hover && !drag && (
+        <div
+          className="absolute top-0 bg-slate-900/90 text-white text-xs p-2 rounded shadow-lg pointer-events-none"
+          style={{ left: hover.x + 10 }}
+        >
+          <div className="font-bold mb-1">{Math.round(hover.freq)} Hz</div>
+          <div className="flex items-center gap-2 text-slate-300">
+            <div className="w-2 h-2 rounded-full bg-slate-400"></div>
+            Before: {hover.before.toFixed(1)} {unit}
+          </div>
+          {hover.traces.map(p => (
+            <div key={p.id} className="flex items-center gap-2 text-slate-100">
+              <div className="w-2 h-2 rounded-full" style={{ backgroundColor: p.color }}></div>
+              <span className="max-w-[10rem] truncate">{p.label}:</span> {p.after.toFixed(1)} {unit}
+              <span className="font-mono text-green-400">({p.diff > 0 ? '+' : ''}{p.diff.toFixed(1)} dB)</span>
+            </div>
+          ))}
+          {hover.phaseDiff !== undefined && focusTrace && (
+            <div className="font-mono text-violet-300">
+              Phase Δ ({focusTrace.label}): {hover.phaseDiff.toFixed(0)}°
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpectrumChart;
@@ -0,0 +1,80 @@
+import React, { memo, useEffect, useRef } from 'react';
+
+/**
+ * Curves of a chart, drawn on a canvas inside the chart's SVG.
+ * Dense measurements would mean tens of thousands of SVG path segments that
+ * the browser re-lays out on every hover or band drag; a canvas is only
+ * repainted when the curves themselves change. The same paths are kept in a
+ * hidden group that the report export shows in place of the canvas.
+ *
+ * Each layer: { key, d, stroke?, strokeWidth?, strokeOpacity?, strokeDasharray?, fill?, fillOpacity? }
+ */
+
+const TraceLayer = ({ width, height, layers }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || width <= 0) return;
+    // Backing store at device resolution keeps lines sharp on HiDPI screens
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineJoin = 'round';
+    for (const layer of layers) {
+      if (!layer.d) continue;
+      const path = new Path2D(layer.d);
+      if (layer.fill) {
+        ctx.globalAlpha = layer.fillOpacity ?? 1;
+        ctx.fillStyle = layer.fill;
+        ctx.fill(path);
+      }
+      if (layer.stroke) {
+        ctx.globalAlpha = layer.strokeOpacity ?? 1;
+        ctx.strokeStyle = layer.stroke;
+        ctx.lineWidth = layer.strokeWidth ?? 1;
+        ctx.setLineDash(layer.strokeDasharray ? layer.strokeDasharray.split(' ').map(Number) : []);
+        ctx.stroke(path);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }, [width, height, layers]);
+
+  return (
+    <>
+      <foreignObject x={0} y={0} width={Math.max(0, width)} height={height} data-export-ignore pointerEvents="none">
+        <canvas ref={canvasRef} style={{ width, height, display: 'block' }} />
+      </foreignObject>
+      <g data-export-only display="none">
+        {layers.map(l => l.d && (
+          <path
+            key={l.key}
+            d={l.d}
+            fill={l.fill || 'none'}
+            fillOpacity={l.fillOpacity}
+            stroke={l.stroke || 'none'}
+            strokeWidth={l.strokeWidth}
+            strokeOpacity={l.strokeOpacity}
+            strokeDasharray={l.strokeDasharray}
+          />
+        ))}
+      </g>
+    </>
+  );
+};
+
+// Helper: Layers are rebuilt on every chart render; repaint only when one actually differs
+const sameLayers = (prev, next) => (
+  prev.width === next.width
+  && prev.height === next.height
+  && prev.layers.length === next.layers.length
+  && prev.layers.every((l, i) => {
+    const n = next.layers[i];
+    return Object.keys(l).length === Object.keys(n).length && Object.keys(l).every(k => l[k] === n[k]);
+  })
+);
+
+export default memo(TraceLayer, sameLayers);
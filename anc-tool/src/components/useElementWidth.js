@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Tracks the rendered width of an element. Returns a callback ref to attach,
+ * the element itself and its width (0 until it has been measured), so charts
+ * follow container resizes as well as window resizes.
+ * @returns {{ref: (node: Element | null) => void, element: Element | null, width: number}}
+ */
+export const useElementWidth = () => {
+  const [element, setElement] = useState(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    if (!element) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [element]);
+
+  return { ref: setElement, element, width };
+};
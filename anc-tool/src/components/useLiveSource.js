@@ -0,0 +1,113 @@
+import { useEffect, useRef, useState } from 'react';
+import { averageFrame, DEFAULT_LIVE_AVERAGING, getLiveAveraging, parseLiveFrame } from '../lib/liveFrames';
+import { connectLiveSource } from '../live/liveSource';
+
+/**
+ * Live spectrum input: connection state, exponential averaging and freezing.
+ * Every frame is averaged as it arrives, but `onFrame` gets the running
+ * average at most once per animation frame, so a fast source never queues up
+ * more analysis work than the screen can show.
+ * @param {(frame: {data: Array, label: string | null}) => void} onFrame
+ * @param {(frame: {data: Array, label: string | null} | null) => void} [onStop] - Called when the
+ *   source errors or closes by itself, with the latest averaged frame (null before the first one)
+ * @returns {{
+ *   status: {state: 'idle' | 'connecting' | 'live' | 'error', message: string | null},
+ *   frames: number, frozen: boolean, averaging: string,
+ *   connect: (url: string) => void, disconnect: () => void,
+ *   toggleFrozen: () => void, setAveraging: (id: string) => void
+ * }}
+ */
+export const useLiveSource = (onFrame, onStop) => {
+  const [status, setStatus] = useState({ state: 'idle', message: null });
+  const [frames, setFrames] = useState(0);
+  const [frozen, setFrozen] = useState(false);
+  const [averaging, setAveraging] = useState(DEFAULT_LIVE_AVERAGING);
+  const closeRef = useRef(null);
+  const averageRef = useRef(null);
+  const countRef = useRef(0);
+  const pendingRef = useRef(null);
+  const labelRef = useRef(null);
+  const onFrameRef = useRef(onFrame);
+  const onStopRef = useRef(onStop);
+  const settingsRef = useRef({ frozen, averaging });
+
+  useEffect(() => {
+    onFrameRef.current = onFrame;
+    onStopRef.current = onStop;
+    settingsRef.current = { frozen, averaging };
+  });
+
+  // Helper: Drops the connection and any update still waiting for a frame
+  const close = () => {
+    if (closeRef.current) closeRef.current();
+    closeRef.current = null;
+    if (pendingRef.current !== null) cancelAnimationFrame(pendingRef.current);
+    pendingRef.current = null;
+  };
+
+  useEffect(() => () => {
+    if (closeRef.current) closeRef.current();
+    if (pendingRef.current !== null) cancelAnimationFrame(pendingRef.current);
+  }, []);
+
+  const handleMessage = (text) => {
+    if (settingsRef.current.frozen) return;
+    let frame;
+    try {
+      frame = parseLiveFrame(text);
+    } catch (err) {
+      setStatus({ state: 'live', message: `Frame skipped: ${err.message}` });
+      return;
+    }
+    averageRef.current = averageFrame(averageRef.current, frame.data, getLiveAveraging(settingsRef.current.averaging).alpha);
+    labelRef.current = frame.label;
+    countRef.current++;
+    if (pendingRef.current !== null) return;
+    pendingRef.current = requestAnimationFrame(() => {
+      pendingRef.current = null;
+      setFrames(countRef.current);
+      onFrameRef.current({ data: averageRef.current, label: frame.label });
+    });
+  };
+
+  // The latest average goes straight to `onStop`, so a frame still waiting for
+  // the screen is dropped rather than shown after it
+  const handleError = (message) => {
+    if (pendingRef.current !== null) cancelAnimationFrame(pendingRef.current);
+    pendingRef.current = null;
+    setStatus({ state: 'error', message });
+    if (onStopRef.current) onStopRef.current(averageRef.current ? { data: averageRef.current, label: labelRef.current } : null);
+  };
+
+  const connect = (url) => {
+    close();
+    averageRef.current = null;
+    labelRef.current = null;
+    countRef.current = 0;
+    setFrames(0);
+    setFrozen(false);
+    setStatus({ state: 'connecting', message: null });
+    try {
+      closeRef.current = connectLiveSource(url, {
+        onOpen: () => setStatus({ state: 'live', message: null }),
+        onMessage: handleMessage,
+        onError: handleError,
+      });
+    } catch (err) {
+      setStatus({ state: 'error', message: err.message });
+    }
+  };
+
+  const disconnect = () => {
+    close();
+    setStatus({ state: 'idle', message: null });
+  };
+
+  // Resuming starts a fresh average rather than blending in the frozen one
+  const toggleFrozen = () => {
+    averageRef.current = null;
+    setFrozen(!frozen);
+  };
+
+  return { status, frames, frozen, averaging, connect, disconnect, toggleFrozen, setAveraging };
+};
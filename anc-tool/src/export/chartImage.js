@@ -0,0 +1,34 @@
+/**
+ * Chart image export.
+ * Rasterizes the standalone SVG from lib/chartSvg in the browser (through an
+ * <img> and a canvas), for PNG downloads at high DPI.
+ */
+
+/**
+ * Renders standalone SVG markup to a PNG at `scale` times its nominal size.
+ * The SVG carries no external references, so the canvas is never tainted.
+ * @param {string} svg - Standalone SVG markup, e.g. from `buildChartSvg`
+ * @param {number} width - Nominal width in px
+ * @param {number} height - Nominal height in px
+ * @param {number} [scale] - Pixel ratio of the PNG (2 => twice the width and height)
+ * @returns {Promise<Blob>} image/png; rejects when the SVG cannot be drawn or encoded
+ */
+export const svgToPng = (svg, width, height, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The PNG could not be encoded.'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The chart could not be rendered.'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,241 @@
+/**
+ * Standalone analysis report export.
+ * Builds a self-contained HTML document (inline CSS + inline SVG charts)
+ * that can be archived as-is or printed to PDF from any browser.
+ */
+
+import { formatRating } from '../lib/ratings';
+
+// --- Helpers ---
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatNumber = (value, digits = 1) => (Number.isFinite(value) ? value.toFixed(digits) : '--');
+
+// Helper: Value with its 95% confidence interval, when it has one
+const formatWithCi = (value, ci) => (Number.isFinite(value) && ci > 0 ? `${formatNumber(value)} &plusmn; ${formatNumber(ci)}` : formatNumber(value));
+
+// Helper: Size of a measurement slot (groups list their repeats)
+const describeFile = (file) => {
+  const points = file.repeats ? `${file.repeats.length} repeats, averaged` : `${file.data.length} data points`;
+  return file.calibration ? `${points} · mic calibration ${escapeHtml(file.calibration.name)}` : points;
+};
+
+// Helper: Trigger a browser download for in-memory content
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Helper: Snapshot a rendered chart <svg> into standalone markup.
+// Elements marked with `data-export-ignore` (hover cursor etc.) are dropped,
+// and the viewBox is padded so axis labels drawn at negative coords survive.
+export const serializeSvg = (svgElement, padding = { left: 40, right: 20, top: 20, bottom: 10 }) => {
+  if (!svgElement) return '';
+  const { width, height } = svgElement.getBoundingClientRect();
+  const clone = svgElement.cloneNode(true);
+  clone.querySelectorAll('[data-export-ignore]').forEach(node => node.remove());
+  // Curves drawn on a canvas on screen are exported from their hidden vector copy
+  clone.querySelectorAll('[data-export-only]').forEach(node => node.removeAttribute('display'));
+
+  const totalWidth = Math.round(width + padding.left + padding.right);
+  const totalHeight = Math.round(height + padding.top + padding.bottom);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', totalWidth);
+  clone.setAttribute('height', totalHeight);
+  clone.setAttribute('viewBox', `${-padding.left} ${-padding.top} ${totalWidth} ${totalHeight}`);
+  clone.removeAttribute('class');
+  clone.setAttribute('font-family', 'Helvetica, Arial, sans-serif');
+
+  return new XMLSerializer().serializeToString(clone);
+};
+
+// --- Report Document ---
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { font-family: Helvetica, Arial, sans-serif; color: #0f172a; margin: 0; padding: 32px; background: #f8fafc; }
+  .page { max-width: 960px; margin: 0 auto; background: #fff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 32px; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #2563eb; padding-bottom: 16px; margin-bottom: 24px; }
+  h1 { font-size: 22px; margin: 0; }
+  h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; color: #64748b; margin: 28px 0 12px; }
+  .subtitle, .timestamp { font-size: 12px; color: #64748b; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e2e8f0; }
+  th { color: #64748b; font-weight: 600; width: 30%; }
+  table.comparison th { width: auto; font-size: 10px; text-transform: uppercase; letter-spacing: 0.05em; }
+  table.comparison .num { text-align: right; font-family: Menlo, Consolas, monospace; }
+  table.comparison td.num.highlight { font-weight: 700; }
+  table.comparison tr.group td { background: #f8fafc; font-weight: 600; color: #475569; font-size: 12px; }
+  .verdict { display: inline-block; font-size: 10px; font-weight: 700; padding: 2px 6px; border-radius: 4px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .verdict.pass { background: #d1fae5; color: #047857; }
+  .verdict.fail { background: #fee2e2; color: #b91c1c; }
+  .note { font-size: 11px; color: #64748b; margin: 6px 0 0; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; vertical-align: -1px; background: var(--c); -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .chart { border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; margin-bottom: 12px; overflow: hidden; }
+  .chart svg { width: 100%; height: auto; }
+  .legend { display: flex; flex-wrap: wrap; gap: 4px 16px; font-size: 12px; margin-bottom: 8px; }
+  .legend span::before { content: ''; display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; vertical-align: -1px; background: var(--c); }
+  .actions { text-align: right; margin-bottom: 16px; }
+  .actions button { font: inherit; font-size: 12px; font-weight: 600; padding: 8px 14px; border: 0; border-radius: 8px; background: #2563eb; color: #fff; cursor: pointer; }
+  footer { margin-top: 32px; font-size: 11px; color: #94a3b8; text-align: center; }
+  @page { size: A4; margin: 14mm; }
+  @media print {
+    body { background: #fff; padding: 0; }
+    .page { border: 0; padding: 0; max-width: none; }
+    .actions { display: none; }
+    .chart, table { break-inside: avoid; }
+  }
+`;
+
+/**
+ * Builds the full HTML report.
+ * @param {Object} params
+ * @param {{name: string, data: Array}} params.fileBefore
+ * @param {Array<{label: string, color: string, file: {name: string, data: Array}, bandMetrics: Array<Object | null>, maskCheck?: Object | null, ratings?: Object}>} params.traces - After configurations, with metrics per band, the mask check (see lib/mask) and the noise ratings (see lib/ratings)
+ * @param {Array<{name: string, color: string, range: [number, number]}>} params.bands - Analysis bands, in `bandMetrics` order
+ * @param {{name: string, points: Array<{freq: number, db: number}>} | null} [params.mask] - Spec mask the traces were checked against
+ * @param {{label: string, cardLabel: string}} params.modeInfo - Averaging mode behind the metrics
+ * @param {string} [params.unit] - Level unit after weighting ('dB', 'dBA', ...)
+ * @param {Array<{label: string, value: string}>} [params.settings] - Extra processing settings to list
+ * @param {{typeLabel: string, traceLabel?: string, bands: Array}} [params.bandLevels] - Octave / 1/3-octave band table
+ * @param {string} params.chartSvg - Serialized main chart
+ * @param {string} params.diffSvg - Serialized difference chart
+ * @param {string} [params.phaseSvg] - Serialized phase chart, when the data has phase
+ * @param {Date} [params.generatedAt]
+ * @returns {string} Complete HTML document
+ */
+export const buildReportHtml = ({ fileBefore, traces, bands, mask = null, modeInfo, unit = 'dB', settings = [], bandLevels = null, chartSvg, diffSvg, phaseSvg, generatedAt = new Date() }) => {
+  const timestamp = generatedAt.toLocaleString();
+  const isoTimestamp = generatedAt.toISOString();
+
+  const traceName = (t) => `<span class="swatch" style="--c:${escapeHtml(t.color)}"></span>${escapeHtml(t.label)}`;
+
+  const sourceRows = traces.map(t => `
+      <tr><th>${traceName(t)}</th><td>${escapeHtml(t.file.name)}</td><td>${describeFile(t.file)}</td></tr>`).join('');
+
+  const bandRange = (b) => `${Math.round(b.range[0])} Hz &ndash; ${Math.round(b.range[1])} Hz`;
+
+  const metricRows = bands.map((band, bi) => `
+      <tr class="group"><td colspan="5"><span class="swatch" style="--c:${escapeHtml(band.color)}"></span>${escapeHtml(band.name)} &middot; ${bandRange(band)}</td></tr>${traces.map(t => {
+    const m = t.bandMetrics[bi];
+    return `
+      <tr><td>${traceName(t)}</td><td class="num">${formatWithCi(m?.avgBefore, m?.uncertainty?.ciBefore)}</td><td class="num">${formatWithCi(m?.avgAfter, m?.uncertainty?.ciAfter)}</td><td class="num highlight">${formatWithCi(m?.deltaDb, m?.uncertainty?.ciDelta)}</td><td class="num">${formatNumber(m?.reductionPercent, 0)}</td></tr>`;
+  }).join('')}`).join('');
+
+  const verdict = (check) => {
+    if (!check || check.pass === null) return 'Not checked';
+    return check.pass ? '<span class="verdict pass">PASS</span>' : '<span class="verdict fail">FAIL</span>';
+  };
+  const failRegions = (check) => (check?.failRegions.length
+    ? check.failRegions.map(([lo, hi]) => `${Math.round(lo)}&ndash;${Math.round(hi)} Hz`).join(', ')
+    : '&ndash;');
+  const maskRows = mask ? traces.map(t => `
+      <tr><td>${traceName(t)}</td><td>${verdict(t.maskCheck)}</td><td class="num">${formatNumber(t.maskCheck?.worstMargin)}</td><td class="num">${t.maskCheck?.worstFreq ? Math.round(t.maskCheck.worstFreq) : '--'}</td><td>${failRegions(t.maskCheck)}</td></tr>`).join('') : '';
+
+  const rated = traces.filter(t => t.ratings);
+  const ratingCell = (before, after, kind) => `${escapeHtml(formatRating(before, kind))} &rarr; ${escapeHtml(formatRating(after, kind))}`;
+  const ratingRows = rated.map(({ ratings: { before, after }, ...t }) => `
+      <tr><td>${traceName(t)}</td><td>${ratingCell(before.nr, after.nr, 'NR')}</td><td>${ratingCell(before.nc, after.nc, 'NC')}</td><td class="num">${formatNumber(before.laeq)}</td><td class="num">${formatNumber(after.laeq)}</td><td class="num highlight">${formatNumber(after.laeq - before.laeq)}</td></tr>`).join('');
+
+  const bandRows = bandLevels ? bandLevels.bands.map(b => `
+      <tr><td>${escapeHtml(b.label)}</td><td>${formatNumber(b.before)}</td><td>${formatNumber(b.after)}</td><td>${formatNumber(b.attenuation)}</td></tr>`).join('') : '';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="generator" content="ANC Analyzer" />
+  <title>ANC Analysis Report - ${escapeHtml(timestamp)}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <div class="page">
+    <div class="actions"><button onclick="window.print()">Print / Save as PDF</button></div>
+    <header>
+      <div>
+        <h1>ANC Analysis Report</h1>
+        <div class="subtitle">Spectral Comparison Tool</div>
+      </div>
+      <div class="timestamp">Generated <time datetime="${isoTimestamp}">${escapeHtml(timestamp)}</time></div>
+    </header>
+
+    <h2>Data Sources</h2>
+    <table>
+      <tr><th>Before ANC</th><td>${escapeHtml(fileBefore.name)}</td><td>${describeFile(fileBefore)}</td></tr>${sourceRows}
+      <tr><th>Analysis Bands</th><td colspan="2">${bands.map(b => `${escapeHtml(b.name)}: ${bandRange(b)}`).join('<br />')}</td></tr>
+      <tr><th>Averaging</th><td colspan="2">${escapeHtml(modeInfo.label)}</td></tr>${settings.map(item => `
+      <tr><th>${escapeHtml(item.label)}</th><td colspan="2">${escapeHtml(item.value)}</td></tr>`).join('')}
+    </table>
+
+    <h2>Band Metrics</h2>
+    <table class="comparison">
+      <tr><th>Configuration</th><th class="num">${escapeHtml(modeInfo.cardLabel)} Before (${escapeHtml(unit)})</th><th class="num">${escapeHtml(modeInfo.cardLabel)} After (${escapeHtml(unit)})</th><th class="num">Reduction (${escapeHtml(unit)})</th><th class="num">Power Reduced (%)</th></tr>${metricRows}
+    </table>${traces.some(t => t.bandMetrics.some(m => m?.uncertainty)) ? `
+    <p class="note">&plusmn; is the 95% confidence interval over repeated measurements.</p>` : ''}
+
+    ${rated.length ? `<h2>Noise Ratings</h2>
+    <table class="comparison">
+      <tr><th>Configuration</th><th>NR (ISO)</th><th>NC</th><th class="num">L<sub>Aeq</sub> Before (dBA)</th><th class="num">L<sub>Aeq</sub> After (dBA)</th><th class="num">Change (dB)</th></tr>${ratingRows}
+    </table>
+    <p class="note">From unweighted, unsmoothed octave-band levels of the calibrated data.</p>` : ''}
+
+    ${mask ? `<h2>Spec Mask &middot; ${escapeHtml(mask.name)}</h2>
+    <table class="comparison">
+      <tr><th>Configuration</th><th>Result</th><th class="num">Worst Margin (dB)</th><th class="num">At (Hz)</th><th>Failing Regions</th></tr>${maskRows}
+    </table>
+    <table>
+      <tr><th>Mask Points</th><td>${mask.points.map(p => `${formatNumber(p.freq, 0)} Hz: ${formatNumber(p.db)} dB`).join(', ')}</td></tr>
+    </table>` : ''}
+
+    ${chartSvg ? `<h2>Frequency Response Comparison</h2>
+    <div class="legend">
+      <span style="--c:#94a3b8">Before ANC</span>${traces.map(t => `
+      <span style="--c:${escapeHtml(t.color)}">${escapeHtml(t.label)}</span>`).join('')}${bands.map(b => `
+      <span style="--c:${escapeHtml(b.color)}">${escapeHtml(b.name)}</span>`).join('')}
+    </div>
+    <div class="chart">${chartSvg}</div>` : ''}
+
+    ${diffSvg ? `<h2>Difference Curve (After - Before)</h2>
+    <div class="chart">${diffSvg}</div>` : ''}
+    ${phaseSvg ? `<h2>Phase Response</h2>
+    <div class="chart">${phaseSvg}</div>` : ''}
+
+    ${bandLevels && bandLevels.bands.length ? `<h2>${escapeHtml(bandLevels.typeLabel)} Band Levels${bandLevels.traceLabel ? ` &middot; ${escapeHtml(bandLevels.traceLabel)}` : ''}</h2>
+    <table>
+      <tr><th>Band (Hz)</th><th>Before (${escapeHtml(unit)})</th><th>After (${escapeHtml(unit)})</th><th>Attenuation (dB)</th></tr>${bandRows}
+    </table>` : ''}
+
+    <footer>ANC Band Analysis &amp; Comparison Tool &middot; ${escapeHtml(isoTimestamp)}</footer>
+  </div>
+</body>
+</html>
+`;
+};
+
+// Helper: Open the report in a new window and bring up the print dialog
+export const printReport = (html) => {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  // Inline SVG needs no network round-trip, so the document is ready to print
+  win.focus();
+  win.print();
+  return true;
+};
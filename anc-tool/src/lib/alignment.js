@@ -0,0 +1,125 @@
+/**
+ * Common frequency grid alignment.
+ * Before/After exports rarely share the same FFT length, so both curves are
+ * resampled onto one log-spaced grid before anything is compared. Values are
+ * interpolated linearly in log-frequency, which is how the curves are drawn.
+ */
+
+import { hasPhase, unwrapPhase, wrapPhase } from './phase.js';
+
+export const DEFAULT_POINTS_PER_OCTAVE = 48;
+export const POINTS_PER_OCTAVE_OPTIONS = [12, 24, 48, 96, 192];
+
+// Grid points are anchored at 1 kHz so the same resolution always yields the
+// same frequencies, regardless of the span of the loaded files.
+const GRID_REFERENCE_FREQ = 1000;
+
+/**
+ * Log-spaced frequencies covering [fMin, fMax] (inclusive where they fall on the grid).
+ * @param {number} fMin
+ * @param {number} fMax
+ * @param {number} pointsPerOctave
+ * @returns {number[]}
+ */
+export const buildLogGrid = (fMin, fMax, pointsPerOctave = DEFAULT_POINTS_PER_OCTAVE) => {
+  if (!(fMin > 0) || !(fMax >= fMin) || !(pointsPerOctave > 0)) return [];
+  const kStart = Math.ceil(pointsPerOctave * Math.log2(fMin / GRID_REFERENCE_FREQ) - 1e-9);
+  const kEnd = Math.floor(pointsPerOctave * Math.log2(fMax / GRID_REFERENCE_FREQ) + 1e-9);
+  const grid = [];
+  for (let k = kStart; k <= kEnd; k++) {
+    grid.push(GRID_REFERENCE_FREQ * Math.pow(2, k / pointsPerOctave));
+  }
+  return grid;
+};
+
+/**
+ * Resamples `data[key]` at each of the (ascending) `freqs`, interpolating
+ * linearly against log10(freq). Frequencies outside the data span yield NaN
+ * rather than an extrapolated guess.
+ * @param {Array<{freq: number}>} data - Sorted by ascending frequency
+ * @param {number[]} freqs - Sorted by ascending frequency
+ * @param {string} [key='spl']
+ * @returns {number[]}
+ */
+export const interpolateLogFreq = (data, freqs, key = 'spl') => {
+  const out = new Array(freqs.length).fill(NaN);
+  if (!data || data.length === 0) return out;
+
+  let j = 0;
+  for (let i = 0; i < freqs.length; i++) {
+    const f = freqs[i];
+    if (f < data[0].freq || f > data[data.length - 1].freq) continue;
+
+    while (j < data.length - 2 && data[j + 1].freq < f) j++;
+    const lo = data[j];
+    const hi = data[Math.min(j + 1, data.length - 1)];
+
+    if (hi.freq === lo.freq) {
+      out[i] = lo[key];
+      continue;
+    }
+    const t = (Math.log10(f) - Math.log10(lo.freq)) / (Math.log10(hi.freq) - Math.log10(lo.freq));
+    out[i] = lo[key] + t * (hi[key] - lo[key]);
+  }
+  return out;
+};
+
+// Helper: Phase resampled on the grid, interpolated in unwrapped form
+const interpolatePhase = (data, grid) => {
+  const unwrapped = unwrapPhase(data.map(d => d.phase));
+  return interpolateLogFreq(data.map((d, i) => ({ freq: d.freq, phase: unwrapped[i] })), grid, 'phase');
+};
+
+/**
+ * Puts two measurements on a shared log grid spanning their common range.
+ * When both carry phase, each point also gets unwrapped `phaseBefore` /
+ * `phaseAfter` and the wrapped `phaseDiff` (After - Before).
+ * @param {Array<{freq: number, spl: number, phase?: number}>} before
+ * @param {Array<{freq: number, spl: number, phase?: number}>} after
+ * @param {Object} [options]
+ * @param {number} [options.pointsPerOctave]
+ * @returns {Array<{freq: number, before: number, after: number, diff: number, phaseBefore?: number, phaseAfter?: number, phaseDiff?: number}>}
+ */
+export const alignMeasurements = (before, after, { pointsPerOctave = DEFAULT_POINTS_PER_OCTAVE } = {}) => {
+  if (!before?.length || !after?.length) return [];
+
+  const fMin = Math.max(before[0].freq, after[0].freq);
+  const fMax = Math.min(before[before.length - 1].freq, after[after.length - 1].freq);
+  const grid = buildLogGrid(fMin, fMax, pointsPerOctave);
+
+  const splBefore = interpolateLogFreq(before, grid);
+  const splAfter = interpolateLogFreq(after, grid);
+  const withPhase = hasPhase(before) && hasPhase(after);
+  const phaseBefore = withPhase ? interpolatePhase(before, grid) : null;
+  const phaseAfter = withPhase ? interpolatePhase(after, grid) : null;
+
+  const aligned = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (Number.isNaN(splBefore[i]) || Number.isNaN(splAfter[i])) continue;
+    const point = {
+      freq: grid[i],
+      before: splBefore[i],
+      after: splAfter[i],
+      diff: splAfter[i] - splBefore[i],
+    };
+    if (withPhase) {
+      point.phaseBefore = phaseBefore[i];
+      point.phaseAfter = phaseAfter[i];
+      point.phaseDiff = wrapPhase(phaseAfter[i] - phaseBefore[i]);
+    }
+    aligned.push(point);
+  }
+  return aligned;
+};
+
+// Helper: Index of the aligned point closest to `freq` in log terms (binary search)
+export const findNearestIndex = (points, freq) => {
+  if (!points.length) return -1;
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].freq < freq) lo = mid; else hi = mid;
+  }
+  return Math.abs(Math.log(points[lo].freq / freq)) <= Math.abs(Math.log(points[hi].freq / freq)) ? lo : hi;
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { alignMeasurements, buildLogGrid, findNearestIndex, interpolateLogFreq } from './alignment.js';
+
+describe('buildLogGrid', () => {
+  it('is anchored at 1 kHz', () => {
+    const grid = buildLogGrid(500, 2000, 12);
+    expect(grid).toContain(1000);
+    expect(grid[0]).toBeCloseTo(500);
+    expect(grid[grid.length - 1]).toBeCloseTo(2000);
+    expect(grid).toHaveLength(25);
+  });
+
+  it('returns nothing for invalid spans', () => {
+    expect(buildLogGrid(0, 100, 12)).toEqual([]);
+    expect(buildLogGrid(200, 100, 12)).toEqual([]);
+  });
+});
+
+describe('interpolateLogFreq', () => {
+  const data = [{ freq: 100, spl: 60 }, { freq: 1000, spl: 80 }];
+
+  it('interpolates linearly in log frequency', () => {
+    const [mid] = interpolateLogFreq(data, [Math.sqrt(100 * 1000)]);
+    expect(mid).toBeCloseTo(70);
+  });
+
+  it('does not extrapolate', () => {
+    const values = interpolateLogFreq(data, [50, 2000]);
+    expect(values.every(Number.isNaN)).toBe(true);
+  });
+});
+
+describe('alignMeasurements', () => {
+  it('covers only the common span and computes After - Before', () => {
+    const before = [{ freq: 50, spl: 70 }, { freq: 5000, spl: 70 }];
+    const after = [{ freq: 100, spl: 60 }, { freq: 10000, spl: 60 }];
+    const aligned = alignMeasurements(before, after, { pointsPerOctave: 12 });
+    expect(aligned[0].freq).toBeGreaterThanOrEqual(100);
+    expect(aligned[aligned.length - 1].freq).toBeLessThanOrEqual(5000);
+    aligned.forEach(d => expect(d.diff).toBeCloseTo(-10));
+  });
+
+  it('adds phase only when both sides have it', () => {
+    const withPhase = [{ freq: 100, spl: 60, phase: 10 }, { freq: 1000, spl: 60, phase: 10 }];
+    const without = [{ freq: 100, spl: 60 }, { freq: 1000, spl: 60 }];
+    expect(alignMeasurements(withPhase, without)[0].phaseDiff).toBeUndefined();
+    expect(alignMeasurements(withPhase, withPhase)[0].phaseDiff).toBeCloseTo(0);
+  });
+});
+
+describe('findNearestIndex', () => {
+  it('finds the closest point in log terms', () => {
+    const points = [{ freq: 100 }, { freq: 200 }, { freq: 400 }];
+    expect(findNearestIndex(points, 140)).toBe(0);
+    expect(findNearestIndex(points, 145)).toBe(1);
+    expect(findNearestIndex([], 100)).toBe(-1);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Headless Before / After analysis.
+ * The full pipeline behind the visualizer's numbers: mic calibration, weighting, smoothing,
+ * averaging of repeats, alignment on the shared log grid, band metrics with
+ * their uncertainty, the spec-mask and the noise-floor checks. The web app and the batch CLI
+ * both run it, so they always report the same values.
+ */
+
+import { alignMeasurements, DEFAULT_POINTS_PER_OCTAVE } from './alignment.js';
+import { applyCalibration } from './calibration.js';
+import { checkMask } from './mask.js';
+import { computeBandMetrics, DEFAULT_AVERAGING_MODE } from './metrics.js';
+import { checkNoiseFloor, DEFAULT_FLOOR_MARGIN, floorLimitedPoints } from './noiseFloor.js';
+import { addDiffSpread, bandUncertainty, DEFAULT_GROUP_AVERAGING, repeatsOf, summarizeRepeats } from './repeats.js';
+import { DEFAULT_SMOOTHING, smoothSpectrum } from './smoothing.js';
+import { applyWeighting, DEFAULT_WEIGHTING } from './weighting.js';
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+  weighting: DEFAULT_WEIGHTING,
+  smoothing: DEFAULT_SMOOTHING,
+  metricsUseSmoothed: true,
+  pointsPerOctave: DEFAULT_POINTS_PER_OCTAVE,
+  averagingMode: DEFAULT_AVERAGING_MODE,
+  groupAveraging: DEFAULT_GROUP_AVERAGING,
+  floorMargin: DEFAULT_FLOOR_MARGIN,
+  excludeFloorLimited: false,
+};
+
+/**
+ * Whether metrics are computed from the unsmoothed data.
+ * @param {{smoothing: string, metricsUseSmoothed: boolean}} options
+ * @returns {boolean}
+ */
+export const metricsFromRaw = ({ smoothing, metricsUseSmoothed }) => smoothing !== 'none' && !metricsUseSmoothed;
+
+/**
+ * Weighted and smoothed curves of one slot. The slot's mic calibration is
+ * removed first, then weighting, so smoothing averages the weighted power;
+ * each repeat of a group is processed on its own and summarised afterwards.
+ * @param {Object | null} file - Measurement or group of repeats, with an optional `calibration` (see lib/calibration)
+ * @param {Object} [options] - See DEFAULT_ANALYSIS_OPTIONS
+ * @returns {{weightedCurves: Array[], plotCurves: Array[], weighted: Array, plot: Array}}
+ *   `plot` is the curve as drawn, `weighted` the same without smoothing
+ */
+export const processMeasurement = (file, options = {}) => {
+  const { weighting, smoothing, groupAveraging } = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+  const weightedCurves = repeatsOf(file).map(r => applyWeighting(applyCalibration(r.data, file.calibration), weighting));
+  const plotCurves = weightedCurves.map(c => smoothSpectrum(c, smoothing));
+  return {
+    weightedCurves,
+    plotCurves,
+    weighted: summarizeRepeats(weightedCurves, groupAveraging),
+    plot: summarizeRepeats(plotCurves, groupAveraging),
+  };
+};
+
+/**
+ * Aligns a processed After slot with the processed Before slot.
+ * @param {Object} before - From `processMeasurement`
+ * @param {Object} after - From `processMeasurement`
+ * @param {Object} [options]
+ * @returns {{aligned: Array, alignedForMetrics: Array, raw: boolean}}
+ *   `aligned` follows the plotted curves (with the difference spread of
+ *   groups), `alignedForMetrics` the data the metrics are computed from
+ */
+export const compareMeasurements = (before, after, options = {}) => {
+  const settings = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+  const raw = metricsFromRaw(settings);
+  const grid = { pointsPerOctave: settings.pointsPerOctave };
+  const aligned = addDiffSpread(alignMeasurements(before.plot, after.plot, grid), before.plot, after.plot);
+  const alignedForMetrics = raw ? alignMeasurements(before.weighted, after.weighted, grid) : aligned;
+  return { aligned, alignedForMetrics, raw };
+};
+
+/**
+ * Processes After measurements against one processed Before slot, caching
+ * the result per file object: traces whose file is unchanged (renamed,
+ * recoloured, hidden) are never reprocessed.
+ * @param {Object | null} before - From `processMeasurement`; null when no Before file is loaded
+ * @param {Object} [options]
+ * @returns {(file: Object) => {plot: Array, processed: Object, comparison: Object, aligned: Array, alignedForMetrics: Array}}
+ */
+export const createTraceAnalyzer = (before, options = {}) => {
+  const cache = new WeakMap();
+  return (file) => {
+    if (!cache.has(file)) {
+      const processed = processMeasurement(file, options);
+      const comparison = before
+        ? compareMeasurements(before, processed, options)
+        : { aligned: [], alignedForMetrics: [], raw: false };
+      cache.set(file, { plot: processed.plot, processed, comparison, aligned: comparison.aligned, alignedForMetrics: comparison.alignedForMetrics });
+    }
+    return cache.get(file);
+  };
+};
+
+/**
+ * Metrics of one band, with their uncertainty when either side has repeats.
+ * With a noise floor, points where the After level is within `floorMargin`
+ * of it are counted and, with `excludeFloorLimited`, left out.
+ * @param {{alignedForMetrics: Array, raw: boolean}} comparison - From `compareMeasurements`
+ * @param {Object} before - From `processMeasurement`
+ * @param {Object} after - From `processMeasurement`
+ * @param {[number, number]} range - Band edges in Hz
+ * @param {Object} [options] - See DEFAULT_ANALYSIS_OPTIONS
+ * @param {Object | null} [options.floor] - Noise floor from `processMeasurement`
+ * @returns {Object | null} See `computeBandMetrics`, plus `uncertainty` (see
+ *   `bandUncertainty`) and `floorLimitedCount` (points in the band, whether excluded or not)
+ */
+export const analyzeBand = (comparison, before, after, range, options = {}) => {
+  const { averagingMode, floor = null, floorMargin, excludeFloorLimited } = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+  let points = comparison.alignedForMetrics;
+  let floorLimitedCount = 0;
+  if (floor) {
+    const limited = floorLimitedPoints(points, comparison.raw ? floor.weighted : floor.plot, floorMargin);
+    floorLimitedCount = points.filter((d, i) => limited[i] && d.freq >= range[0] && d.freq <= range[1]).length;
+    if (excludeFloorLimited) points = points.filter((_, i) => !limited[i]);
+  }
+
+  const metrics = computeBandMetrics(points, range, averagingMode);
+  if (!metrics) return null;
+  const curves = (side) => (comparison.raw ? side.weightedCurves : side.plotCurves);
+  return {
+    ...metrics,
+    floorLimitedCount,
+    uncertainty: bandUncertainty(points, range, averagingMode, curves(before), curves(after)),
+  };
+};
+
+/**
+ * One-shot analysis of a Before / After pair.
+ * @param {Object} beforeFile - Measurement or group of repeats
+ * @param {Object} afterFile - Measurement or group of repeats
+ * @param {Object} params
+ * @param {Array<{name: string, range: [number, number]}>} params.bands
+ * @param {{name: string, points: Array<{freq: number, db: number}>} | null} [params.mask]
+ * @param {Object | null} [params.floorFile] - Noise-floor measurement or group of repeats
+ * @param {Object} [params.options] - See DEFAULT_ANALYSIS_OPTIONS
+ * @returns {{aligned: Array, bands: Array<{name: string, range: [number, number], metrics: Object | null}>, maskCheck: Object | null, floorCheck: Object | null}}
+ */
+export const analyzePair = (beforeFile, afterFile, { bands, mask = null, floorFile = null, options = {} }) => {
+  const settings = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+  const before = processMeasurement(beforeFile, settings);
+  const after = processMeasurement(afterFile, settings);
+  const floor = floorFile ? processMeasurement(floorFile, settings) : null;
+  const comparison = compareMeasurements(before, after, settings);
+  return {
+    aligned: comparison.aligned,
+    bands: bands.map(b => ({ name: b.name, range: b.range, metrics: analyzeBand(comparison, before, after, b.range, { ...settings, floor }) })),
+    maskCheck: mask ? checkMask(comparison.aligned, mask) : null,
+    floorCheck: floor ? checkNoiseFloor(comparison.aligned, floor.plot, settings.floorMargin) : null,
+  };
+};
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { analyzePair, compareMeasurements, metricsFromRaw, processMeasurement } from './analysis.js';
+
+// Flat 70 dB with a 10 dB dip between 200 Hz and 1 kHz in the After curve
+const spectrum = (dip) => Array.from({ length: 200 }, (_, i) => {
+  const freq = 20 * Math.pow(1000, i / 199);
+  return { freq, spl: 70 - (freq >= 200 && freq <= 1000 ? dip : 0) };
+});
+const before = { name: 'before.txt', data: spectrum(0) };
+const after = { name: 'after.txt', data: spectrum(10) };
+
+describe('analyzePair', () => {
+  it('reports the reduction per band', () => {
+    const result = analyzePair(before, after, {
+      bands: [{ name: 'ANC', range: [300, 800] }, { name: 'High', range: [2000, 8000] }],
+    });
+    expect(result.bands[0].metrics.deltaDb).toBeCloseTo(-10);
+    expect(result.bands[0].metrics.uncertainty).toBeNull();
+    expect(result.bands[1].metrics.deltaDb).toBeCloseTo(0);
+    expect(result.maskCheck).toBeNull();
+  });
+
+  it('checks the mask against the difference curve', () => {
+    const mask = { name: 'Spec', points: [{ freq: 300, db: -8 }, { freq: 800, db: -8 }] };
+    const result = analyzePair(before, after, { bands: [], mask });
+    expect(result.maskCheck.pass).toBe(true);
+    expect(result.maskCheck.worstMargin).toBeCloseTo(2);
+  });
+
+  it('adds uncertainty for groups of repeats', () => {
+    const group = { name: 'group', data: spectrum(10), repeats: [{ name: 'a', data: spectrum(9) }, { name: 'b', data: spectrum(11) }] };
+    const result = analyzePair(before, group, { bands: [{ name: 'ANC', range: [300, 800] }] });
+    expect(result.bands[0].metrics.deltaDb).toBeCloseTo(-10);
+    expect(result.bands[0].metrics.uncertainty.ciAfter).toBeGreaterThan(0);
+  });
+
+  it('counts and optionally excludes points limited by the noise floor', () => {
+    // The dip takes the After curve to 60 dB, 2 dB above the floor
+    const floorFile = { name: 'floor.txt', data: spectrum(0).map(d => ({ freq: d.freq, spl: 58 })) };
+    const bands = [{ name: 'Wide', range: [100, 4000] }];
+    const included = analyzePair(before, after, { bands, floorFile });
+    const { metrics } = included.bands[0];
+    expect(metrics.floorLimitedCount).toBeGreaterThan(0);
+    expect(metrics.floorLimitedCount).toBeLessThan(metrics.pointCount);
+    expect(metrics.deltaDb).toBeLessThan(-1);
+    expect(included.floorCheck.regions).toHaveLength(1);
+
+    const excluded = analyzePair(before, after, { bands, floorFile, options: { excludeFloorLimited: true } });
+    // Only the flat part (and the interpolated dip edges) remains
+    expect(excluded.bands[0].metrics.deltaDb).toBeCloseTo(0, 0);
+    expect(excluded.bands[0].metrics.pointCount).toBe(metrics.pointCount - metrics.floorLimitedCount);
+  });
+
+  it('removes each side\'s own mic response', () => {
+    // The After mic reads 4 dB high above 1 kHz, the Before mic 1 dB low throughout
+    const beforeMic = { name: 'ref.cal', sensitivity: -1, points: [{ freq: 20, db: 0 }, { freq: 20000, db: 0 }] };
+    const afterMic = { name: 'ear.cal', sensitivity: null, points: [{ freq: 20, db: 0 }, { freq: 900, db: 0 }, { freq: 1100, db: 4 }, { freq: 20000, db: 4 }] };
+    const skewed = {
+      before: { ...before, data: before.data.map(d => ({ ...d, spl: d.spl - 1 })), calibration: beforeMic },
+      after: { ...after, data: after.data.map(d => ({ ...d, spl: d.spl + (d.freq >= 1100 ? 4 : 0) })), calibration: afterMic },
+    };
+    const result = analyzePair(skewed.before, skewed.after, { bands: [{ name: 'High', range: [2000, 8000] }] });
+    expect(result.bands[0].metrics.deltaDb).toBeCloseTo(0);
+  });
+});
+
+describe('metrics data', () => {
+  it('uses raw data only when smoothing is on and metrics opt out', () => {
+    expect(metricsFromRaw({ smoothing: 'none', metricsUseSmoothed: false })).toBe(false);
+    expect(metricsFromRaw({ smoothing: '1/6', metricsUseSmoothed: false })).toBe(true);
+    expect(metricsFromRaw({ smoothing: '1/6', metricsUseSmoothed: true })).toBe(false);
+  });
+
+  it('aligns the unsmoothed curves for raw metrics', () => {
+    const options = { smoothing: '1/3', metricsUseSmoothed: false };
+    const comparison = compareMeasurements(processMeasurement(before, options), processMeasurement(after, options), options);
+    expect(comparison.raw).toBe(true);
+    expect(comparison.alignedForMetrics).not.toBe(comparison.aligned);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Named analysis bands.
+ * Each band is a frequency region reported on its own (e.g. 50–200 Hz,
+ * 200–1k, 1k–4k). Sets of bands can be saved as presets.
+ */
+
+// First colour matches the original single-band highlight
+export const BAND_COLORS = ['#eab308', '#f97316', '#14b8a6', '#8b5cf6', '#ec4899', '#0ea5e9', '#84cc16'];
+
+export const BUILTIN_BAND_PRESETS = [
+  { id: 'builtin-anc', name: 'ANC default', builtin: true, bands: [{ name: 'ANC band', range: [200, 1000] }] },
+  {
+    id: 'builtin-low-mid-high',
+    name: 'Low / Mid / High',
+    builtin: true,
+    bands: [
+      { name: 'Low', range: [50, 200] },
+      { name: 'Mid', range: [200, 1000] },
+      { name: 'High', range: [1000, 4000] },
+    ],
+  },
+  // Outer edges of the 63 Hz and 500 Hz 1/3-octave bands
+  { id: 'builtin-cabin', name: 'Cabin 1/3-oct 63–500', builtin: true, bands: [{ name: 'Cabin 63–500', range: [56.2, 562] }] },
+];
+
+let nextId = 1;
+
+/**
+ * New band, coloured with the first palette entry not used by `existing`.
+ * @param {{name?: string, range: [number, number], color?: string}} band
+ * @param {Array<{color: string}>} existing
+ * @returns {{id: string, name: string, color: string, range: [number, number]}}
+ */
+export const createBand = ({ name, range, color }, existing = []) => {
+  const used = new Set(existing.map(b => b.color));
+  return {
+    id: `band-${nextId++}`,
+    name: name || `Band ${existing.length + 1}`,
+    color: color || BAND_COLORS.find(c => !used.has(c)) || BAND_COLORS[existing.length % BAND_COLORS.length],
+    range: [range[0], range[1]],
+  };
+};
+
+/**
+ * Bands for a preset (or any saved list of {name, range, color?}).
+ * @param {Array<{name: string, range: [number, number], color?: string}>} saved
+ * @returns {Array<{id: string, name: string, color: string, range: [number, number]}>}
+ */
+export const createBands = (saved) => saved.reduce((list, band) => [...list, createBand(band, list)], []);
+
+/**
+ * Shifts a band by a frequency ratio, keeping its width in octaves and
+ * stopping at the plot limits.
+ * @param {[number, number]} range
+ * @param {number} ratio - New / original position (log-domain shift)
+ * @param {[number, number]} limits
+ * @returns {[number, number]}
+ */
+export const moveRange = ([lo, hi], ratio, [minFreq, maxFreq]) => {
+  const clamped = Math.min(Math.max(ratio, minFreq / lo), maxFreq / hi);
+  return [lo * clamped, hi * clamped];
+};
@@ -0,0 +1,88 @@
+/**
+ * Microphone calibration files.
+ * .cal / .frd files list the mic's response as frequency (Hz) / deviation (dB)
+ * rows, optionally with a phase column (ignored here) and a sensitivity line
+ * in the header, e.g. the miniDSP UMIK style `"Sens Factor =-.74dB, SERNO: 7023270"`.
+ * Both describe how much the mic reads high, so the correction subtracts
+ * them: every slot can carry its own file, and a reference and an in-ear mic
+ * then compare on equal terms.
+ */
+
+import { readRows, rowsToPoints } from './parsers/text.js';
+
+// "Sens Factor =-.74dB", "Sensitivity: -1.2 dB", "Sens -0.5dB"
+const SENSITIVITY_PATTERN = /\bsens(?:itivity)?(?:\s*factor)?\s*[:=]?\s*([-+]?(?:\d+\.?\d*|\.\d+))\s*dB/i;
+
+/**
+ * Reads a calibration file; throws when it holds no usable curve.
+ * @param {string} text
+ * @param {string} name - File name, kept for display
+ * @returns {{name: string, sensitivity: number | null, points: Array<{freq: number, db: number}>}}
+ *   `points` sorted by ascending frequency
+ */
+export const parseCalibration = (text, name) => {
+  const { rows, headerLines } = readRows(text);
+  const { data } = rowsToPoints(rows, 0, 1);
+  if (data.length < 2) throw new Error('no frequency / dB correction rows found');
+  const sensLine = headerLines.map(l => SENSITIVITY_PATTERN.exec(l)).find(Boolean);
+  return {
+    name,
+    sensitivity: sensLine ? Number(sensLine[1]) : null,
+    points: data.map(d => ({ freq: d.freq, db: d.spl })),
+  };
+};
+
+/**
+ * Mic deviation (dB) at each frequency, interpolated against log frequency.
+ * Beyond the ends of the file the nearest value holds.
+ * @param {{points: Array<{freq: number, db: number}>}} calibration
+ * @param {number[]} freqs - Ascending
+ * @returns {number[]}
+ */
+export const calibrationAt = ({ points }, freqs) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  let j = 0;
+  return freqs.map(f => {
+    if (f <= first.freq) return first.db;
+    if (f >= last.freq) return last.db;
+    while (points[j + 1].freq < f) j++;
+    const lo = points[j];
+    const hi = points[j + 1];
+    if (hi.freq === lo.freq) return lo.db;
+    const t = Math.log(f / lo.freq) / Math.log(hi.freq / lo.freq);
+    return lo.db + t * (hi.db - lo.db);
+  });
+};
+
+/**
+ * Removes the mic's response (and sensitivity deviation) from a spectrum.
+ * @param {Array<{freq: number, spl: number}>} data - Sorted by ascending frequency
+ * @param {Object | null | undefined} calibration - From `parseCalibration`
+ * @returns {Array<{freq: number, spl: number}>} New array, or `data` itself without calibration
+ */
+export const applyCalibration = (data, calibration) => {
+  if (!calibration) return data;
+  const offset = calibration.sensitivity ?? 0;
+  const deviation = calibrationAt(calibration, data.map(d => d.freq));
+  return data.map((d, i) => ({ ...d, spl: d.spl - deviation[i] - offset }));
+};
+
+/**
+ * Validates a stored calibration (e.g. from a session file).
+ * @param {*} calibration
+ * @returns {{name: string, sensitivity: number | null, points: Array<{freq: number, db: number}>} | null}
+ */
+export const readCalibration = (calibration) => {
+  if (!calibration || !Array.isArray(calibration.points)) return null;
+  const points = calibration.points
+    .filter(p => p && p.freq > 0 && Number.isFinite(p.db))
+    .map(p => ({ freq: p.freq, db: p.db }))
+    .sort((a, b) => a.freq - b.freq);
+  if (points.length < 2) return null;
+  return {
+    name: String(calibration.name ?? 'Calibration'),
+    sensitivity: Number.isFinite(calibration.sensitivity) ? calibration.sensitivity : null,
+    points,
+  };
+};
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { applyCalibration, calibrationAt, parseCalibration, readCalibration } from './calibration.js';
+
+const UMIK = `"Sens Factor =-.74dB, SERNO: 7023270"
+10.054\t-2.10
+100\t0.20
+1000\t0.00
+10000\t1.50
+`;
+
+describe('parseCalibration', () => {
+  it('reads the curve and the sensitivity header', () => {
+    const cal = parseCalibration(UMIK, 'umik.cal');
+    expect(cal.name).toBe('umik.cal');
+    expect(cal.sensitivity).toBeCloseTo(-0.74);
+    expect(cal.points).toHaveLength(4);
+    expect(cal.points[1]).toEqual({ freq: 100, db: 0.2 });
+  });
+
+  it('reads .frd files with a phase column and no sensitivity', () => {
+    const cal = parseCalibration('* ear sim\n1000 0.5 -3\n20 1.0 10\n', 'ear.frd');
+    expect(cal.sensitivity).toBeNull();
+    expect(cal.points).toEqual([{ freq: 20, db: 1 }, { freq: 1000, db: 0.5 }]);
+  });
+
+  it('rejects files without a curve', () => {
+    expect(() => parseCalibration('Sens Factor =-.74dB\n', 'empty.cal')).toThrow(/no frequency/);
+  });
+});
+
+describe('calibrationAt', () => {
+  const cal = { points: [{ freq: 100, db: 0 }, { freq: 1000, db: 3 }] };
+
+  it('interpolates against log frequency', () => {
+    const [mid] = calibrationAt(cal, [Math.sqrt(100 * 1000)]);
+    expect(mid).toBeCloseTo(1.5);
+  });
+
+  it('holds the end values outside the file', () => {
+    expect(calibrationAt(cal, [20, 100, 1000, 20000])).toEqual([0, 0, 3, 3]);
+  });
+});
+
+describe('applyCalibration', () => {
+  const data = [{ freq: 100, spl: 60, phase: 10 }, { freq: 1000, spl: 60 }];
+
+  it('subtracts the deviation and the sensitivity', () => {
+    const cal = { sensitivity: -1, points: [{ freq: 100, db: 2 }, { freq: 1000, db: -2 }] };
+    expect(applyCalibration(data, cal)).toEqual([{ freq: 100, spl: 59, phase: 10 }, { freq: 1000, spl: 63 }]);
+  });
+
+  it('leaves uncalibrated data untouched', () => {
+    expect(applyCalibration(data, null)).toBe(data);
+  });
+});
+
+describe('readCalibration', () => {
+  it('keeps valid points and drops the rest', () => {
+    const cal = readCalibration({ name: 'mic.cal', sensitivity: 'x', points: [{ freq: 1000, db: 1 }, { freq: -5, db: 0 }, { freq: 100, db: 2 }] });
+    expect(cal).toEqual({ name: 'mic.cal', sensitivity: null, points: [{ freq: 100, db: 2 }, { freq: 1000, db: 1 }] });
+  });
+
+  it('rejects calibrations without a curve', () => {
+    expect(readCalibration(null)).toBeNull();
+    expect(readCalibration({ points: [{ freq: 100, db: 0 }] })).toBeNull();
+  });
+});
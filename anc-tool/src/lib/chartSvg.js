@@ -0,0 +1,291 @@
+/**
+ * Standalone chart images for papers and slides.
+ * The spectrum and difference charts are rebuilt as self-contained SVG from
+ * the analysis results rather than copied off the screen, so size, font
+ * size, line widths, title and legend can be set freely and nothing is
+ * cropped. Curves are decimated to the image width (see plotPaths), so even
+ * very dense exports give compact files.
+ */
+
+import { decimateMinMax, envelopePath, linePath } from './plotPaths.js';
+import { dbToY, formatFreqTick, freqToX, linearTicks, logTicks } from './viewport.js';
+
+export const CHART_IMAGE_KINDS = [
+  { id: 'spectrum', label: 'Spectrum' },
+  { id: 'difference', label: 'Difference (After - Before)' },
+];
+
+export const LEGEND_POSITIONS = [
+  { id: 'top-right', label: 'Top right' },
+  { id: 'top-left', label: 'Top left' },
+  { id: 'bottom-right', label: 'Bottom right' },
+  { id: 'bottom-left', label: 'Bottom left' },
+  { id: 'right', label: 'Right of the plot' },
+  { id: 'below', label: 'Below the plot' },
+  { id: 'none', label: 'None' },
+];
+
+// PNG pixel density relative to the SVG size (2 = 192 dpi at 96 dpi nominal)
+export const PNG_SCALES = [1, 2, 3, 4];
+
+export const DEFAULT_CHART_IMAGE_OPTIONS = {
+  kind: 'spectrum',
+  width: 1200,
+  height: 600,
+  fontSize: 14,
+  lineWidth: 2,
+  title: '',
+  legend: 'top-right',
+  showBands: true,
+  showHandles: false, // Active band edges with their drag handles (spectrum only)
+  showHover: false, // Hover cursor and the points it marks
+  scale: 2,
+};
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const BEFORE_COLOR = '#94a3b8';
+const FLOOR_COLOR = '#475569';
+const TEXT_COLOR = '#334155';
+const TICK_COLOR = '#64748b';
+const GRID_COLOR = '#e2e8f0';
+const FRAME_COLOR = '#cbd5e1';
+
+// Helper: Text safe inside SVG markup and attributes
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Helper: Number rounded to 0.01 for attributes
+const num = (v) => Math.round(v * 100) / 100;
+
+// Helper: Approximate rendered width of a text in a sans-serif font
+const textWidth = (text, fontSize) => String(text).length * fontSize * 0.56;
+
+// Helper: SVG element from a tag and attributes (undefined / null attributes are left out)
+const el = (tag, attrs, content = null) => {
+  const attrText = Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null && v !== false)
+    .map(([k, v]) => ` ${k}="${typeof v === 'number' ? num(v) : escapeXml(v)}"`)
+    .join('');
+  return content === null ? `<${tag}${attrText}/>` : `<${tag}${attrText}>${content}</${tag}>`;
+};
+
+// Helper: Legend entries of a chart: {label, color, swatch: 'line' | 'dash' | 'area' | 'hatch', opacity?}
+const legendEntries = (kind, chart) => {
+  const traces = chart.traces.map(t => ({ label: t.label, color: t.color, swatch: 'line' }));
+  const anyFloorLimited = chart.traces.some(t => t.floorCheck?.regions.length > 0);
+  const hatch = anyFloorLimited ? [{ label: 'Floor-limited', color: FLOOR_COLOR, swatch: 'hatch' }] : [];
+  if (kind === 'spectrum') {
+    return [
+      ...(chart.before ? [{ label: 'Before ANC', color: BEFORE_COLOR, swatch: 'line', opacity: 0.5 }] : []),
+      ...traces,
+      ...(chart.floor ? [{ label: 'Noise floor', color: FLOOR_COLOR, swatch: 'dash' }] : []),
+      ...hatch,
+    ];
+  }
+  const anyWaterbed = chart.traces.some(t => t.effectiveness?.waterbed.length > 0);
+  return [
+    ...traces,
+    ...(chart.mask ? [{ label: chart.mask.name || 'Mask', color: '#0f172a', swatch: 'dash' }] : []),
+    ...(anyWaterbed ? [{ label: 'Waterbed', color: '#f59e0b', swatch: 'area', opacity: 0.3 }] : []),
+    ...hatch,
+  ];
+};
+
+/**
+ * One chart as a standalone SVG document.
+ * @param {Object} chart - What to draw (the same data the on-screen charts use)
+ * @param {Array | null} chart.before - Before curve as plotted
+ * @param {Array | null} [chart.floor] - Noise floor curve as plotted
+ * @param {Array<Object>} chart.traces - Visible traces: `{label, color, plot, aligned}`, optionally
+ *   with `effectiveness`, `floorCheck` and `maskCheck`
+ * @param {string} chart.unit - Level unit, e.g. 'dB(A)'
+ * @param {[number, number]} chart.freqDomain
+ * @param {[number, number]} chart.dbDomain - Spectrum level axis
+ * @param {[number, number]} chart.diffDomain - Difference axis
+ * @param {string} chart.envelope - Spread drawn around grouped curves: 'ci', 'std' or 'none'
+ * @param {Array<{id: string, name: string, color: string, range: [number, number]}>} chart.bands
+ * @param {string} chart.activeBandId
+ * @param {{name: string, points: Array<{freq: number, db: number}>} | null} [chart.mask]
+ * @param {number} [chart.threshold] - Effective bandwidth threshold (dB, positive)
+ * @param {Object | null} [chart.hover] - Hover state: `{freq, before, traces: [{color, after, diff}]}`
+ * @param {Object} [options] - See DEFAULT_CHART_IMAGE_OPTIONS
+ * @returns {string}
+ */
+export const buildChartSvg = (chart, options = {}) => {
+  const { kind, width, height, fontSize: fs, lineWidth: lw, title, legend, showBands, showHandles, showHover } = { ...DEFAULT_CHART_IMAGE_OPTIONS, ...options };
+  const isSpectrum = kind === 'spectrum';
+  const entries = legend === 'none' ? [] : legendEntries(kind, chart);
+  const swatchWidth = fs * 2;
+  const rowHeight = fs * 1.5;
+  const entryWidth = (e) => swatchWidth + fs * 0.5 + textWidth(e.label, fs);
+  const legendWidth = entries.length ? Math.max(...entries.map(entryWidth)) + fs * 1.2 : 0;
+  const handles = isSpectrum && showHandles;
+
+  // Plot area; everything else is laid out around it
+  const left = fs * 4.4;
+  const right = fs * 1.5 + (legend === 'right' && entries.length ? legendWidth + fs : 0);
+  const top = fs * 0.8 + (title ? fs * 2.4 : 0) + (handles ? fs * 1.2 : 0);
+  const belowWidth = width - left - right;
+  // "Below" entries flow in rows across the plot width
+  const belowRows = [];
+  if (legend === 'below') {
+    let row = [];
+    let x = 0;
+    entries.forEach(e => {
+      const w = entryWidth(e) + fs * 1.5;
+      if (row.length && x + w > belowWidth) {
+        belowRows.push(row);
+        row = [];
+        x = 0;
+      }
+      row.push({ entry: e, x });
+      x += w;
+    });
+    if (row.length) belowRows.push(row);
+  }
+  const bottom = fs * 3.4 + belowRows.length * rowHeight + (belowRows.length ? fs * 0.4 : 0);
+  const pw = Math.max(50, width - left - right);
+  const ph = Math.max(30, height - top - bottom);
+
+  const domain = isSpectrum ? chart.dbDomain : chart.diffDomain;
+  const [minV, maxV] = domain;
+  const toX = (f) => freqToX(f, pw, chart.freqDomain);
+  const toY = (v) => dbToY(v, ph, minV, maxV);
+  const clampY = (v) => toY(Math.max(minV, Math.min(maxV, v)));
+  const inView = (f) => f >= chart.freqDomain[0] && f <= chart.freqDomain[1];
+  const out = [];
+
+  // Grid
+  const xTicks = logTicks(chart.freqDomain);
+  const yTicks = linearTicks(domain, Math.max(3, Math.round(ph / (fs * 3.5))));
+  xTicks.forEach(f => out.push(el('line', { x1: toX(f), y1: 0, x2: toX(f), y2: ph, stroke: GRID_COLOR, 'stroke-dasharray': '4 4' })));
+  yTicks.forEach(v => out.push(el('line', {
+    x1: 0, y1: toY(v), x2: pw, y2: toY(v),
+    stroke: !isSpectrum && v === 0 ? BEFORE_COLOR : GRID_COLOR,
+    'stroke-dasharray': isSpectrum ? null : '2 2',
+  })));
+
+  const plot = [];
+
+  // Analysis bands
+  if (showBands) {
+    chart.bands.forEach(b => {
+      const x0 = toX(b.range[0]);
+      plot.push(el('rect', { x: x0, y: 0, width: Math.max(0, toX(b.range[1]) - x0), height: ph, fill: b.color, 'fill-opacity': b.id === chart.activeBandId ? 0.18 : 0.1 }));
+      if (isSpectrum && chart.bands.length > 1) {
+        plot.push(el('text', { x: x0 + fs * 0.3, y: fs, 'font-size': fs * 0.8, 'font-weight': 'bold', fill: b.color }, escapeXml(b.name)));
+      }
+    });
+  }
+
+  // Regions: mask failures, waterbed (difference only) and floor-limited spans
+  const region = ([lo, hi], attrs) => el('rect', { x: toX(lo), y: 0, width: Math.max(1, toX(hi) - toX(lo)), height: ph, ...attrs });
+  if (!isSpectrum) {
+    chart.traces.forEach(t => (t.maskCheck?.failRegions || []).forEach(r => plot.push(region(r, { fill: '#ef4444', 'fill-opacity': 0.15 }))));
+    chart.traces.forEach(t => (t.effectiveness?.waterbed || []).forEach(w => plot.push(region(w.range, { fill: '#f59e0b', 'fill-opacity': 0.18 }))));
+  }
+  chart.traces.forEach(t => (t.floorCheck?.regions || []).forEach(r => plot.push(region(r, { fill: 'url(#floor-hatch)' }))));
+
+  if (!isSpectrum && chart.threshold > 0 && -chart.threshold > minV) {
+    plot.push(el('line', { x1: 0, y1: toY(-chart.threshold), x2: pw, y2: toY(-chart.threshold), stroke: '#10b981', 'stroke-width': Math.max(1, lw / 2), 'stroke-dasharray': `1 ${num(lw * 1.5)}` }));
+  }
+
+  // Curves, with their repeat envelopes underneath
+  const curve = (data, key, toYFn) => linePath(decimateMinMax(data, chart.freqDomain, pw, key), d => toX(d.freq), d => toYFn(d[key]));
+  const spread = (data, key, spreadKey) => (chart.envelope === 'none' ? '' : envelopePath(decimateMinMax(data, chart.freqDomain, pw, key), key, spreadKey, toX, toY));
+  const path = (d, attrs) => {
+    if (d) plot.push(el('path', { d, fill: 'none', 'stroke-linejoin': 'round', ...attrs }));
+  };
+  if (isSpectrum) {
+    if (chart.before) path(spread(chart.before, 'spl', chart.envelope), { fill: BEFORE_COLOR, 'fill-opacity': 0.2 });
+    chart.traces.forEach(t => path(spread(t.plot, 'spl', chart.envelope), { fill: t.color, 'fill-opacity': 0.15 }));
+    if (chart.before) path(curve(chart.before, 'spl', toY), { stroke: BEFORE_COLOR, 'stroke-width': lw, 'stroke-opacity': 0.5 });
+    chart.traces.forEach(t => path(curve(t.plot, 'spl', toY), { stroke: t.color, 'stroke-width': lw }));
+    if (chart.floor) path(curve(chart.floor, 'spl', toY), { stroke: FLOOR_COLOR, 'stroke-width': lw * 0.75, 'stroke-dasharray': `${num(lw * 2)} ${num(lw * 1.5)}` });
+  } else {
+    const spreadKey = chart.envelope === 'std' ? 'diffStd' : 'diffCi';
+    chart.traces.forEach(t => path(spread(t.aligned, 'diff', spreadKey), { fill: t.color, 'fill-opacity': 0.15 }));
+    // Values beyond the axis limits run along the edge, as on screen
+    chart.traces.forEach(t => path(curve(t.aligned, 'diff', clampY), { stroke: t.color, 'stroke-width': lw }));
+    if (chart.mask) {
+      path(linePath(chart.mask.points, p => toX(p.freq), p => toY(p.db)), { stroke: '#0f172a', 'stroke-width': lw * 0.75, 'stroke-dasharray': `${num(lw * 3)} ${num(lw * 1.5)}` });
+    }
+  }
+  out.push(el('g', { 'clip-path': 'url(#plot-area)' }, plot.join('')));
+
+  // Active band handles
+  const activeBand = chart.bands.find(b => b.id === chart.activeBandId);
+  if (handles && activeBand) {
+    activeBand.range.filter(inView).forEach(f => {
+      const x = toX(f);
+      out.push(el('line', { x1: x, y1: 0, x2: x, y2: ph, stroke: activeBand.color, 'stroke-width': 2, 'stroke-dasharray': '4 2' }));
+      out.push(el('circle', { cx: x, cy: ph / 2, r: fs * 0.55, fill: activeBand.color }));
+      out.push(el('text', { x, y: -fs * 0.6, 'text-anchor': 'middle', 'font-size': fs * 0.85, 'font-weight': 'bold', fill: activeBand.color }, Math.round(f)));
+    });
+  }
+
+  // Hover cursor
+  if (showHover && chart.hover && inView(chart.hover.freq)) {
+    const x = toX(chart.hover.freq);
+    const marks = isSpectrum
+      ? [{ v: chart.hover.before, color: BEFORE_COLOR }, ...chart.hover.traces.map(p => ({ v: p.after, color: p.color }))]
+      : chart.hover.traces.map(p => ({ v: p.diff, color: p.color }));
+    out.push(el('line', { x1: x, y1: 0, x2: x, y2: ph, stroke: '#475569', 'stroke-width': 1 }));
+    marks.filter(m => Number.isFinite(m.v)).forEach(m => out.push(el('circle', { cx: x, cy: clampY(m.v), r: lw + 2, fill: m.color })));
+  }
+
+  // Frame, tick labels and axis titles
+  out.push(el('rect', { x: 0, y: 0, width: pw, height: ph, fill: 'none', stroke: FRAME_COLOR }));
+  xTicks.forEach(f => out.push(el('text', { x: toX(f), y: ph + fs * 1.2, 'text-anchor': 'middle', 'font-size': fs * 0.85, fill: TICK_COLOR }, formatFreqTick(f))));
+  yTicks.forEach(v => {
+    const label = isSpectrum ? `${v}` : `${v > 0 ? '+' : ''}${v}`;
+    out.push(el('text', { x: -fs * 0.4, y: toY(v) + fs * 0.3, 'text-anchor': 'end', 'font-size': fs * 0.85, fill: TICK_COLOR }, label));
+  });
+  out.push(el('text', { x: pw / 2, y: ph + fs * 2.6, 'text-anchor': 'middle', 'font-size': fs, fill: TEXT_COLOR }, 'Frequency (Hz)'));
+  const yTitle = isSpectrum ? `Level (${chart.unit})` : 'Difference (dB)';
+  out.push(el('text', { transform: `translate(${num(-fs * 3.4)} ${num(ph / 2)}) rotate(-90)`, 'text-anchor': 'middle', 'font-size': fs, fill: TEXT_COLOR }, escapeXml(yTitle)));
+
+  // Legend
+  const swatch = (e, x, y) => {
+    const attrs = { x1: x, y1: y, x2: x + swatchWidth, y2: y, stroke: e.color, 'stroke-width': lw, 'stroke-opacity': e.opacity };
+    if (e.swatch === 'line') return el('line', attrs);
+    if (e.swatch === 'dash') return el('line', { ...attrs, 'stroke-width': lw * 0.75, 'stroke-dasharray': `${num(lw * 2)} ${num(lw * 1.5)}` });
+    const box = { x, y: y - fs * 0.4, width: swatchWidth, height: fs * 0.8 };
+    return e.swatch === 'hatch'
+      ? el('rect', { ...box, fill: 'url(#floor-hatch)', stroke: FRAME_COLOR })
+      : el('rect', { ...box, fill: e.color, 'fill-opacity': e.opacity });
+  };
+  const entry = (e, x, y) => swatch(e, x, y) + el('text', { x: x + swatchWidth + fs * 0.5, y: y + fs * 0.35, 'font-size': fs, fill: TEXT_COLOR }, escapeXml(e.label));
+  const legendOut = [];
+  if (legend === 'below') {
+    belowRows.forEach((row, i) => row.forEach(({ entry: e, x }) => legendOut.push(entry(e, left + x, top + ph + fs * 3.6 + i * rowHeight))));
+  } else if (entries.length) {
+    const boxHeight = entries.length * rowHeight + fs * 0.5;
+    const inset = fs * 0.6;
+    const bx = {
+      'top-left': left + inset,
+      'bottom-left': left + inset,
+      right: left + pw + fs,
+    }[legend] ?? left + pw - inset - legendWidth;
+    const by = legend.startsWith('bottom') ? top + ph - inset - boxHeight : legend === 'right' ? top : top + inset;
+    if (legend !== 'right') {
+      legendOut.push(el('rect', { x: bx, y: by, width: legendWidth, height: boxHeight, fill: '#ffffff', 'fill-opacity': 0.85, stroke: FRAME_COLOR, rx: 4 }));
+    }
+    entries.forEach((e, i) => legendOut.push(entry(e, bx + fs * 0.6, by + fs * 0.25 + rowHeight * (i + 0.5))));
+  }
+
+  const defs = [
+    el('clipPath', { id: 'plot-area' }, el('rect', { x: 0, y: 0, width: pw, height: ph })),
+    el('pattern', { id: 'floor-hatch', width: 6, height: 6, patternUnits: 'userSpaceOnUse', patternTransform: 'rotate(45)' },
+      el('line', { x1: 0, y1: 0, x2: 0, y2: 6, stroke: TICK_COLOR, 'stroke-width': 1.5, 'stroke-opacity': 0.35 })),
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+    el('defs', {}, defs.join('')),
+    el('rect', { x: 0, y: 0, width, height, fill: '#ffffff' }),
+    title ? el('text', { x: width / 2, y: fs * 2, 'text-anchor': 'middle', 'font-size': fs * 1.3, 'font-weight': 'bold', fill: '#0f172a' }, escapeXml(title)) : '',
+    el('g', { transform: `translate(${num(left)} ${num(top)})` }, out.join('')),
+    legendOut.join(''),
+    '</svg>',
+  ].join('\n');
+};
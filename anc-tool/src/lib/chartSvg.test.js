@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { buildChartSvg } from './chartSvg.js';
+
+const spectrum = (level) => Array.from({ length: 50 }, (_, i) => ({ freq: 20 * Math.pow(1000, i / 49), spl: level }));
+const before = spectrum(70);
+const after = spectrum(60);
+const aligned = before.map((d, i) => ({ freq: d.freq, before: d.spl, after: after[i].spl, diff: after[i].spl - d.spl }));
+
+const chart = {
+  before,
+  floor: null,
+  traces: [{ id: 't1', label: 'Tuning <A>', color: '#2563eb', plot: after, aligned }],
+  unit: 'dB(A)',
+  freqDomain: [20, 20000],
+  dbDomain: [40, 80],
+  diffDomain: [-20, 5],
+  envelope: 'ci',
+  bands: [{ id: 'b1', name: 'ANC', color: '#3b82f6', range: [200, 1000] }],
+  activeBandId: 'b1',
+  mask: null,
+  threshold: 6,
+  hover: { freq: 500, before: 70, traces: [{ color: '#2563eb', after: 60, diff: -10 }] },
+};
+
+// Helper: Number of elements with a tag
+const count = (svg, tag) => (svg.match(new RegExp(`<${tag}[ >/]`, 'g')) || []).length;
+
+describe('buildChartSvg', () => {
+  it('writes a standalone document of the requested size with axis titles', () => {
+    const svg = buildChartSvg(chart, { width: 800, height: 400, title: 'Cabin & seat' });
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="800" height="400" viewBox="0 0 800 400"/);
+    expect(svg).toContain('>Cabin &amp; seat</text>');
+    expect(svg).toContain('>Frequency (Hz)</text>');
+    expect(svg).toContain('>Level (dB(A))</text>');
+    expect(svg).toContain('>Tuning &lt;A&gt;</text>');
+  });
+
+  it('draws the difference chart on its own axis', () => {
+    const svg = buildChartSvg(chart, { kind: 'difference' });
+    expect(svg).toContain('>Difference (dB)</text>');
+    expect(svg).not.toContain('Before ANC');
+    expect(svg).toContain('>-10</text>');
+  });
+
+  it('applies font size and line width', () => {
+    const svg = buildChartSvg(chart, { fontSize: 20, lineWidth: 3 });
+    expect(svg).toContain('stroke="#2563eb" stroke-width="3"');
+    expect(svg).toContain('font-size="20" fill="#334155">Frequency (Hz)');
+  });
+
+  it('leaves the interactive overlays out unless asked for', () => {
+    const plain = buildChartSvg(chart, { showHandles: false, showHover: false, legend: 'none' });
+    const full = buildChartSvg(chart, { showHandles: true, showHover: true, legend: 'none' });
+    // Two handle circles and one cursor mark per curve
+    expect(count(full, 'circle') - count(plain, 'circle')).toBe(4);
+    expect(full).toContain('>200</text>');
+    expect(buildChartSvg(chart, { legend: 'none' })).not.toContain('Tuning');
+  });
+
+  it('places the legend below the plot without overlapping the axis title', () => {
+    const svg = buildChartSvg(chart, { height: 400, legend: 'below' });
+    const legendY = Number(/<text x="[\d.]+" y="([\d.]+)" font-size="14" fill="#334155">Before ANC/.exec(svg)[1]);
+    expect(legendY).toBeGreaterThan(380);
+    expect(legendY).toBeLessThan(400);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Data table: the aligned points behind the charts as rows, with sorting,
+ * filtering and CSV / JSON export for spreadsheets and scripts.
+ */
+
+// Columns in display order; optional ones appear when the data carries them
+// (`diffCi` for groups of repeats, `phaseDiff` when both files have phase)
+const COLUMNS = [
+  { key: 'freq', label: 'Frequency', unit: 'Hz', digits: 1 },
+  { key: 'before', label: 'Before', digits: 2 },
+  { key: 'after', label: 'After', digits: 2 },
+  { key: 'diff', label: 'Difference', unit: 'dB', digits: 2 },
+  { key: 'diffCi', label: 'Difference 95% CI', unit: 'dB', digits: 2, optional: true },
+  { key: 'phaseDiff', label: 'Phase Difference', unit: '°', digits: 1, optional: true },
+];
+
+/**
+ * Table columns for a set of rows.
+ * @param {Array<Object>} rows - From `tableRows`
+ * @param {string} [unit] - Level unit of the Before / After columns, e.g. 'dB(A)'
+ * @returns {Array<{key: string, label: string, unit: string, digits: number}>}
+ */
+export const tableColumns = (rows, unit = 'dB') => COLUMNS
+  .filter(c => !c.optional || (rows.length > 0 && rows[0][c.key] !== undefined))
+  .map(c => ({ key: c.key, label: c.label, unit: c.unit || unit, digits: c.digits }));
+
+/**
+ * Aligned points as table rows.
+ * @param {Array<{freq: number, before: number, after: number, diff: number, diffCi?: number, phaseDiff?: number}>} aligned
+ * @param {[number, number] | null} [range] - Only points in this band; null for all
+ * @returns {Array<{freq: number, before: number, after: number, diff: number, diffCi?: number, phaseDiff?: number}>}
+ */
+export const tableRows = (aligned, range = null) => aligned
+  .filter(d => !range || (d.freq >= range[0] && d.freq <= range[1]))
+  .map(d => ({
+    freq: d.freq,
+    before: d.before,
+    after: d.after,
+    diff: d.diff,
+    ...(d.diffCi !== undefined ? { diffCi: d.diffCi } : {}),
+    ...(d.phaseDiff !== undefined ? { phaseDiff: d.phaseDiff } : {}),
+  }));
+
+const NUMBER = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+))';
+const COMPARISON_PATTERN = new RegExp(`^(<=|>=|<|>|=)\\s*${NUMBER}$`);
+const RANGE_PATTERN = new RegExp(`^${NUMBER}\\s*\\.\\.\\s*${NUMBER}$`);
+
+const COMPARISONS = {
+  '<': (v, x) => v < x,
+  '<=': (v, x) => v <= x,
+  '>': (v, x) => v > x,
+  '>=': (v, x) => v >= x,
+  '=': (v, x) => v === x,
+};
+
+/**
+ * Reads a column filter: a comparison ("< -10", ">= 60") or an inclusive
+ * range ("100..500"). Throws on anything else.
+ * @param {string} text
+ * @returns {((value: number) => boolean) | null} null for an empty filter
+ */
+export const parseFilter = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return null;
+  const comparison = COMPARISON_PATTERN.exec(trimmed);
+  if (comparison) {
+    const test = COMPARISONS[comparison[1]];
+    const x = Number(comparison[2]);
+    return (v) => test(v, x);
+  }
+  const range = RANGE_PATTERN.exec(trimmed);
+  if (range) {
+    const lo = Math.min(Number(range[1]), Number(range[2]));
+    const hi = Math.max(Number(range[1]), Number(range[2]));
+    return (v) => v >= lo && v <= hi;
+  }
+  throw new Error(`Filter "${trimmed}": expected e.g. "< -10", ">= 60" or "100..500".`);
+};
+
+/**
+ * Rows that pass every column filter; filters that do not parse are ignored.
+ * @param {Array<Object>} rows
+ * @param {Object<string, string>} filters - Filter text per column key
+ * @returns {Array<Object>}
+ */
+export const filterRows = (rows, filters) => {
+  const tests = Object.entries(filters).flatMap(([key, text]) => {
+    try {
+      const test = parseFilter(text);
+      return test ? [[key, test]] : [];
+    } catch {
+      return [];
+    }
+  });
+  if (tests.length === 0) return rows;
+  return rows.filter(row => tests.every(([key, test]) => Number.isFinite(row[key]) && test(row[key])));
+};
+
+/**
+ * Rows sorted by one column; missing values go last in either direction.
+ * @param {Array<Object>} rows
+ * @param {string} key
+ * @param {'asc' | 'desc'} [dir]
+ * @returns {Array<Object>} New array
+ */
+export const sortRows = (rows, key, dir = 'asc') => [...rows].sort((a, b) => {
+  const va = a[key];
+  const vb = b[key];
+  if (!Number.isFinite(va) || !Number.isFinite(vb)) return Number.isFinite(va) ? -1 : Number.isFinite(vb) ? 1 : 0;
+  return dir === 'asc' ? va - vb : vb - va;
+});
+
+// Helper: Value at a column's precision plus one digit, null when missing
+const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits + 1)) : null);
+
+// Helper: CSV cell, quoted when needed
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: Band metrics as plain numbers for export
+const exportMetrics = (metrics) => (metrics ? {
+  before: metrics.avgBefore,
+  after: metrics.avgAfter,
+  deltaDb: metrics.deltaDb,
+  reductionPercent: metrics.reductionPercent,
+  pointCount: metrics.pointCount,
+  ciDelta: metrics.uncertainty?.ciDelta ?? null,
+} : null);
+
+// Helper: Mask result as plain values for export, null without a mask
+const exportMask = (mask, check) => (mask ? {
+  name: mask.name,
+  pass: check?.pass ?? null,
+  worstMargin: check?.worstMargin ?? null,
+  worstFreq: check?.worstFreq ?? null,
+  failRegions: check?.failRegions ?? [],
+} : null);
+
+/**
+ * @typedef {Object} DataTableExport
+ * @property {string} trace - Label of the After configuration
+ * @property {string} beforeFile
+ * @property {string} afterFile
+ * @property {string} scope - e.g. "All data" or "ANC (200–1000 Hz)"
+ * @property {string} unit - Level unit, e.g. 'dB(A)'
+ * @property {string} averaging - Label of the metric averaging mode
+ * @property {Array<Object>} columns - From `tableColumns`
+ * @property {Array<Object>} rows - As shown (filtered and sorted)
+ * @property {Array<{name: string, range: [number, number], metrics: Object | null}>} bands
+ * @property {{name: string} | null} [mask] - Spec mask the trace was checked against
+ * @property {Object | null} [maskCheck] - From `checkMask`
+ */
+
+/**
+ * Table as CSV. The source files, scope, band metrics and mask result come first as
+ * "#" comment lines, which MATLAB (`CommentStyle`) and pandas (`comment`) skip.
+ * @param {DataTableExport} table
+ * @param {Date} [generatedAt]
+ * @returns {string}
+ */
+export const dataTableToCsv = (table, generatedAt = new Date()) => {
+  const fmt = (value, digits) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+  const header = [
+    `# ANC data table, ${generatedAt.toISOString()}`,
+    `# Before: ${table.beforeFile}`,
+    `# After: ${table.afterFile} (${table.trace})`,
+    `# Rows: ${table.scope}, ${table.rows.length} points`,
+    `# Band metrics (${table.averaging}):`,
+    ...table.bands.map(b => {
+      const m = exportMetrics(b.metrics);
+      const where = `#   ${b.name} ${Math.round(b.range[0])}-${Math.round(b.range[1])} Hz`;
+      if (!m) return `${where}: no data`;
+      return `${where}: Before ${fmt(m.before, 2)} ${table.unit}, After ${fmt(m.after, 2)} ${table.unit}, Delta ${fmt(m.deltaDb, 2)} dB, Reduction ${fmt(m.reductionPercent, 1)} %, ${m.pointCount} points`;
+    }),
+  ];
+  const mask = exportMask(table.mask, table.maskCheck);
+  if (mask) {
+    header.push(mask.pass === null
+      ? `# Mask: not checked, no point within the mask (${mask.name})`
+      : `# Mask: ${mask.pass ? 'PASS' : 'FAIL'}, worst margin ${fmt(mask.worstMargin, 2)} dB at ${fmt(mask.worstFreq, 1)} Hz (${mask.name})`);
+    if (mask.failRegions.length) header.push(`#   Failing: ${mask.failRegions.map(([lo, hi]) => `${Math.round(lo)}-${Math.round(hi)} Hz`).join(', ')}`);
+  }
+  const columns = table.columns.map(c => csvCell(`${c.label} (${c.unit})`)).join(',');
+  const rows = table.rows.map(row => table.columns.map(c => csvCell(round(row[c.key], c.digits))).join(','));
+  return [...header, columns, ...rows].join('\n') + '\n';
+};
+
+/**
+ * Table as JSON, with the band metrics and mask result alongside the rows.
+ * @param {DataTableExport} table
+ * @param {Date} [generatedAt]
+ * @returns {string}
+ */
+export const dataTableToJson = (table, generatedAt = new Date()) => JSON.stringify({
+  generatedAt: generatedAt.toISOString(),
+  before: table.beforeFile,
+  after: table.afterFile,
+  trace: table.trace,
+  scope: table.scope,
+  unit: table.unit,
+  averaging: table.averaging,
+  bands: table.bands.map(b => ({ name: b.name, range: b.range, metrics: exportMetrics(b.metrics) })),
+  mask: exportMask(table.mask, table.maskCheck),
+  columns: table.columns.map(c => ({ key: c.key, label: c.label, unit: c.unit })),
+  rows: table.rows.map(row => Object.fromEntries(table.columns.map(c => [c.key, round(row[c.key], c.digits)]))),
+}, null, 2);
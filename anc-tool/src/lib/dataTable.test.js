@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import { dataTableToCsv, dataTableToJson, filterRows, parseFilter, sortRows, tableColumns, tableRows } from './dataTable.js';
+import { checkMask } from './mask.js';
+
+const aligned = [100, 200, 400, 800].map((freq, i) => ({ freq, before: 70, after: [69, 60, 55, 72][i], diff: [-1, -10, -15, 2][i] }));
+
+describe('tableRows', () => {
+  it('keeps the points of the band, or all of them', () => {
+    expect(tableRows(aligned, [150, 500]).map(r => r.freq)).toEqual([200, 400]);
+    expect(tableRows(aligned)).toHaveLength(4);
+  });
+
+  it('adds the optional columns only when the data has them', () => {
+    expect(tableColumns(tableRows(aligned), 'dB(A)').map(c => c.key)).toEqual(['freq', 'before', 'after', 'diff']);
+    const withPhase = tableRows(aligned.map(d => ({ ...d, phaseDiff: 5, phaseBefore: 1 })));
+    expect(Object.keys(withPhase[0])).not.toContain('phaseBefore');
+    const columns = tableColumns(withPhase, 'dB(A)');
+    expect(columns.map(c => c.key)).toContain('phaseDiff');
+    expect(columns.find(c => c.key === 'before').unit).toBe('dB(A)');
+  });
+});
+
+describe('filters', () => {
+  it('reads comparisons and ranges', () => {
+    expect(parseFilter('< -5')(-10)).toBe(true);
+    expect(parseFilter('>=60')(59.9)).toBe(false);
+    expect(parseFilter('500..100')(200)).toBe(true);
+    expect(parseFilter('  ')).toBeNull();
+    expect(() => parseFilter('abc')).toThrow(/expected/);
+  });
+
+  it('keeps rows passing every filter and ignores invalid ones', () => {
+    const rows = tableRows(aligned);
+    expect(filterRows(rows, { diff: '<= -10', freq: '100..300' }).map(r => r.freq)).toEqual([200]);
+    expect(filterRows(rows, { diff: 'oops' })).toBe(rows);
+  });
+});
+
+describe('sortRows', () => {
+  it('sorts in either direction with missing values last', () => {
+    const rows = [...tableRows(aligned), { freq: 1600, diff: NaN }];
+    expect(sortRows(rows, 'diff').map(r => r.freq)).toEqual([400, 200, 100, 800, 1600]);
+    expect(sortRows(rows, 'diff', 'desc').map(r => r.freq)).toEqual([800, 100, 200, 400, 1600]);
+  });
+});
+
+describe('export', () => {
+  const rows = tableRows(aligned, [150, 500]);
+  const table = {
+    trace: 'Tuning A',
+    beforeFile: 'off.txt',
+    afterFile: 'on.txt',
+    scope: 'ANC (150–500 Hz)',
+    unit: 'dB',
+    averaging: 'Arithmetic dB mean',
+    columns: tableColumns(rows),
+    rows,
+    bands: [
+      { name: 'ANC', range: [150, 500], metrics: { avgBefore: 70, avgAfter: 57.5, deltaDb: -12.5, reductionPercent: 94.4, pointCount: 2 } },
+      { name: 'High', range: [2000, 8000], metrics: null },
+    ],
+  };
+  const generatedAt = new Date('2024-05-01T12:00:00Z');
+
+  it('writes CSV with the metrics as comment lines', () => {
+    const lines = dataTableToCsv(table, generatedAt).trim().split('\n');
+    expect(lines[0]).toBe('# ANC data table, 2024-05-01T12:00:00.000Z');
+    expect(lines).toContain('#   ANC 150-500 Hz: Before 70.00 dB, After 57.50 dB, Delta -12.50 dB, Reduction 94.4 %, 2 points');
+    expect(lines).toContain('#   High 2000-8000 Hz: no data');
+    expect(lines.slice(-3)).toEqual([
+      'Frequency (Hz),Before (dB),After (dB),Difference (dB)',
+      '200,70,60,-10',
+      '400,70,55,-15',
+    ]);
+  });
+
+  it('writes JSON with rows keyed by column', () => {
+    const parsed = JSON.parse(dataTableToJson(table, generatedAt));
+    expect(parsed.trace).toBe('Tuning A');
+    expect(parsed.bands[0].metrics.deltaDb).toBe(-12.5);
+    expect(parsed.bands[1].metrics).toBeNull();
+    expect(parsed.rows[1]).toEqual({ freq: 400, before: 70, after: 55, diff: -15 });
+    expect(parsed.mask).toBeNull();
+  });
+
+  describe('with a spec mask', () => {
+    const mask = { name: 'Spec A', points: [{ freq: 150, db: -12 }, { freq: 500, db: -12 }] };
+    const masked = { ...table, mask, maskCheck: checkMask(aligned, mask) };
+
+    it('writes the mask result as a CSV comment line', () => {
+      const lines = dataTableToCsv(masked, generatedAt).split('\n');
+      expect(lines).toContain('# Mask: FAIL, worst margin -2.00 dB at 200.0 Hz (Spec A)');
+      expect(lines.find(l => l.startsWith('#   Failing:'))).toMatch(/^# {3}Failing: \d+-\d+ Hz$/);
+    });
+
+    it('adds the mask result to the JSON', () => {
+      const parsed = JSON.parse(dataTableToJson(masked, generatedAt));
+      expect(parsed.mask).toMatchObject({ name: 'Spec A', pass: false, worstMargin: -2, worstFreq: 200 });
+      expect(parsed.mask.failRegions).toHaveLength(1);
+    });
+
+    it('says when no point lies within the mask', () => {
+      const outside = { name: 'Far', points: [{ freq: 10000, db: -3 }, { freq: 20000, db: -3 }] };
+      const text = dataTableToCsv({ ...table, mask: outside, maskCheck: checkMask(aligned, outside) }, generatedAt);
+      expect(text).toContain('# Mask: not checked, no point within the mask (Far)');
+    });
+  });
+});
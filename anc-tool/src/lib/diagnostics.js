@@ -0,0 +1,107 @@
+/**
+ * Upload diagnostics.
+ * Turns a parser result into a report of what was read, what was skipped and
+ * what looks wrong. Errors block the file from being used; warnings do not.
+ */
+
+const MAX_EXAMPLES = 5;
+
+// REW writes "* Key: value" comment lines; these are the ones worth surfacing
+const KNOWN_METADATA = [
+  { key: 'measurement', pattern: /^measurement$/i, label: 'Measurement' },
+  { key: 'date', pattern: /^dated?$/i, label: 'Date' },
+  { key: 'smoothing', pattern: /^smoothing$/i, label: 'Smoothing' },
+  { key: 'source', pattern: /^source$/i, label: 'Source' },
+  { key: 'note', pattern: /^note$/i, label: 'Note' },
+];
+
+/**
+ * Metadata from header/comment lines.
+ * @param {string[]} headerLines
+ * @returns {{software: string | null, fields: Array<{key: string, label: string, value: string}>}}
+ */
+export const extractHeaderMetadata = (headerLines = []) => {
+  const fields = [];
+  let software = null;
+
+  for (const raw of headerLines) {
+    const line = raw.replace(/^[*#/\s]+/, '').trim();
+    const measuredBy = line.match(/measured by (.+)$/i);
+    if (measuredBy) {
+      software = measuredBy[1].trim();
+      continue;
+    }
+    const kv = line.match(/^([^:=]{2,40})[:=]\s*(.+)$/);
+    if (!kv) continue;
+    const known = KNOWN_METADATA.find(m => m.pattern.test(kv[1].trim()));
+    if (known && !fields.some(f => f.key === known.key)) {
+      fields.push({ key: known.key, label: known.label, value: kv[2].trim() });
+    }
+  }
+  return { software, fields };
+};
+
+// Helper: Share of the plot's log-frequency span covered by [fMin, fMax]
+const logCoverage = (fMin, fMax, [plotMin, plotMax]) => {
+  const lo = Math.max(fMin, plotMin);
+  const hi = Math.min(fMax, plotMax);
+  if (hi <= lo) return 0;
+  return (Math.log10(hi) - Math.log10(lo)) / (Math.log10(plotMax) - Math.log10(plotMin));
+};
+
+const formatHz = (f) => (f >= 1000 ? `${+(f / 1000).toFixed(2)} kHz` : `${+f.toFixed(1)} Hz`);
+
+/**
+ * Builds the diagnostics report for one parsed file.
+ * @param {Object} result - Output of `parseMeasurement` (or a WAV analysis result)
+ * @param {Object} options
+ * @param {[number, number]} options.plotRange - Frequency span of the charts, Hz
+ * @returns {{errors: string[], warnings: string[], metadata: Object, skipped: {count: number, examples: Array}, coverage: Object | null, pointCount: number}}
+ */
+export const buildDiagnostics = (result, { plotRange }) => {
+  const errors = [];
+  const warnings = [];
+  const data = result.data || [];
+  const skippedRows = result.skipped || [];
+  const metadata = extractHeaderMetadata(result.headerLines);
+
+  const skipped = {
+    count: skippedRows.length,
+    examples: skippedRows.slice(0, MAX_EXAMPLES),
+  };
+
+  if (data.length < 2) {
+    errors.push(data.length === 0
+      ? 'No frequency/level rows could be read. Check the file format or map the columns manually.'
+      : 'Only one data point could be read; at least two are needed.');
+  }
+
+  let coverage = null;
+  if (data.length >= 2) {
+    const fMin = data[0].freq;
+    const fMax = data[data.length - 1].freq;
+    coverage = { fMin, fMax, fraction: logCoverage(fMin, fMax, plotRange) };
+
+    if (coverage.fraction === 0) {
+      errors.push(`Data covers ${formatHz(fMin)} – ${formatHz(fMax)}, entirely outside the ${formatHz(plotRange[0])} – ${formatHz(plotRange[1])} plot range.`);
+    } else if (coverage.fraction < 0.98) {
+      warnings.push(`Data covers ${formatHz(fMin)} – ${formatHz(fMax)} (${Math.round(coverage.fraction * 100)}% of the plot range).`);
+    }
+  }
+
+  if (skipped.count > 0) {
+    warnings.push(`${skipped.count} line${skipped.count === 1 ? '' : 's'} could not be read and ${skipped.count === 1 ? 'was' : 'were'} skipped.`);
+  }
+
+  const ordering = result.ordering;
+  if (ordering?.duplicates.length) {
+    const list = ordering.duplicates.slice(0, MAX_EXAMPLES).map(formatHz).join(', ');
+    warnings.push(`${ordering.duplicates.length} duplicate frequenc${ordering.duplicates.length === 1 ? 'y' : 'ies'} (${list}${ordering.duplicates.length > MAX_EXAMPLES ? ', …' : ''}).`);
+  }
+  if (ordering?.nonMonotonic.length) {
+    const first = ordering.nonMonotonic[0];
+    warnings.push(`Frequencies are not in ascending order (${ordering.nonMonotonic.length} step${ordering.nonMonotonic.length === 1 ? '' : 's'} back, first at line ${first.lineNumber}). Data was sorted.`);
+  }
+
+  return { errors, warnings, metadata, skipped, coverage, pointCount: data.length };
+};
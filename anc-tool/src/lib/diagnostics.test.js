@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { buildDiagnostics, extractHeaderMetadata } from './diagnostics.js';
+
+const plotRange = [20, 20000];
+const points = (fMin, fMax) => [{ freq: fMin, spl: 60 }, { freq: fMax, spl: 60 }];
+
+describe('extractHeaderMetadata', () => {
+  it('reads the software and known REW fields', () => {
+    const { software, fields } = extractHeaderMetadata([
+      '* Measurement data measured by REW V5.20.13',
+      '* Source: Generic, 96000 Hz',
+      '* Dated: 12-Mar-2024 10:15:03',
+      '* Smoothing: 1/48 octave',
+      '* Foo: ignored',
+    ]);
+    expect(software).toBe('REW V5.20.13');
+    expect(fields.map(f => f.key)).toEqual(['source', 'date', 'smoothing']);
+    expect(fields[1].value).toBe('12-Mar-2024 10:15:03');
+  });
+});
+
+describe('buildDiagnostics', () => {
+  it('blocks files with too few points', () => {
+    expect(buildDiagnostics({ data: [] }, { plotRange }).errors[0]).toMatch(/No frequency\/level rows/);
+    expect(buildDiagnostics({ data: [{ freq: 100, spl: 60 }] }, { plotRange }).errors[0]).toMatch(/Only one data point/);
+  });
+
+  it('blocks data entirely outside the plot range', () => {
+    const { errors, coverage } = buildDiagnostics({ data: points(30000, 40000) }, { plotRange });
+    expect(coverage.fraction).toBe(0);
+    expect(errors[0]).toMatch(/entirely outside/);
+  });
+
+  it('warns about partial coverage, skipped lines and ordering', () => {
+    const result = {
+      data: points(200, 2000),
+      skipped: [{ lineNumber: 3, text: 'abc' }],
+      ordering: { duplicates: [500], nonMonotonic: [{ lineNumber: 7 }] },
+    };
+    const { errors, warnings, coverage, skipped, pointCount } = buildDiagnostics(result, { plotRange });
+    expect(errors).toEqual([]);
+    expect(coverage.fraction).toBeCloseTo(1 / 3);
+    expect(warnings).toEqual([
+      'Data covers 200 Hz – 2 kHz (33% of the plot range).',
+      '1 line could not be read and was skipped.',
+      '1 duplicate frequency (500 Hz).',
+      'Frequencies are not in ascending order (1 step back, first at line 7). Data was sorted.',
+    ]);
+    expect(skipped.count).toBe(1);
+    expect(pointCount).toBe(2);
+  });
+
+  it('has nothing to report for a full-range file', () => {
+    const { errors, warnings } = buildDiagnostics({ data: points(20, 20000) }, { plotRange });
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * ANC effectiveness of a difference curve (After - Before).
+ * Finds the effective cancellation bandwidth (the contiguous span around the
+ * deepest attenuation where it exceeds a threshold), the peak attenuation,
+ * and waterbed regions: the spans where the controller amplifies noise, which
+ * feedback ANC inevitably trades for its attenuation elsewhere.
+ */
+
+export const ATTENUATION_THRESHOLDS = [3, 6, 10, 15, 20];
+export const DEFAULT_ATTENUATION_THRESHOLD = 10;
+
+// Amplification below this peak gain (dB) is treated as measurement noise, not a waterbed
+export const WATERBED_MIN_GAIN = 1;
+
+// Helper: Frequency where the value crosses `level` between points a and b (log-frequency interpolation)
+const crossing = (a, va, b, vb, level) => {
+  const t = va === vb ? 0 : (level - va) / (vb - va);
+  return a.freq * Math.pow(b.freq / a.freq, t);
+};
+
+// Helper: Runs of consecutive points where value > level, with edges at the
+// interpolated level crossings (or the end of the data)
+const runsAbove = (points, values, level) => {
+  const runs = [];
+  let start = -1;
+  for (let i = 0; i <= values.length; i++) {
+    const above = i < values.length && values[i] > level;
+    if (above && start === -1) start = i;
+    if (!above && start !== -1) {
+      const end = i - 1;
+      runs.push({
+        start,
+        end,
+        range: [
+          start > 0 ? crossing(points[start - 1], values[start - 1], points[start], values[start], level) : points[start].freq,
+          end < values.length - 1 ? crossing(points[end], values[end], points[end + 1], values[end + 1], level) : points[end].freq,
+        ],
+      });
+      start = -1;
+    }
+  }
+  return runs;
+};
+
+// Helper: Index of the largest value within [start, end]
+const peakIndex = (values, start, end) => {
+  let best = start;
+  for (let i = start + 1; i <= end; i++) if (values[i] > values[best]) best = i;
+  return best;
+};
+
+/**
+ * Analyses a difference curve.
+ * @param {Array<{freq: number, diff: number}>} aligned - Sorted by frequency
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Attenuation (dB, positive) the effective bandwidth must exceed
+ * @param {number} [options.minGain] - Smallest peak gain (dB) reported as a waterbed region
+ * @returns {{
+ *   threshold: number,
+ *   peak: {attenuation: number, freq: number} | null,
+ *   effective: {range: [number, number], octaves: number} | null,
+ *   waterbed: Array<{range: [number, number], peakGain: number, peakFreq: number}>
+ * }} `peak.attenuation` is positive for a reduction; `effective` is null when
+ *   the attenuation never reaches the threshold
+ */
+export const analyzeEffectiveness = (aligned, { threshold = DEFAULT_ATTENUATION_THRESHOLD, minGain = WATERBED_MIN_GAIN } = {}) => {
+  const points = aligned.filter(d => Number.isFinite(d.diff));
+  if (points.length === 0) return { threshold, peak: null, effective: null, waterbed: [] };
+
+  const attenuation = points.map(d => -d.diff);
+  const best = peakIndex(attenuation, 0, attenuation.length - 1);
+  const peak = attenuation[best] > 0 ? { attenuation: attenuation[best], freq: points[best].freq } : null;
+
+  const around = runsAbove(points, attenuation, threshold).find(r => r.start <= best && best <= r.end);
+  const effective = around ? { range: around.range, octaves: Math.log2(around.range[1] / around.range[0]) } : null;
+
+  const gain = points.map(d => d.diff);
+  const waterbed = runsAbove(points, gain, 0)
+    .map(r => {
+      const i = peakIndex(gain, r.start, r.end);
+      return { range: r.range, peakGain: gain[i], peakFreq: points[i].freq };
+    })
+    .filter(r => r.peakGain >= minGain);
+
+  return { threshold, peak, effective, waterbed };
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeEffectiveness } from './effectiveness.js';
+
+const curve = (pairs) => pairs.map(([freq, diff]) => ({ freq, diff }));
+
+describe('analyzeEffectiveness', () => {
+  // Cancels between 200 Hz and 800 Hz, amplifies around 2 kHz
+  const aligned = curve([[100, 0], [200, -10], [400, -20], [800, -10], [1600, -2], [2000, 4], [3200, 0.5], [6400, -1]]);
+
+  it('finds the peak attenuation', () => {
+    const { peak } = analyzeEffectiveness(aligned);
+    expect(peak).toEqual({ attenuation: 20, freq: 400 });
+  });
+
+  it('interpolates the effective bandwidth edges at the threshold', () => {
+    const { effective } = analyzeEffectiveness(aligned, { threshold: 15 });
+    expect(effective.range[0]).toBeCloseTo(200 * Math.SQRT2);
+    expect(effective.range[1]).toBeCloseTo(400 * Math.SQRT2);
+    expect(effective.octaves).toBeCloseTo(1);
+  });
+
+  it('reports no effective bandwidth when the threshold is never reached', () => {
+    const result = analyzeEffectiveness(aligned, { threshold: 25 });
+    expect(result.effective).toBeNull();
+    expect(result.peak.attenuation).toBe(20);
+  });
+
+  it('keeps the span around the peak when the attenuation dips below the threshold elsewhere', () => {
+    const twoDips = curve([[100, -4], [200, 0], [400, -12], [800, -12], [1600, 0]]);
+    const { effective } = analyzeEffectiveness(twoDips, { threshold: 3 });
+    expect(effective.range[0]).toBeGreaterThan(200);
+    expect(effective.range[1]).toBeLessThan(1600);
+  });
+
+  it('detects waterbed regions with their peak gain and ignores small ripples', () => {
+    const { waterbed } = analyzeEffectiveness(aligned);
+    expect(waterbed).toHaveLength(1);
+    expect(waterbed[0].peakGain).toBe(4);
+    expect(waterbed[0].peakFreq).toBe(2000);
+    expect(waterbed[0].range[0]).toBeGreaterThan(1600);
+    expect(waterbed[0].range[1]).toBeLessThan(6400);
+  });
+
+  it('handles curves without any reduction', () => {
+    const result = analyzeEffectiveness(curve([[100, 2], [200, 3]]));
+    expect(result.peak).toBeNull();
+    expect(result.effective).toBeNull();
+    expect(result.waterbed[0].range).toEqual([100, 200]);
+  });
+});
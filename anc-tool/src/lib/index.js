@@ -0,0 +1,36 @@
+/**
+ * Headless ANC analysis library.
+ * Everything here is plain JavaScript without DOM or React, so it runs in the
+ * browser, in Node (see cli/anc-batch.js) and under unit tests. The web app
+ * imports the individual modules; other consumers should use this entry.
+ */
+
+export { parseMeasurement, detectFormat, getParsers } from './parsers/index.js';
+export { buildDiagnostics } from './diagnostics.js';
+export { DEFAULT_WELCH_OPTIONS, wavToSpectrum } from './spectrum.js';
+
+export {
+  DEFAULT_ANALYSIS_OPTIONS,
+  analyzeBand,
+  analyzePair,
+  compareMeasurements,
+  createTraceAnalyzer,
+  metricsFromRaw,
+  processMeasurement,
+} from './analysis.js';
+export { alignMeasurements, buildLogGrid, interpolateLogFreq, POINTS_PER_OCTAVE_OPTIONS } from './alignment.js';
+export { AVERAGING_MODES, bandLevel, computeBandMetrics } from './metrics.js';
+export { SMOOTHING_OPTIONS, smoothSpectrum } from './smoothing.js';
+export { WEIGHTINGS, applyWeighting } from './weighting.js';
+export { GROUP_AVERAGING_MODES, groupMeasurements, summarizeRepeats } from './repeats.js';
+export { checkMask, parseMaskCsv } from './mask.js';
+export { dataTableToCsv, dataTableToJson, filterRows, sortRows, tableColumns, tableRows } from './dataTable.js';
+export { applyCalibration, parseCalibration } from './calibration.js';
+export { DEFAULT_FLOOR_MARGIN, FLOOR_MARGINS, checkNoiseFloor, floorLimitedPoints } from './noiseFloor.js';
+export { DEFAULT_LIVE_AVERAGING, LIVE_AVERAGING, averageFrame, parseLiveFrame, serializeLiveFrame } from './liveFrames.js';
+export { ATTENUATION_THRESHOLDS, DEFAULT_ATTENUATION_THRESHOLD, analyzeEffectiveness } from './effectiveness.js';
+export { BUILTIN_BAND_PRESETS } from './bands.js';
+export { BAND_TYPES, computeBandLevels } from './octaveBands.js';
+export { aWeightedLevel, computeRatings, formatRating, noiseCriterion, noiseRating } from './ratings.js';
+export { CHART_IMAGE_KINDS, DEFAULT_CHART_IMAGE_OPTIONS, LEGEND_POSITIONS, buildChartSvg } from './chartSvg.js';
+export { dbToY, freqToX, xToFreq, yToDb } from './viewport.js';
@@ -0,0 +1,93 @@
+/**
+ * Live spectrum frames.
+ * A live source (WebSocket or Server-Sent Events) sends one JSON object per
+ * message, with frequencies in Hz and levels in dB of equal length:
+ *
+ *   { "freq": [20, 20.6, 21.2, ...], "spl": [61.8, 62.3, 60.9, ...] }
+ *
+ * Optional keys: `phase` (degrees, same length), `seq` (frame counter) and
+ * `label` (name of the source, e.g. the analyzer or mic). Anything else is
+ * ignored, so sources can add their own fields.
+ */
+
+// Exponential averaging: each new frame contributes `alpha` of the result
+export const LIVE_AVERAGING = [
+  { id: 'off', label: 'No averaging', alpha: 1 },
+  { id: 'fast', label: 'Fast (α 0.5)', alpha: 0.5 },
+  { id: 'medium', label: 'Medium (α 0.2)', alpha: 0.2 },
+  { id: 'slow', label: 'Slow (α 0.05)', alpha: 0.05 },
+];
+
+export const DEFAULT_LIVE_AVERAGING = 'medium';
+
+export const getLiveAveraging = (id) => LIVE_AVERAGING.find(a => a.id === id) || LIVE_AVERAGING[0];
+
+/**
+ * Reads one frame; throws with a readable message when it is malformed.
+ * Points with a missing level or a non-positive frequency are dropped.
+ * @param {string | Object} input - Message text or parsed JSON
+ * @returns {{data: Array<{freq: number, spl: number, phase?: number}>, seq: number | null, label: string | null}}
+ *   `data` sorted by ascending frequency
+ */
+export const parseLiveFrame = (input) => {
+  let frame = input;
+  if (typeof input === 'string') {
+    try {
+      frame = JSON.parse(input);
+    } catch {
+      throw new Error('Frame is not valid JSON.');
+    }
+  }
+  if (!frame || !Array.isArray(frame.freq) || !Array.isArray(frame.spl)) throw new Error('Frame has no "freq" and "spl" arrays.');
+  if (frame.freq.length !== frame.spl.length) throw new Error('Frame "freq" and "spl" differ in length.');
+  const hasPhase = Array.isArray(frame.phase) && frame.phase.length === frame.freq.length;
+
+  // Helper: Only actual numbers count; null (e.g. a NaN in the source) does not become 0
+  const num = (v) => (typeof v === 'number' ? v : NaN);
+  const data = frame.freq
+    .map((freq, i) => ({ freq: num(freq), spl: num(frame.spl[i]), ...(hasPhase ? { phase: num(frame.phase[i]) } : {}) }))
+    .filter(d => d.freq > 0 && Number.isFinite(d.spl))
+    .sort((a, b) => a.freq - b.freq);
+  if (data.length < 2) throw new Error('Frame has fewer than two valid points.');
+
+  // A phase curve with gaps is dropped as a whole, like a file without phase
+  const phaseOk = data.every(d => d.phase === undefined || Number.isFinite(d.phase));
+
+  return {
+    data: phaseOk ? data : data.map(d => ({ freq: d.freq, spl: d.spl })),
+    seq: Number.isFinite(frame.seq) ? frame.seq : null,
+    label: typeof frame.label === 'string' ? frame.label : null,
+  };
+};
+
+// Helper: Both frames cover the same frequency points
+const sameGrid = (a, b) => a.length === b.length && a.every((d, i) => d.freq === b[i].freq);
+
+/**
+ * Exponential average of a new frame into the running average, in power.
+ * A frame on a different frequency grid restarts the average.
+ * @param {Array<{freq: number, spl: number}> | null} average - Running average, null for none yet
+ * @param {Array<{freq: number, spl: number, phase?: number}>} data - New frame
+ * @param {number} alpha - Weight of the new frame, 0 < alpha <= 1
+ * @returns {Array<{freq: number, spl: number, phase?: number}>} Phase is taken from the new frame
+ */
+export const averageFrame = (average, data, alpha) => {
+  if (!average || alpha >= 1 || !sameGrid(average, data)) return data;
+  return data.map((d, i) => ({
+    ...d,
+    spl: 10 * Math.log10((1 - alpha) * Math.pow(10, average[i].spl / 10) + alpha * Math.pow(10, d.spl / 10)),
+  }));
+};
+
+/**
+ * One frame as sent by a live source (the inverse of `parseLiveFrame`).
+ * @param {Array<{freq: number, spl: number, phase?: number}>} data
+ * @param {{seq?: number, label?: string}} [extra]
+ * @returns {string}
+ */
+export const serializeLiveFrame = (data, extra = {}) => JSON.stringify({
+  ...extra,
+  freq: data.map(d => d.freq),
+  spl: data.map(d => d.spl),
+  ...(data.every(d => Number.isFinite(d.phase)) ? { phase: data.map(d => d.phase) } : {}),
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { averageFrame, parseLiveFrame, serializeLiveFrame } from './liveFrames.js';
+
+const frame = (level) => [100, 200, 400].map(freq => ({ freq, spl: level }));
+
+describe('parseLiveFrame', () => {
+  it('reads frequency and level arrays, sorted and with invalid points dropped', () => {
+    const { data, seq, label } = parseLiveFrame('{"freq":[200,100,0,400],"spl":[61,60,70,null],"seq":7,"label":"Bench"}');
+    expect(data).toEqual([{ freq: 100, spl: 60 }, { freq: 200, spl: 61 }]);
+    expect(seq).toBe(7);
+    expect(label).toBe('Bench');
+  });
+
+  it('keeps phase when it has one value per point', () => {
+    const { data } = parseLiveFrame({ freq: [100, 200], spl: [60, 61], phase: [10, 20] });
+    expect(data[1].phase).toBe(20);
+    expect(parseLiveFrame({ freq: [100, 200], spl: [60, 61], phase: [10, null] }).data[1]).toEqual({ freq: 200, spl: 61 });
+  });
+
+  it('rejects malformed frames', () => {
+    expect(() => parseLiveFrame('not json')).toThrow(/valid JSON/);
+    expect(() => parseLiveFrame({ freq: [100] })).toThrow(/"freq" and "spl"/);
+    expect(() => parseLiveFrame({ freq: [100, 200], spl: [60] })).toThrow(/differ in length/);
+    expect(() => parseLiveFrame({ freq: [100], spl: [60] })).toThrow(/fewer than two/);
+  });
+
+  it('reads what serializeLiveFrame writes', () => {
+    const data = frame(60).map((d, i) => ({ ...d, phase: i * 10 }));
+    expect(parseLiveFrame(serializeLiveFrame(data, { seq: 1 })).data).toEqual(data);
+  });
+});
+
+describe('averageFrame', () => {
+  it('starts with the first frame', () => {
+    const first = frame(60);
+    expect(averageFrame(null, first, 0.2)).toBe(first);
+  });
+
+  it('averages in power with the given weight', () => {
+    const [point] = averageFrame(frame(60), frame(70), 0.5);
+    expect(point.spl).toBeCloseTo(10 * Math.log10((1e6 + 1e7) / 2));
+  });
+
+  it('restarts on a different frequency grid', () => {
+    const other = [{ freq: 50, spl: 80 }, { freq: 100, spl: 80 }];
+    expect(averageFrame(frame(60), other, 0.2)).toBe(other);
+  });
+});
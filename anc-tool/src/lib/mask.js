@@ -0,0 +1,126 @@
+/**
+ * Spec-limit masks.
+ * A mask is a piecewise-linear limit on the difference curve (After - Before):
+ * a point of -10 dB means the configuration must reduce the level by at least
+ * 10 dB there. Limits are interpolated linearly in dB over log frequency, so a
+ * mask looks straight on the chart, and only frequencies within the mask's
+ * span are checked.
+ */
+
+import { readRows } from './parsers/text.js';
+
+/**
+ * Reads a mask from CSV / text: frequency in the first column, limit (dB) in
+ * the second. Header and comment lines are ignored; delimiter and decimal
+ * separator are detected like for measurement files.
+ * @param {string} text
+ * @param {string} [name]
+ * @returns {{name: string, points: Array<{freq: number, db: number}>}}
+ */
+export const parseMaskCsv = (text, name = 'Mask') => {
+  const { rows } = readRows(text);
+  const points = rows
+    .map(r => ({ freq: r.values[0], db: r.values[1] }))
+    .filter(p => p.freq > 0 && Number.isFinite(p.db));
+  if (points.length < 2) throw new Error('A mask needs at least two rows of frequency and limit (dB).');
+  return { name, points: sortPoints(points) };
+};
+
+/**
+ * Mask as CSV, readable again by `parseMaskCsv`.
+ * @param {{points: Array<{freq: number, db: number}>}} mask
+ * @returns {string}
+ */
+export const maskToCsv = (mask) => [
+  'Frequency (Hz),Limit (dB)',
+  ...mask.points.map(p => `${p.freq},${p.db}`),
+].join('\n');
+
+// Helper: Points by frequency; equal frequencies keep their order (vertical steps)
+const sortPoints = (points) => points.slice().sort((a, b) => a.freq - b.freq);
+
+/**
+ * Mask with one more point, kept in frequency order.
+ * @param {{name: string, points: Array<{freq: number, db: number}>}} mask
+ * @param {{freq: number, db: number}} point
+ */
+export const addMaskPoint = (mask, point) => ({ ...mask, points: sortPoints([...mask.points, point]) });
+
+/**
+ * Limit at a frequency, or undefined outside the mask. Where two segments
+ * meet at a vertical step, the stricter (lower) limit applies.
+ * @param {Array<{freq: number, db: number}>} points - Sorted by frequency
+ * @param {number} freq
+ * @returns {number | undefined}
+ */
+export const maskLimitAt = (points, freq) => {
+  let limit;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (freq < a.freq || freq > b.freq) continue;
+    const t = a.freq === b.freq ? 0 : Math.log(freq / a.freq) / Math.log(b.freq / a.freq);
+    const value = a.freq === b.freq ? Math.min(a.db, b.db) : a.db + t * (b.db - a.db);
+    limit = limit === undefined ? value : Math.min(limit, value);
+  }
+  return limit;
+};
+
+/**
+ * Checks a difference curve against a mask.
+ * Margin is limit - difference: positive passes, negative fails.
+ * @param {Array<{freq: number, diff: number}>} aligned
+ * @param {{points: Array<{freq: number, db: number}>}} mask
+ * @returns {{pass: boolean | null, checked: number, worstMargin: number | null, worstFreq: number | null, failRegions: Array<[number, number]>}}
+ *   `pass` is null when no point of the curve lies within the mask
+ */
+export const checkMask = (aligned, mask) => {
+  const { points } = mask;
+  const span = [points[0].freq, points[points.length - 1].freq];
+  const margins = aligned.map(d => {
+    const limit = maskLimitAt(points, d.freq);
+    return limit === undefined || !Number.isFinite(d.diff) ? null : limit - d.diff;
+  });
+
+  let checked = 0;
+  let worst = -1;
+  margins.forEach((m, i) => {
+    if (m === null) return;
+    checked++;
+    if (worst === -1 || m < margins[worst]) worst = i;
+  });
+  if (checked === 0) return { pass: null, checked, worstMargin: null, worstFreq: null, failRegions: [] };
+
+  // Failing runs reach halfway (geometrically) to the neighbouring points
+  const edge = (i, j) => (j >= 0 && j < aligned.length ? Math.sqrt(aligned[i].freq * aligned[j].freq) : aligned[i].freq);
+  const failRegions = [];
+  let start = -1;
+  margins.forEach((m, i) => {
+    const failing = m !== null && m < 0;
+    if (failing && start === -1) start = i;
+    const last = i === margins.length - 1 || !(margins[i + 1] !== null && margins[i + 1] < 0);
+    if (failing && last) {
+      failRegions.push([Math.max(span[0], edge(start, start - 1)), Math.min(span[1], edge(i, i + 1))]);
+      start = -1;
+    }
+  });
+
+  return {
+    pass: failRegions.length === 0,
+    checked,
+    worstMargin: margins[worst],
+    worstFreq: aligned[worst].freq,
+    failRegions,
+  };
+};
+
+/**
+ * Validates a stored mask (e.g. from a session file).
+ * @param {*} mask
+ * @returns {{name: string, points: Array<{freq: number, db: number}>} | null}
+ */
+export const readMask = (mask) => {
+  if (!mask || !Array.isArray(mask.points)) return null;
+  const points = mask.points.filter(p => p && p.freq > 0 && Number.isFinite(p.db)).map(p => ({ freq: p.freq, db: p.db }));
+  return points.length >= 2 ? { name: String(mask.name ?? 'Mask'), points: sortPoints(points) } : null;
+};
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { checkMask, maskLimitAt, maskToCsv, parseMaskCsv, readMask } from './mask.js';
+
+const mask = { name: 'Spec', points: [{ freq: 100, db: -5 }, { freq: 1000, db: -15 }] };
+
+describe('maskLimitAt', () => {
+  it('interpolates in log frequency and is undefined outside the mask', () => {
+    expect(maskLimitAt(mask.points, Math.sqrt(100 * 1000))).toBeCloseTo(-10);
+    expect(maskLimitAt(mask.points, 50)).toBeUndefined();
+  });
+
+  it('applies the stricter limit at a vertical step', () => {
+    const stepped = [{ freq: 100, db: -5 }, { freq: 200, db: -5 }, { freq: 200, db: -10 }, { freq: 400, db: -10 }];
+    expect(maskLimitAt(stepped, 200)).toBe(-10);
+  });
+});
+
+describe('checkMask', () => {
+  it('passes a curve that stays below the limit and reports the worst margin', () => {
+    const aligned = [100, 300, 1000].map(freq => ({ freq, diff: -20 }));
+    const result = checkMask(aligned, mask);
+    expect(result.pass).toBe(true);
+    expect(result.worstMargin).toBeCloseTo(5);
+    expect(result.worstFreq).toBe(1000);
+  });
+
+  it('reports failing regions', () => {
+    const aligned = [100, 200, 400, 800, 1000].map(freq => ({ freq, diff: freq === 400 ? 0 : -20 }));
+    const result = checkMask(aligned, mask);
+    expect(result.pass).toBe(false);
+    expect(result.worstFreq).toBe(400);
+    expect(result.failRegions).toHaveLength(1);
+    const [lo, hi] = result.failRegions[0];
+    expect(lo).toBeLessThan(400);
+    expect(hi).toBeGreaterThan(400);
+  });
+
+  it('is undecided when the curve lies outside the mask', () => {
+    expect(checkMask([{ freq: 5000, diff: 0 }], mask).pass).toBeNull();
+  });
+});
+
+describe('mask CSV', () => {
+  it('round-trips through CSV', () => {
+    expect(parseMaskCsv(maskToCsv(mask), 'Spec')).toEqual(mask);
+  });
+
+  it('needs at least two points', () => {
+    expect(() => parseMaskCsv('100,-5\n')).toThrow(/two rows/);
+  });
+
+  it('drops invalid stored points', () => {
+    expect(readMask({ points: [{ freq: 100, db: -5 }, { freq: -1, db: 0 }] })).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Band level metrics.
+ * The same set of points can be summarised three ways; only the energy-based
+ * modes describe the actual change in acoustic power within the band.
+ */
+
+export const AVERAGING_MODES = [
+  {
+    id: 'arithmetic',
+    label: 'Arithmetic dB mean',
+    short: 'dB mean',
+    cardLabel: 'Avg SPL',
+    description: 'Mean of the dB values. Matches the visual level but under-weights narrow peaks.',
+  },
+  {
+    id: 'power',
+    label: 'Power-averaged level',
+    short: 'Power avg',
+    cardLabel: 'Power Avg',
+    description: 'Mean of the linear power of each point, converted back to dB.',
+  },
+  {
+    id: 'integrated',
+    label: 'Band-integrated total SPL',
+    short: 'Band total',
+    cardLabel: 'Band Total',
+    description: 'Power summed over the band, each point weighted by the bandwidth (Hz) it covers.',
+  },
+];
+
+export const DEFAULT_AVERAGING_MODE = 'arithmetic';
+
+export const getAveragingMode = (id) => AVERAGING_MODES.find(m => m.id === id) || AVERAGING_MODES[0];
+
+// Helper: dB <-> linear power
+export const dbToPower = (db) => Math.pow(10, db / 10);
+export const powerToDb = (power) => 10 * Math.log10(power);
+
+/**
+ * Bandwidth (Hz) represented by each point, using geometric midpoints
+ * between neighbours as edges and clipping the outermost edges to the band.
+ * @param {number[]} freqs - Ascending
+ * @param {[number, number]} band
+ * @returns {number[]}
+ */
+export const pointBandwidths = (freqs, [fLow, fHigh]) => freqs.map((f, i) => {
+  const lower = i === 0 ? fLow : Math.sqrt(freqs[i - 1] * f);
+  const upper = i === freqs.length - 1 ? fHigh : Math.sqrt(f * freqs[i + 1]);
+  return Math.max(0, Math.min(upper, fHigh) - Math.max(lower, fLow));
+});
+
+/**
+ * Single level (dB) describing `levels` according to the averaging mode.
+ * The integrated mode treats each level as a per-Hz spectral density, so the
+ * result is the total SPL of the band rather than an average.
+ * @param {number[]} freqs - Ascending, same length as levels
+ * @param {number[]} levels - dB
+ * @param {string} mode - One of AVERAGING_MODES ids
+ * @param {[number, number]} band - Band edges in Hz
+ * @returns {number}
+ */
+export const bandLevel = (freqs, levels, mode, band) => {
+  if (levels.length === 0) return NaN;
+
+  if (mode === 'power') {
+    const meanPower = levels.reduce((sum, l) => sum + dbToPower(l), 0) / levels.length;
+    return powerToDb(meanPower);
+  }
+
+  if (mode === 'integrated') {
+    const widths = pointBandwidths(freqs, band);
+    const total = levels.reduce((sum, l, i) => sum + dbToPower(l) * widths[i], 0);
+    return total > 0 ? powerToDb(total) : NaN;
+  }
+
+  return levels.reduce((sum, l) => sum + l, 0) / levels.length;
+};
+
+/**
+ * Before/After comparison over one band of aligned points.
+ * @param {Array<{freq: number, before: number, after: number}>} aligned
+ * @param {[number, number]} band
+ * @param {string} mode
+ * @returns {{mode: string, avgBefore: number, avgAfter: number, deltaDb: number, reductionPercent: number, pointCount: number} | null}
+ */
+export const computeBandMetrics = (aligned, band, mode = DEFAULT_AVERAGING_MODE) => {
+  const inRange = aligned.filter(d => d.freq >= band[0] && d.freq <= band[1]);
+  if (inRange.length === 0) return null;
+
+  const freqs = inRange.map(d => d.freq);
+  const avgBefore = bandLevel(freqs, inRange.map(d => d.before), mode, band);
+  const avgAfter = bandLevel(freqs, inRange.map(d => d.after), mode, band);
+  const deltaDb = avgAfter - avgBefore;
+
+  // Power Calculation
+  // Ratio = 10^(delta / 10). Only a true energy ratio in the power/integrated
+  // modes; in arithmetic mode it is derived from the dB means.
+  const powerRatio = dbToPower(deltaDb);
+  const reductionPercent = (1 - powerRatio) * 100;
+
+  return {
+    mode,
+    avgBefore,
+    avgAfter,
+    deltaDb,
+    reductionPercent,
+    pointCount: inRange.length,
+  };
+};
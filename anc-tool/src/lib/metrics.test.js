@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { bandLevel, computeBandMetrics, pointBandwidths } from './metrics.js';
+
+describe('bandLevel', () => {
+  const freqs = [100, 200];
+  const levels = [60, 70];
+
+  it('averages dB values in arithmetic mode', () => {
+    expect(bandLevel(freqs, levels, 'arithmetic', [100, 200])).toBeCloseTo(65);
+  });
+
+  it('averages linear power in power mode', () => {
+    // 10 * log10((1e6 + 1e7) / 2)
+    expect(bandLevel(freqs, levels, 'power', [100, 200])).toBeCloseTo(67.404, 3);
+  });
+
+  it('sums bandwidth-weighted power in integrated mode', () => {
+    const widths = pointBandwidths(freqs, [100, 200]);
+    expect(widths.reduce((a, b) => a + b, 0)).toBeCloseTo(100);
+    const expected = 10 * Math.log10(1e6 * widths[0] + 1e7 * widths[1]);
+    expect(bandLevel(freqs, levels, 'integrated', [100, 200])).toBeCloseTo(expected);
+  });
+});
+
+describe('computeBandMetrics', () => {
+  const aligned = [100, 200, 400, 800].map(freq => ({ freq, before: 70, after: 60 }));
+
+  it('reports the reduction within the band', () => {
+    const m = computeBandMetrics(aligned, [150, 900], 'power');
+    expect(m.pointCount).toBe(3);
+    expect(m.deltaDb).toBeCloseTo(-10);
+    expect(m.reductionPercent).toBeCloseTo(90);
+  });
+
+  it('returns null for a band without points', () => {
+    expect(computeBandMetrics(aligned, [1000, 2000])).toBeNull();
+  });
+});
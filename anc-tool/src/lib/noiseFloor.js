@@ -0,0 +1,53 @@
+/**
+ * Noise-floor checks.
+ * Where the After level comes within a few dB of the background or system
+ * noise floor (e.g. the mic self-noise), the measured reduction is limited by
+ * the measurement rather than by the ANC, so it understates the After level
+ * and overstates the attenuation.
+ */
+
+import { interpolateLogFreq } from './alignment.js';
+
+// Minimum distance (dB) of the After level above the floor; 6 dB is the usual
+// background-noise criterion for sound level measurements (e.g. ISO 3744)
+export const FLOOR_MARGINS = [3, 6, 10, 15];
+export const DEFAULT_FLOOR_MARGIN = 6;
+
+/**
+ * Which aligned points are floor-limited.
+ * Points outside the floor measurement's frequency span are never flagged.
+ * @param {Array<{freq: number, after: number}>} aligned
+ * @param {Array<{freq: number, spl: number}>} floor - Sorted by ascending frequency
+ * @param {number} [margin] - dB
+ * @returns {boolean[]} One flag per aligned point
+ */
+export const floorLimitedPoints = (aligned, floor, margin = DEFAULT_FLOOR_MARGIN) => {
+  const levels = interpolateLogFreq(floor, aligned.map(d => d.freq));
+  return aligned.map((d, i) => Number.isFinite(levels[i]) && d.after - levels[i] < margin);
+};
+
+/**
+ * Checks an aligned After curve against the noise floor.
+ * @param {Array<{freq: number, after: number}>} aligned
+ * @param {Array<{freq: number, spl: number}>} floor - Sorted by ascending frequency
+ * @param {number} [margin] - dB
+ * @returns {{margin: number, limitedCount: number, regions: Array<[number, number]>}}
+ *   `regions` are the floor-limited frequency spans
+ */
+export const checkNoiseFloor = (aligned, floor, margin = DEFAULT_FLOOR_MARGIN) => {
+  const limited = floorLimitedPoints(aligned, floor, margin);
+
+  // Limited runs reach halfway (geometrically) to the neighbouring points
+  const edge = (i, j) => (j >= 0 && j < aligned.length ? Math.sqrt(aligned[i].freq * aligned[j].freq) : aligned[i].freq);
+  const regions = [];
+  let start = -1;
+  limited.forEach((isLimited, i) => {
+    if (isLimited && start === -1) start = i;
+    if (isLimited && !limited[i + 1]) {
+      regions.push([edge(start, start - 1), edge(i, i + 1)]);
+      start = -1;
+    }
+  });
+
+  return { margin, limitedCount: limited.filter(Boolean).length, regions };
+};
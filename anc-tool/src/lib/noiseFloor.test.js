@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { checkNoiseFloor, floorLimitedPoints } from './noiseFloor.js';
+
+const aligned = [100, 200, 400, 800, 1600].map((freq, i) => ({ freq, after: [50, 42, 41, 50, 44][i] }));
+const floor = [{ freq: 150, spl: 40 }, { freq: 2000, spl: 40 }];
+
+describe('floorLimitedPoints', () => {
+  it('flags points within the margin of the floor', () => {
+    expect(floorLimitedPoints(aligned, floor, 6)).toEqual([false, true, true, false, true]);
+    expect(floorLimitedPoints(aligned, floor, 3)).toEqual([false, true, true, false, false]);
+  });
+
+  it('never flags points outside the floor measurement', () => {
+    const low = [{ freq: 100, after: 40 }];
+    expect(floorLimitedPoints(low, floor)).toEqual([false]);
+  });
+});
+
+describe('checkNoiseFloor', () => {
+  it('returns the limited spans with edges halfway to the neighbouring points', () => {
+    const check = checkNoiseFloor(aligned, floor, 6);
+    expect(check.margin).toBe(6);
+    expect(check.limitedCount).toBe(3);
+    expect(check.regions).toHaveLength(2);
+    expect(check.regions[0][0]).toBeCloseTo(Math.sqrt(100 * 200));
+    expect(check.regions[0][1]).toBeCloseTo(Math.sqrt(400 * 800));
+    expect(check.regions[1]).toEqual([Math.sqrt(800 * 1600), 1600]);
+  });
+
+  it('finds nothing when the After curve stays clear of the floor', () => {
+    expect(checkNoiseFloor(aligned, floor, 1).regions).toEqual([]);
+  });
+});
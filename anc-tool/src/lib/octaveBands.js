@@ -0,0 +1,68 @@
+/**
+ * IEC 61260-1 octave and one-third-octave bands.
+ * Exact mid-band frequencies use the base-10 system (G = 10^(3/10)) relative
+ * to 1 kHz; the nominal values are the labels from the standard.
+ */
+
+import { bandLevel } from './metrics.js';
+
+const G = Math.pow(10, 3 / 10);
+
+export const BAND_TYPES = [
+  { id: 'octave', label: 'Octave', bandsPerOctave: 1 },
+  { id: 'third', label: '1/3 Octave', bandsPerOctave: 3 },
+];
+
+const NOMINAL_THIRD_OCTAVE = [
+  25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+  1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000,
+];
+
+const NOMINAL_OCTAVE = [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+/**
+ * Band definitions for the given type.
+ * @param {'octave' | 'third'} type
+ * @returns {Array<{nominal: number, center: number, lower: number, upper: number}>}
+ */
+export const buildBands = (type) => {
+  const isThird = type === 'third';
+  const nominals = isThird ? NOMINAL_THIRD_OCTAVE : NOMINAL_OCTAVE;
+  const bandsPerOctave = isThird ? 3 : 1;
+  const reference = nominals.indexOf(1000);
+  const halfWidth = Math.pow(G, 1 / (2 * bandsPerOctave));
+
+  return nominals.map((nominal, i) => {
+    const center = 1000 * Math.pow(G, (i - reference) / bandsPerOctave);
+    return { nominal, center, lower: center / halfWidth, upper: center * halfWidth };
+  });
+};
+
+// Helper: Nominal label ('31.5', '1k', '12.5k')
+export const formatBandLabel = (nominal) => (nominal >= 1000 ? `${nominal / 1000}k` : `${nominal}`);
+
+/**
+ * Before/After level per band from aligned points.
+ * Levels are band-integrated (see `bandLevel` 'integrated' mode), so they are
+ * comparable to a real-time analyser reading of the same band.
+ * Bands not fully covered by the data are left out.
+ * @param {Array<{freq: number, before: number, after: number}>} aligned
+ * @param {'octave' | 'third'} type
+ * @returns {Array<{nominal: number, center: number, lower: number, upper: number, before: number, after: number, attenuation: number, pointCount: number}>}
+ */
+export const computeBandLevels = (aligned, type) => {
+  if (!aligned.length) return [];
+  const fMin = aligned[0].freq;
+  const fMax = aligned[aligned.length - 1].freq;
+
+  return buildBands(type)
+    .filter(band => band.lower >= fMin && band.upper <= fMax)
+    .map(band => {
+      const points = aligned.filter(d => d.freq >= band.lower && d.freq < band.upper);
+      const freqs = points.map(d => d.freq);
+      const before = bandLevel(freqs, points.map(d => d.before), 'integrated', [band.lower, band.upper]);
+      const after = bandLevel(freqs, points.map(d => d.after), 'integrated', [band.lower, band.upper]);
+      return { ...band, before, after, attenuation: after - before, pointCount: points.length };
+    })
+    .filter(band => band.pointCount > 0);
+};
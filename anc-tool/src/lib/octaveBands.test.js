@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { buildBands, computeBandLevels, formatBandLabel } from './octaveBands.js';
+
+describe('buildBands', () => {
+  it('uses base-10 mid-band frequencies around 1 kHz', () => {
+    const octaves = buildBands('octave');
+    const k1 = octaves.find(b => b.nominal === 1000);
+    expect(k1.center).toBeCloseTo(1000);
+    expect(k1.lower).toBeCloseTo(707.9, 1);
+    expect(k1.upper).toBeCloseTo(1412.5, 1);
+    expect(octaves.find(b => b.nominal === 31.5).center).toBeCloseTo(31.62, 2);
+  });
+
+  it('makes each third-octave band a third of an octave wide', () => {
+    const thirds = buildBands('third');
+    expect(thirds).toHaveLength(30);
+    thirds.forEach(b => expect(Math.log10(b.upper / b.lower)).toBeCloseTo(0.1, 9));
+  });
+});
+
+describe('computeBandLevels', () => {
+  // Flat per-Hz density of 40 dB, 10 dB lower After, 20 Hz - 20 kHz on a 1/48-octave grid
+  const aligned = Array.from({ length: 481 }, (_, i) => 20 * Math.pow(2, i / 48))
+    .filter(freq => freq <= 20000)
+    .map(freq => ({ freq, before: 40, after: 30, diff: -10 }));
+
+  it('integrates a flat density over each band width', () => {
+    const bands = computeBandLevels(aligned, 'octave');
+    bands.forEach(b => {
+      expect(b.before).toBeCloseTo(40 + 10 * Math.log10(b.upper - b.lower), 6);
+      expect(b.attenuation).toBeCloseTo(-10, 6);
+    });
+  });
+
+  it('leaves out bands the data does not fully cover', () => {
+    const nominals = computeBandLevels(aligned, 'octave').map(b => b.nominal);
+    expect(nominals).toEqual([31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000]);
+    expect(computeBandLevels([], 'third')).toEqual([]);
+  });
+});
+
+describe('formatBandLabel', () => {
+  it('writes kHz bands with a k', () => {
+    expect(formatBandLabel(31.5)).toBe('31.5');
+    expect(formatBandLabel(1000)).toBe('1k');
+    expect(formatBandLabel(12500)).toBe('12.5k');
+  });
+});
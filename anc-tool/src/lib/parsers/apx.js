@@ -0,0 +1,40 @@
+/**
+ * Audio Precision (APx500) CSV export.
+ * Several header rows (measurement name, channel names, an "X,Y,X,Y" row and
+ * a units row) followed by one X/Y column pair per channel.
+ */
+
+import { readRows, rowsToPoints, splitFields } from './text.js';
+
+const isXYRow = (fields) => fields.length >= 2
+  && fields.filter(f => f).every((f, i) => f.toUpperCase() === (i % 2 === 0 ? 'X' : 'Y'));
+
+export const apxParser = {
+  id: 'apx',
+  label: 'Audio Precision CSV',
+  detect: (text) => {
+    const lines = text.slice(0, 4000).split(/\r?\n/);
+    if (lines.some(l => isXYRow(splitFields(l, ',')))) return 0.95;
+    if (lines.some(l => /^\s*"?Hz"?\s*,\s*"?dB(SPL|V|u|FS|rA|r)\b/i.test(l))) return 0.7;
+    return 0;
+  },
+  /**
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.channel=0] - Zero-based X/Y column pair
+   */
+  parse: (text, options = {}) => {
+    const { rows, headerLines, skipped: unreadable, delimiter, decimal } = readRows(text, { delimiter: ',', ...options });
+    const channel = options.channel || 0;
+
+    const xyIndex = headerLines.findIndex(l => isXYRow(splitFields(l, delimiter)));
+    const channelRow = xyIndex > 0 ? splitFields(headerLines[xyIndex - 1], delimiter) : [];
+    const channels = [];
+    for (let i = 0; i < channelRow.length; i += 2) channels.push(channelRow[i] || `Ch${i / 2 + 1}`);
+
+    // Channels with fewer points leave empty cells at the end of their columns
+    const channelRows = rows.filter(r => !Number.isNaN(r.values[channel * 2]) || !Number.isNaN(r.values[channel * 2 + 1]));
+    const { data, skipped, ordering } = rowsToPoints(channelRows, channel * 2, channel * 2 + 1);
+    return { data, skipped: [...unreadable, ...skipped], ordering, headerLines, delimiter, decimal, channels };
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * ARTA ASCII export (File > Export > ASCII).
+ * A short title/header block, then Freq Mag [Phase] rows.
+ */
+
+import { readRows, rowsToPoints } from './text.js';
+
+export const artaParser = {
+  id: 'arta',
+  label: 'ARTA ASCII',
+  detect: (text) => (/\bARTA\b/.test(text.slice(0, 2000)) ? 0.9 : 0),
+  parse: (text, options = {}) => {
+    const { rows, headerLines, skipped: unreadable, delimiter, decimal } = readRows(text, options);
+    const { data, skipped, ordering } = rowsToPoints(rows, 0, 1, 2);
+    return { data, skipped: [...unreadable, ...skipped], ordering, headerLines, delimiter, decimal };
+  },
+};
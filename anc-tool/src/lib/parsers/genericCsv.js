@@ -0,0 +1,53 @@
+/**
+ * Generic delimited text with user-chosen columns.
+ * Used when no known format matches, or when the user forces it; the UI asks
+ * for a column mapping before parsing.
+ */
+
+import { detectLayout, readRows, rowsToPoints, splitFields, splitLines } from './text.js';
+
+/**
+ * Column layout preview for the mapping dialog.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter]
+ * @param {'.' | ','} [options.decimal]
+ * @returns {{delimiter: string, decimal: string, columnNames: string[], previewRows: string[][]}}
+ */
+export const inspectColumns = (text, options = {}) => {
+  const lines = splitLines(text).filter(l => l.trim());
+  const detected = detectLayout(lines, options.delimiter);
+  const delimiter = options.delimiter || detected.delimiter;
+  const decimal = options.decimal || detected.decimal;
+  const { rows, headerLines } = readRows(text, { delimiter, decimal });
+
+  const previewRows = lines
+    .filter(l => /^\s*"?[-+]?\.?\d/.test(l))
+    .slice(0, 8)
+    .map(l => splitFields(l, delimiter));
+  const columnCount = rows.reduce((max, r) => Math.max(max, r.values.length), 0);
+
+  // The last header line usually names the columns
+  const lastHeader = headerLines.length ? splitFields(headerLines[headerLines.length - 1], delimiter) : [];
+  const columnNames = Array.from({ length: columnCount }, (_, i) => lastHeader[i] || `Column ${i + 1}`);
+
+  return { delimiter, decimal, columnNames, previewRows };
+};
+
+export const genericCsvParser = {
+  id: 'generic',
+  label: 'Generic CSV (map columns)',
+  detect: () => 0,
+  /**
+   * @param {string} text
+   * @param {Object} options
+   * @param {{freqColumn: number, levelColumn: number, phaseColumn?: number, delimiter: string, decimal: string}} [options.mapping]
+   */
+  parse: (text, options = {}) => {
+    if (!options.mapping) return { data: [], skipped: [], headerLines: [], needsMapping: true };
+    const { freqColumn, levelColumn, phaseColumn = -1, delimiter, decimal } = options.mapping;
+    const result = readRows(text, { delimiter, decimal });
+    const { data, skipped, ordering } = rowsToPoints(result.rows, freqColumn, levelColumn, phaseColumn);
+    return { data, skipped: [...result.skipped, ...skipped], ordering, headerLines: result.headerLines, delimiter: result.delimiter, decimal: result.decimal };
+  },
+};
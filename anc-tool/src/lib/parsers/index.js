@@ -0,0 +1,69 @@
+/**
+ * Measurement file parser registry.
+ * Each parser is `{ id, label, detect(text) => score 0..1, parse(text, options) }`.
+ * Auto-detection tries parsers from the highest score down and takes the
+ * first one that yields a usable curve.
+ */
+
+import { rewParser } from './rew.js';
+import { artaParser } from './arta.js';
+import { smaartParser } from './smaart.js';
+import { apxParser } from './apx.js';
+import { genericCsvParser } from './genericCsv.js';
+
+export { inspectColumns } from './genericCsv.js';
+export { DELIMITERS, DECIMAL_SEPARATORS } from './text.js';
+
+const registry = [];
+
+/**
+ * Adds a parser (or replaces one with the same id).
+ * @param {{id: string, label: string, detect: Function, parse: Function}} parser
+ */
+export const registerParser = (parser) => {
+  const existing = registry.findIndex(p => p.id === parser.id);
+  if (existing === -1) registry.push(parser);
+  else registry[existing] = parser;
+};
+
+export const getParsers = () => registry.slice();
+
+export const getParser = (id) => registry.find(p => p.id === id) || null;
+
+[rewParser, artaParser, smaartParser, apxParser, genericCsvParser].forEach(registerParser);
+
+/**
+ * Parsers ranked by how confident they are about `text`.
+ * @param {string} text
+ * @returns {Array<{parser: Object, score: number}>}
+ */
+export const detectFormat = (text) => registry
+  .map(parser => ({ parser, score: parser.detect(text) }))
+  .filter(c => c.score > 0)
+  .sort((a, b) => b.score - a.score);
+
+/**
+ * Parses a measurement export.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.formatId='auto'] - Parser id, or 'auto'
+ * @returns {{data: Array<{freq: number, spl: number}>, format: string, formatLabel: string, needsMapping?: boolean}}
+ *   plus whatever the parser reports (skipped rows, header lines, delimiter, decimal, ...)
+ */
+export const parseMeasurement = (text, { formatId = 'auto', ...options } = {}) => {
+  const run = (parser) => ({ ...parser.parse(text, options), format: parser.id, formatLabel: parser.label });
+
+  if (formatId !== 'auto') {
+    const parser = getParser(formatId);
+    if (!parser) throw new Error(`Unknown file format: ${formatId}`);
+    return run(parser);
+  }
+
+  for (const { parser } of detectFormat(text)) {
+    const result = run(parser);
+    if (result.data.length >= 2) return result;
+  }
+
+  // Nothing recognised the layout; let the user map the columns
+  return run(genericCsvParser);
+};
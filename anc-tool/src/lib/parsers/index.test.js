@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { detectFormat, parseMeasurement } from './index.js';
+
+const REW = `* Measurement data measured by REW V5.20
+* Freq(Hz) SPL(dB) Phase(degrees)
+20.000 65.1 12.0
+40.000 66.2 -4.5
+80.000 67.3 30.1
+`;
+
+describe('parseMeasurement', () => {
+  it('detects REW exports and keeps the phase column', () => {
+    const result = parseMeasurement(REW);
+    expect(result.format).toBe('rew');
+    expect(result.data).toHaveLength(3);
+    expect(result.data[1]).toEqual({ freq: 40, spl: 66.2, phase: -4.5 });
+  });
+
+  it('reads semicolon files with decimal commas', () => {
+    const result = parseMeasurement('20,5;61,2\n40;62\n80;63,5\n');
+    expect(result.decimal).toBe(',');
+    expect(result.data.map(d => d.spl)).toEqual([61.2, 62, 63.5]);
+  });
+
+  it('sorts rows and reports the ones it skipped', () => {
+    const result = parseMeasurement('* REW\n80 63\n20 61\nfoo bar\n40 62\n', { formatId: 'rew' });
+    expect(result.data.map(d => d.freq)).toEqual([20, 40, 80]);
+    expect(result.skipped).toHaveLength(1);
+    expect(result.ordering.nonMonotonic).toHaveLength(1);
+  });
+
+  it('rejects unknown format ids', () => {
+    expect(() => parseMeasurement(REW, { formatId: 'nope' })).toThrow(/Unknown file format/);
+  });
+});
+
+describe('detectFormat', () => {
+  it('ranks REW first for REW headers', () => {
+    expect(detectFormat(REW)[0].parser.id).toBe('rew');
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * REW (Room EQ Wizard) text export.
+ * "* " comment header followed by Freq(Hz) SPL(dB) [Phase(degrees)] rows.
+ * The phase column is kept when present.
+ */
+
+import { readRows, rowsToPoints } from './text.js';
+
+export const rewParser = {
+  id: 'rew',
+  label: 'REW text export',
+  detect: (text) => {
+    const head = text.slice(0, 4000);
+    if (/Room EQ Wizard|measured by REW|^\*.*\bREW\b/im.test(head)) return 0.95;
+    if (/^\*/m.test(head) && /Freq\(Hz\)/i.test(head)) return 0.9;
+    // Bare numeric columns were always treated as REW; keep that as the fallback
+    const firstLine = head.split(/\r?\n/).find(l => l.trim());
+    return firstLine && /^\s*[-+]?\d/.test(firstLine) ? 0.3 : 0;
+  },
+  parse: (text, options = {}) => {
+    const { rows, headerLines, skipped: unreadable, delimiter, decimal } = readRows(text, options);
+    const { data, skipped, ordering } = rowsToPoints(rows, 0, 1, 2);
+    return { data, skipped: [...unreadable, ...skipped], ordering, headerLines, delimiter, decimal };
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Smaart ASCII export.
+ * Tab-delimited with a header row such as
+ * "Frequency (Hz)  Magnitude (dB)  Phase (deg)  Coherence"; spectrum exports
+ * only carry the first two columns. Column positions are taken from the header.
+ */
+
+import { findHeaderRow, readRows, rowsToPoints, splitFields } from './text.js';
+
+const HEADER_PATTERN = /freq/i;
+
+export const smaartParser = {
+  id: 'smaart',
+  label: 'Smaart ASCII',
+  detect: (text) => {
+    const head = text.slice(0, 2000);
+    if (/smaart/i.test(head)) return 0.95;
+    if (/freq[^\n]*\t[^\n]*coherence/i.test(head)) return 0.85;
+    if (/freq[^\n]*\t[^\n]*magnitude/i.test(head)) return 0.6;
+    return 0;
+  },
+  parse: (text, options = {}) => {
+    const { rows, headerLines, skipped: unreadable, delimiter, decimal } = readRows(text, { delimiter: '\t', ...options });
+    const header = findHeaderRow(headerLines, HEADER_PATTERN);
+    const names = header ? splitFields(header, delimiter) : [];
+
+    const freqColumn = Math.max(0, names.findIndex(n => /freq/i.test(n)));
+    const levelIndex = names.findIndex((n, i) => i !== freqColumn && /magnitude|level|\bdb\b|spl/i.test(n));
+    const levelColumn = levelIndex === -1 ? (freqColumn === 0 ? 1 : 0) : levelIndex;
+    const phaseColumn = names.findIndex(n => /phase/i.test(n));
+
+    const { data, skipped, ordering } = rowsToPoints(rows, freqColumn, levelColumn, phaseColumn);
+    return { data, skipped: [...unreadable, ...skipped], ordering, headerLines, delimiter, decimal };
+  },
+};
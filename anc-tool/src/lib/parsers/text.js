@@ -0,0 +1,165 @@
+/**
+ * Shared helpers for text/CSV measurement exports.
+ * Handles delimiter and decimal-separator detection so individual parsers
+ * only have to decide which columns hold frequency and level.
+ */
+
+export const DELIMITERS = [
+  { id: ',', label: 'Comma' },
+  { id: ';', label: 'Semicolon' },
+  { id: '\t', label: 'Tab' },
+  { id: 'whitespace', label: 'Whitespace' },
+];
+
+export const DECIMAL_SEPARATORS = [
+  { id: '.', label: 'Point (1.5)' },
+  { id: ',', label: 'Comma (1,5)' },
+];
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const NUMERIC_START = /^\s*"?[-+]?\.?\d/;
+
+export const splitLines = (text) => text.split(/\r\n|\r|\n/);
+
+// Helper: Lines that look like data rows (start with a number)
+const sampleNumericLines = (lines, limit = 50) => lines.filter(l => NUMERIC_START.test(l)).slice(0, limit);
+
+const LAYOUT_CANDIDATES = [
+  { delimiter: ';', decimal: ',' },
+  { delimiter: ';', decimal: '.' },
+  { delimiter: '\t', decimal: '.' },
+  { delimiter: '\t', decimal: ',' },
+  { delimiter: ',', decimal: '.' },
+  { delimiter: 'whitespace', decimal: '.' },
+  { delimiter: 'whitespace', decimal: ',' },
+];
+
+/**
+ * Guesses delimiter and decimal separator from the data rows.
+ * Every candidate layout is tried on a sample of rows; the one that splits the
+ * most rows into two or more clean numbers wins ("20.0, 60.1" is comma
+ * delimited, "20,5 61,2" is whitespace delimited with decimal commas).
+ * @param {string[]} lines
+ * @param {string} [delimiter] - Restrict detection to this delimiter
+ * @returns {{delimiter: string, decimal: '.' | ','}}
+ */
+export const detectLayout = (lines, delimiter) => {
+  const sample = sampleNumericLines(lines);
+  const candidates = delimiter ? LAYOUT_CANDIDATES.filter(c => c.delimiter === delimiter) : LAYOUT_CANDIDATES;
+  if (sample.length === 0 || candidates.length === 0) return candidates[0] || LAYOUT_CANDIDATES[5];
+
+  let best = candidates[0];
+  let bestScore = -1;
+  for (const candidate of candidates) {
+    const score = sample.filter(line => {
+      const fields = splitFields(line.trim(), candidate.delimiter).filter(f => f !== '');
+      return fields.length >= 2 && fields.every(f => !Number.isNaN(parseNumber(f, candidate.decimal)));
+    }).length;
+    // Strictly greater keeps the earlier (preferred) candidate on ties
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+export const splitFields = (line, delimiter) => (
+  delimiter === 'whitespace'
+    ? line.trim().split(/\s+/)
+    : line.split(delimiter).map(f => f.trim().replace(/^"(.*)"$/, '$1'))
+);
+
+/**
+ * Strict number parsing; anything that is not a complete number is NaN.
+ * @param {string} token
+ * @param {'.' | ','} decimal
+ * @returns {number}
+ */
+export const parseNumber = (token, decimal = '.') => {
+  if (token === undefined || token === null) return NaN;
+  let t = String(token).trim().replace(/^"(.*)"$/, '$1');
+  if (decimal === ',') t = t.replace(',', '.');
+  return NUMBER_PATTERN.test(t) ? Number(t) : NaN;
+};
+
+const COMMENT_PREFIXES = ['*', '#', '//'];
+
+/**
+ * Splits a text export into numeric rows and everything else.
+ * Non-numeric lines before the first data row are the header; comment lines
+ * anywhere are kept with it. Other non-numeric lines after the data started
+ * are reported as skipped.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Detected when omitted
+ * @param {'.' | ','} [options.decimal] - Detected when omitted
+ * @returns {{rows: Array<{lineNumber: number, text: string, values: number[]}>, headerLines: string[], skipped: Array<{lineNumber: number, text: string, reason: string}>, delimiter: string, decimal: string, lines: string[]}}
+ */
+export const readRows = (text, { delimiter, decimal } = {}) => {
+  const lines = splitLines(text);
+  const detected = delimiter && decimal ? null : detectLayout(lines, delimiter);
+  const delim = delimiter || detected.delimiter;
+  const dec = decimal || detected.decimal;
+
+  const rows = [];
+  const headerLines = [];
+  const skipped = [];
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    const fields = splitFields(line, delim);
+    const values = fields.map(f => parseNumber(f, dec));
+    if (Number.isNaN(values[0])) {
+      if (rows.length === 0 || COMMENT_PREFIXES.some(p => line.startsWith(p))) headerLines.push(line);
+      else skipped.push({ lineNumber: i + 1, text: line, reason: 'not numeric' });
+      return;
+    }
+    rows.push({ lineNumber: i + 1, text: line, values });
+  });
+
+  return { rows, headerLines, skipped, delimiter: delim, decimal: dec, lines };
+};
+
+/**
+ * Builds sorted {freq, spl, phase?} points from columns of numeric rows.
+ * Rows without a positive frequency and a finite level are reported as skipped.
+ * Frequencies that go backwards (in file order) or repeat are counted, since
+ * both usually mean two exports were concatenated or the wrong column was used.
+ * @param {Array<{lineNumber: number, text: string, values: number[]}>} rows
+ * @param {number} freqColumn
+ * @param {number} levelColumn
+ * @param {number} [phaseColumn] - Kept per point when the cell holds a finite number
+ * @returns {{data: Array<{freq: number, spl: number, phase?: number}>, skipped: Array<{lineNumber: number, text: string, reason: string}>, ordering: {nonMonotonic: Array<{lineNumber: number, freq: number}>, duplicates: number[]}}}
+ */
+export const rowsToPoints = (rows, freqColumn, levelColumn, phaseColumn = -1) => {
+  const data = [];
+  const skipped = [];
+  const nonMonotonic = [];
+  let lastFreq = -Infinity;
+  for (const { lineNumber, text, values } of rows) {
+    const freq = values[freqColumn];
+    const spl = values[levelColumn];
+    if (!(freq > 0) || !Number.isFinite(spl)) {
+      const reason = values.length <= Math.max(freqColumn, levelColumn)
+        ? 'missing column'
+        : !(freq > 0) ? 'frequency not positive' : 'invalid level';
+      skipped.push({ lineNumber, text, reason });
+      continue;
+    }
+    if (freq < lastFreq) nonMonotonic.push({ lineNumber, freq });
+    lastFreq = freq;
+    const phase = phaseColumn >= 0 ? values[phaseColumn] : NaN;
+    data.push(Number.isFinite(phase) ? { freq, spl, phase } : { freq, spl });
+  }
+
+  data.sort((a, b) => a.freq - b.freq);
+  const duplicates = [];
+  for (let i = 1; i < data.length; i++) {
+    if (data[i].freq === data[i - 1].freq && duplicates[duplicates.length - 1] !== data[i].freq) duplicates.push(data[i].freq);
+  }
+  return { data, skipped, ordering: { nonMonotonic, duplicates } };
+};
+
+// Helper: First header/comment line matching `pattern`
+export const findHeaderRow = (headerLines, pattern) => headerLines.find(l => pattern.test(l));
@@ -0,0 +1,33 @@
+/**
+ * Phase helpers (degrees).
+ * Interpolation and differences are done on unwrapped phase so a wrap at
+ * ±180° between two samples does not produce a bogus 360° swing.
+ */
+
+// Helper: Wrap to (-180, 180]
+export const wrapPhase = (deg) => {
+  const wrapped = ((deg + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+};
+
+/**
+ * Removes 360° jumps between consecutive values.
+ * @param {number[]} phases - Degrees, in frequency order
+ * @returns {number[]}
+ */
+export const unwrapPhase = (phases) => {
+  const out = new Array(phases.length);
+  let offset = 0;
+  for (let i = 0; i < phases.length; i++) {
+    if (i > 0) {
+      const step = phases[i] - phases[i - 1];
+      if (step > 180) offset -= 360 * Math.round(step / 360);
+      else if (step < -180) offset += 360 * Math.round(-step / 360);
+    }
+    out[i] = phases[i] + offset;
+  }
+  return out;
+};
+
+// Helper: True when every point of a measurement carries a phase value
+export const hasPhase = (data) => Boolean(data?.length) && data.every(d => Number.isFinite(d.phase));
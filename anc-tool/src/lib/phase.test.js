@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { hasPhase, unwrapPhase, wrapPhase } from './phase.js';
+
+describe('wrapPhase', () => {
+  it('wraps into (-180, 180]', () => {
+    expect(wrapPhase(190)).toBe(-170);
+    expect(wrapPhase(-190)).toBe(170);
+    expect(wrapPhase(725)).toBe(5);
+    expect(wrapPhase(180)).toBe(180);
+  });
+
+  it('maps -180 to 180', () => {
+    expect(wrapPhase(-180)).toBe(180);
+    expect(wrapPhase(540)).toBe(180);
+  });
+});
+
+describe('unwrapPhase', () => {
+  it('continues across the ±180° wrap in both directions', () => {
+    expect(unwrapPhase([150, 170, -170, -150])).toEqual([150, 170, 190, 210]);
+    expect(unwrapPhase([-150, -170, 170, 150])).toEqual([-150, -170, -190, -210]);
+    expect(unwrapPhase([170, -170, 170])).toEqual([170, 190, 170]);
+  });
+
+  it('removes jumps of more than one turn', () => {
+    expect(unwrapPhase([0, 750, 760])).toEqual([0, 30, 40]);
+    expect(unwrapPhase([10, -700])).toEqual([10, 20]);
+  });
+
+  it('leaves steps within ±180° alone', () => {
+    expect(unwrapPhase([0, 90, -45, 100])).toEqual([0, 90, -45, 100]);
+    expect(unwrapPhase([])).toEqual([]);
+  });
+});
+
+describe('hasPhase', () => {
+  it('needs a phase on every point', () => {
+    expect(hasPhase([{ freq: 100, phase: 10 }, { freq: 200, phase: -20 }])).toBe(true);
+    expect(hasPhase([{ freq: 100, phase: 10 }, { freq: 200 }])).toBe(false);
+    expect(hasPhase([])).toBe(false);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Plot paths for dense measurements.
+ * A 64k-point FFT export has far more points than the chart has pixels, so
+ * curves are reduced to the points that can actually be seen before they are
+ * drawn: the visible slice is found by binary search, then each pixel column
+ * keeps its first, lowest, highest and last point (min/max decimation keeps
+ * every peak and notch). The resulting SVG path strings feed both the canvas
+ * layer on screen and the SVG used for export.
+ */
+
+// Helper: First index whose frequency is >= freq, or > freq when `after` is set (binary search)
+const searchFreq = (points, freq, after = false) => {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].freq < freq || (after && points[mid].freq === freq)) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+/**
+ * Index span of the points inside a frequency domain, plus one neighbour on
+ * each side so lines run all the way to the plot edges.
+ * @param {Array<{freq: number}>} points - Sorted by ascending frequency
+ * @param {[number, number]} domain
+ * @returns {{start: number, end: number}} `end` is exclusive
+ */
+export const visibleRange = (points, [fMin, fMax]) => ({
+  start: Math.max(0, searchFreq(points, fMin) - 1),
+  end: Math.min(points.length, searchFreq(points, fMax, true) + 1),
+});
+
+/**
+ * Reduces a curve to at most four points per pixel column of a log
+ * frequency axis: the first, minimum, maximum and last value of the column,
+ * in their original order. Curves that are already sparse come back as the
+ * visible slice.
+ * @param {Array<{freq: number}>} points - Sorted by ascending frequency
+ * @param {[number, number]} domain - Visible frequency span
+ * @param {number} width - Plot width in px
+ * @param {string} [key='spl'] - Value the extremes are taken of
+ * @returns {Array<Object>}
+ */
+export const decimateMinMax = (points, domain, width, key = 'spl') => {
+  const { start, end } = visibleRange(points, domain);
+  if (end - start <= 4 * Math.max(1, width)) return points.slice(start, end);
+
+  const logMin = Math.log10(domain[0]);
+  const scale = width / (Math.log10(domain[1]) - logMin);
+  const out = [];
+  let column = null;
+  let first = 0;
+  let last = 0;
+  let min = 0;
+  let max = 0;
+  const flush = () => {
+    if (column === null) return;
+    [...new Set([first, min, max, last])].sort((a, b) => a - b).forEach(i => out.push(points[i]));
+  };
+
+  let columnEnd = -Infinity; // Frequency where the current column ends
+  for (let i = start; i < end; i++) {
+    // Only a point that leaves the column needs a logarithm
+    if (points[i].freq >= columnEnd) {
+      flush();
+      column = Math.floor((Math.log10(points[i].freq) - logMin) * scale);
+      columnEnd = Math.pow(10, logMin + (column + 1) / scale);
+      first = last = min = max = i;
+      continue;
+    }
+    last = i;
+    if (points[i][key] < points[min][key]) min = i;
+    if (points[i][key] > points[max][key]) max = i;
+  }
+  flush();
+  return out;
+};
+
+/**
+ * Lowest and highest finite value of `key` within a frequency domain,
+ * without copying the data.
+ * @param {Array<{freq: number}>} points - Sorted by ascending frequency
+ * @param {[number, number]} domain
+ * @param {string} [key='spl']
+ * @returns {[number, number] | null}
+ */
+export const extentInView = (points, [fMin, fMax], key = 'spl') => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = searchFreq(points, fMin); i < points.length && points[i].freq <= fMax; i++) {
+    const v = points[i][key];
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return min <= max ? [min, max] : null;
+};
+
+// Helper: Coordinates rounded to 0.1 px keep path strings short
+const coord = (x, y) => `${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`;
+
+/**
+ * SVG path through the points.
+ * @param {Array<Object>} points
+ * @param {(point: Object) => number} toX
+ * @param {(point: Object) => number} toY
+ * @param {(point: Object, previous: Object) => boolean} [breakAt] - Starts a new segment instead of joining
+ * @returns {string}
+ */
+export const linePath = (points, toX, toY, breakAt) => points.map((p, i) => (
+  `${i === 0 || (breakAt && breakAt(p, points[i - 1])) ? 'M' : 'L'} ${coord(toX(p), toY(p))}`
+)).join(' ');
+
+/**
+ * Closed outline of value ± spread, for the envelope of repeated measurements.
+ * @param {Array<Object>} points
+ * @param {string} valueKey
+ * @param {string} spreadKey
+ * @param {(freq: number) => number} toX
+ * @param {(value: number) => number} toY
+ * @returns {string} '' when the points carry no spread
+ */
+export const envelopePath = (points, valueKey, spreadKey, toX, toY) => {
+  if (points.length === 0 || points[0][spreadKey] === undefined) return '';
+  const upper = points.map((d, i) => `${i === 0 ? 'M' : 'L'} ${coord(toX(d.freq), toY(d[valueKey] + d[spreadKey]))}`);
+  const lower = points.slice().reverse().map(d => `L ${coord(toX(d.freq), toY(d[valueKey] - d[spreadKey]))}`);
+  return `${upper.join(' ')} ${lower.join(' ')} Z`;
+};
+
+// Per data array: slot -> { view, path }. Weakly keyed, so dropped files free their paths.
+const pathCache = new WeakMap();
+
+/**
+ * Memoises a path per data array and slot (e.g. 'line', 'envelope') for as
+ * long as the view it was built for stays the same. Charts re-render on every
+ * hover or band drag; the curves only need rebuilding when the data, size or
+ * axes change.
+ * @param {Array} data
+ * @param {string} slot
+ * @param {string} view - Anything the path depends on besides the data (size, domains, ...)
+ * @param {() => string} build
+ * @returns {string}
+ */
+export const cachedPath = (data, slot, view, build) => {
+  if (!pathCache.has(data)) pathCache.set(data, new Map());
+  const slots = pathCache.get(data);
+  const hit = slots.get(slot);
+  if (hit && hit.view === view) return hit.path;
+  const path = build();
+  slots.set(slot, { view, path });
+  return path;
+};
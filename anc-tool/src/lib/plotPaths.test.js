@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { cachedPath, decimateMinMax, envelopePath, extentInView, linePath, visibleRange } from './plotPaths.js';
+
+// Dense log-spaced curve from 20 Hz to 20 kHz
+const dense = (n) => Array.from({ length: n }, (_, i) => ({ freq: 20 * Math.pow(1000, i / (n - 1)), spl: Math.sin(i) * 10 }));
+
+describe('visibleRange', () => {
+  it('includes one neighbour outside the domain on each side', () => {
+    const points = [10, 20, 30, 40, 50].map(freq => ({ freq }));
+    expect(visibleRange(points, [20, 40])).toEqual({ start: 0, end: 5 });
+    expect(visibleRange(points, [25, 35])).toEqual({ start: 1, end: 4 });
+    expect(visibleRange(points, [60, 70])).toEqual({ start: 4, end: 5 });
+  });
+});
+
+describe('decimateMinMax', () => {
+  it('keeps sparse curves as they are', () => {
+    const points = dense(100);
+    expect(decimateMinMax(points, [20, 20000], 800)).toEqual(points);
+  });
+
+  it('reduces dense curves to at most four points per pixel column', () => {
+    const points = dense(500000);
+    const out = decimateMinMax(points, [20, 20000], 1000);
+    expect(out.length).toBeLessThanOrEqual(4 * 1002);
+    expect(out[0]).toBe(points[0]);
+    expect(out[out.length - 1]).toBe(points[points.length - 1]);
+    // Order is preserved and the extremes survive
+    expect(out.every((p, i) => i === 0 || p.freq > out[i - 1].freq)).toBe(true);
+    const peak = (curve) => curve.reduce((max, p) => Math.max(max, p.spl), -Infinity);
+    expect(peak(out)).toBe(peak(points));
+  });
+
+  it('only looks at the visible span', () => {
+    const out = decimateMinMax(dense(500000), [1000, 2000], 500);
+    expect(out[1].freq).toBeGreaterThanOrEqual(1000);
+    expect(out[out.length - 2].freq).toBeLessThanOrEqual(2000);
+  });
+});
+
+describe('extentInView', () => {
+  it('returns the range of values inside the domain', () => {
+    const points = [{ freq: 10, spl: 0 }, { freq: 100, spl: 5 }, { freq: 200, spl: -5 }, { freq: 1000, spl: 50 }];
+    expect(extentInView(points, [50, 500])).toEqual([-5, 5]);
+    expect(extentInView(points, [300, 500])).toBeNull();
+  });
+});
+
+describe('paths', () => {
+  const points = [{ freq: 100, spl: 1, ci: 1 }, { freq: 200, spl: 2, ci: 1 }];
+
+  it('joins points and starts new segments where asked', () => {
+    expect(linePath(points, p => p.freq, p => p.spl)).toBe('M 100,1 L 200,2');
+    expect(linePath(points, p => p.freq, p => p.spl, () => true)).toBe('M 100,1 M 200,2');
+  });
+
+  it('outlines the spread, or nothing without it', () => {
+    expect(envelopePath(points, 'spl', 'ci', f => f, v => v)).toBe('M 100,2 L 200,3 L 200,1 L 100,0 Z');
+    expect(envelopePath(points, 'spl', 'std', f => f, v => v)).toBe('');
+  });
+
+  it('rebuilds a cached path only when the view changes', () => {
+    const data = [];
+    let builds = 0;
+    const build = () => `path ${++builds}`;
+    expect(cachedPath(data, 'line', 'a', build)).toBe('path 1');
+    expect(cachedPath(data, 'line', 'a', build)).toBe('path 1');
+    expect(cachedPath(data, 'envelope', 'a', build)).toBe('path 2');
+    expect(cachedPath(data, 'line', 'b', build)).toBe('path 3');
+  });
+});
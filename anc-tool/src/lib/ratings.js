@@ -0,0 +1,153 @@
+/**
+ * Single-number noise ratings: ISO NR (ISO R1996), NC (ANSI S12.2) and the
+ * overall A-weighted level, Before and After.
+ * NR and NC are read off unweighted octave-band levels (see octaveBands), so
+ * they only mean something for calibrated SPL data. Both are the highest
+ * curve any band touches; the curves are interpolated between their steps,
+ * and the governing band is reported with the value.
+ */
+
+import { dbToPower, pointBandwidths, powerToDb } from './metrics.js';
+import { computeBandLevels } from './octaveBands.js';
+import { weightingDb } from './weighting.js';
+
+// NR curves: L = a + b * NR per octave band
+const NR_COEFFICIENTS = {
+  31.5: { a: 55.4, b: 0.681 },
+  63: { a: 35.5, b: 0.790 },
+  125: { a: 22.0, b: 0.870 },
+  250: { a: 12.0, b: 0.930 },
+  500: { a: 4.8, b: 0.974 },
+  1000: { a: 0, b: 1 },
+  2000: { a: -3.5, b: 1.015 },
+  4000: { a: -6.1, b: 1.025 },
+  8000: { a: -8.0, b: 1.030 },
+};
+
+// NC curves, tabulated from NC-15 to NC-70 in steps of 5
+export const NC_RANGE = [15, 70];
+const NC_STEP = 5;
+const NC_CURVES = {
+  63: [47, 51, 54, 57, 60, 64, 67, 71, 74, 77, 80, 83],
+  125: [36, 40, 44, 48, 52, 56, 60, 64, 67, 71, 75, 79],
+  250: [29, 33, 37, 41, 45, 50, 54, 58, 62, 67, 71, 75],
+  500: [22, 26, 31, 35, 40, 45, 49, 54, 58, 63, 68, 72],
+  1000: [17, 22, 27, 31, 36, 41, 46, 51, 56, 61, 66, 71],
+  2000: [14, 19, 24, 29, 34, 39, 44, 49, 54, 59, 64, 70],
+  4000: [12, 17, 22, 28, 33, 38, 43, 48, 53, 58, 63, 69],
+  8000: [11, 16, 21, 27, 32, 37, 42, 47, 52, 57, 62, 68],
+};
+
+// Helper: Nominal frequencies of a curve table, ascending ("31.5" is not an
+// integer key, so object order would put it last)
+const nominalsOf = (table) => Object.keys(table).map(Number).sort((a, b) => a - b);
+
+// Helper: NC of one band level, interpolated between the tabulated curves
+// and extrapolated along the end segments outside NC-15 to NC-70
+const bandNc = (curve, level) => {
+  let k = 0;
+  while (k < curve.length - 2 && level > curve[k + 1]) k++;
+  const t = (level - curve[k]) / (curve[k + 1] - curve[k]);
+  return NC_RANGE[0] + NC_STEP * (k + t);
+};
+
+// Helper: Highest per-band value, with the band it comes from and the bands
+// the curves define but the data does not cover
+const governing = (bands, nominals, valueOf) => {
+  const used = bands.filter(b => nominals.includes(b.nominal) && Number.isFinite(b.level));
+  if (used.length === 0) return null;
+  const top = used.reduce((best, b) => {
+    const value = valueOf(b);
+    return !best || value > best.value ? { value, band: b.nominal } : best;
+  }, null);
+  return { ...top, missingBands: nominals.filter(n => !used.some(b => b.nominal === n)) };
+};
+
+/**
+ * NR rating of a set of octave-band levels: the highest NR curve touched.
+ * @param {Array<{nominal: number, level: number}>} bands - Unweighted octave-band levels (dB SPL)
+ * @returns {{value: number, rating: number, band: number, missingBands: number[]} | null}
+ *   `value` unrounded, `rating` the integer curve not exceeded by any band,
+ *   `band` the governing nominal frequency; null without any 31.5 Hz – 8 kHz band
+ */
+export const noiseRating = (bands) => {
+  const result = governing(bands, nominalsOf(NR_COEFFICIENTS), b => {
+    const { a, b: slope } = NR_COEFFICIENTS[b.nominal];
+    return (b.level - a) / slope;
+  });
+  return result && { ...result, rating: Math.ceil(result.value - 1e-9) };
+};
+
+/**
+ * NC rating of a set of octave-band levels (tangency method).
+ * @param {Array<{nominal: number, level: number}>} bands - Unweighted octave-band levels (dB SPL)
+ * @returns {{value: number, rating: number, band: number, missingBands: number[], outOfRange: 'below' | 'above' | null} | null}
+ *   As `noiseRating`; `outOfRange` when the value lies outside NC-15 to NC-70,
+ *   where it is extrapolated; null without any 63 Hz – 8 kHz band
+ */
+export const noiseCriterion = (bands) => {
+  const result = governing(bands, nominalsOf(NC_CURVES), b => bandNc(NC_CURVES[b.nominal], b.level));
+  if (!result) return null;
+  const rating = Math.ceil(result.value - 1e-9);
+  const outOfRange = rating < NC_RANGE[0] ? 'below' : rating > NC_RANGE[1] ? 'above' : null;
+  return { ...result, rating, outOfRange };
+};
+
+/**
+ * Rating as usually written: "NR 35", "NC-40", or "<NC-15" / ">NC-70"
+ * outside the tabulated NC curves.
+ * @param {Object | null} result - From `noiseRating` or `noiseCriterion`
+ * @param {'NR' | 'NC'} kind
+ * @returns {string} "--" without a result
+ */
+export const formatRating = (result, kind) => {
+  if (!result) return '--';
+  if (result.outOfRange === 'below') return `<${kind}-${NC_RANGE[0]}`;
+  if (result.outOfRange === 'above') return `>${kind}-${NC_RANGE[1]}`;
+  return kind === 'NC' ? `NC-${result.rating}` : `NR ${result.rating}`;
+};
+
+/**
+ * Overall A-weighted level over a spectrum, each point taken as a per-Hz
+ * density as in the band-integrated metrics.
+ * @param {number[]} freqs - Ascending
+ * @param {number[]} levels - Unweighted dB
+ * @returns {number} NaN without points
+ */
+export const aWeightedLevel = (freqs, levels) => {
+  if (freqs.length === 0) return NaN;
+  const widths = pointBandwidths(freqs, [freqs[0], freqs[freqs.length - 1]]);
+  const total = levels.reduce((sum, l, i) => sum + dbToPower(l + weightingDb(freqs[i], 'A')) * widths[i], 0);
+  return total > 0 ? powerToDb(total) : NaN;
+};
+
+/**
+ * @typedef {Object} SideRatings
+ * @property {Object | null} nr - From `noiseRating`
+ * @property {Object | null} nc - From `noiseCriterion`
+ * @property {number} laeq - From `aWeightedLevel`
+ */
+
+/**
+ * NR, NC and A-weighted level of both sides of an aligned comparison. Both
+ * sides use the same octave bands and frequency range (the data they share).
+ * @param {Array<{freq: number, before: number, after: number}>} aligned - Unweighted, ideally unsmoothed
+ * @returns {{before: SideRatings, after: SideRatings, range: [number, number] | null}}
+ */
+export const computeRatings = (aligned) => {
+  const octaves = computeBandLevels(aligned, 'octave');
+  const freqs = aligned.map(d => d.freq);
+  const side = (key) => {
+    const bands = octaves.map(b => ({ nominal: b.nominal, level: b[key] }));
+    return {
+      nr: noiseRating(bands),
+      nc: noiseCriterion(bands),
+      laeq: aWeightedLevel(freqs, aligned.map(d => d[key])),
+    };
+  };
+  return {
+    before: side('before'),
+    after: side('after'),
+    range: aligned.length ? [freqs[0], freqs[freqs.length - 1]] : null,
+  };
+};
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { aWeightedLevel, computeRatings, formatRating, noiseCriterion, noiseRating } from './ratings.js';
+
+// Octave-band levels on the NR 30 curve (L = a + 30 b)
+const NR30 = [
+  [31.5, 75.83], [63, 59.2], [125, 48.1], [250, 39.9], [500, 34.02], [1000, 30], [2000, 26.95], [4000, 24.65], [8000, 22.9],
+].map(([nominal, level]) => ({ nominal, level }));
+
+// Octave-band levels on the NC-35 curve
+const NC35 = [[63, 60], [125, 52], [250, 45], [500, 40], [1000, 36], [2000, 34], [4000, 33], [8000, 32]]
+  .map(([nominal, level]) => ({ nominal, level }));
+
+const raise = (bands, nominal, db) => bands.map(b => (b.nominal === nominal ? { ...b, level: b.level + db } : b));
+
+describe('noiseRating', () => {
+  it('rates levels on an NR curve as that curve', () => {
+    const nr = noiseRating(NR30);
+    expect(nr.value).toBeCloseTo(30);
+    expect(nr.rating).toBe(30);
+    expect(nr.missingBands).toEqual([]);
+  });
+
+  it('is governed by the band that reaches the highest curve', () => {
+    const nr = noiseRating(raise(NR30, 125, 0.87 * 10));
+    expect(nr.value).toBeCloseTo(40);
+    expect(nr.band).toBe(125);
+  });
+
+  it('rounds up to the curve no band exceeds and lists uncovered bands', () => {
+    const nr = noiseRating(NR30.filter(b => b.nominal >= 250).map(b => (b.nominal === 1000 ? { ...b, level: 32.4 } : b)));
+    expect(nr.rating).toBe(33);
+    expect(nr.missingBands).toEqual([31.5, 63, 125]);
+  });
+
+  it('returns null without any rated band', () => {
+    expect(noiseRating([{ nominal: 16000, level: 40 }])).toBeNull();
+  });
+});
+
+describe('noiseCriterion', () => {
+  it('rates levels on an NC curve as that curve', () => {
+    const nc = noiseCriterion(NC35);
+    expect(nc.value).toBeCloseTo(35);
+    expect(nc.outOfRange).toBeNull();
+  });
+
+  it('interpolates between the tabulated curves', () => {
+    // 1 kHz halfway between NC-35 (36 dB) and NC-40 (41 dB)
+    const nc = noiseCriterion(raise(NC35, 1000, 2.5));
+    expect(nc.value).toBeCloseTo(37.5);
+    expect(nc.rating).toBe(38);
+    expect(nc.band).toBe(1000);
+  });
+
+  it('flags values outside NC-15 to NC-70', () => {
+    const quiet = NC35.map(b => ({ ...b, level: b.level - 30 }));
+    const loud = NC35.map(b => ({ ...b, level: b.level + 50 }));
+    expect(noiseCriterion(quiet).outOfRange).toBe('below');
+    expect(noiseCriterion(loud).outOfRange).toBe('above');
+  });
+});
+
+describe('aWeightedLevel', () => {
+  it('integrates the density over the range', () => {
+    // 2 Hz around 1 kHz, where A-weighting is 0 dB
+    expect(aWeightedLevel([999, 1000, 1001], [60, 60, 60])).toBeCloseTo(60 + 10 * Math.log10(2), 1);
+  });
+
+  it('attenuates low frequencies', () => {
+    const flat = [60, 60, 60];
+    expect(aWeightedLevel([99, 100, 101], flat)).toBeLessThan(aWeightedLevel([999, 1000, 1001], flat) - 15);
+  });
+});
+
+describe('computeRatings', () => {
+  // Flat density, 20 Hz - 10 kHz, 10 dB lower After
+  const freqs = Array.from({ length: 121 }, (_, i) => 20 * Math.pow(2, i / 12)).filter(f => f <= 10000);
+  const aligned = freqs.map(freq => ({ freq, before: 40, after: 30, diff: -10 }));
+
+  it('rates both sides over the same octave bands', () => {
+    const { before, after, range } = computeRatings(aligned);
+    expect(after.laeq - before.laeq).toBeCloseTo(-10);
+    expect(after.nr.value).toBeLessThan(before.nr.value);
+    expect(after.nr.missingBands).toEqual(before.nr.missingBands);
+    expect(range).toEqual([freqs[0], freqs[freqs.length - 1]]);
+  });
+
+  it('leaves the ratings empty without data', () => {
+    const { before, range } = computeRatings([]);
+    expect(before.nr).toBeNull();
+    expect(before.laeq).toBeNaN();
+    expect(range).toBeNull();
+  });
+});
+
+describe('formatRating', () => {
+  it('writes ratings the usual way', () => {
+    expect(formatRating(noiseRating(NR30), 'NR')).toBe('NR 30');
+    expect(formatRating(noiseCriterion(NC35), 'NC')).toBe('NC-35');
+    expect(formatRating(noiseCriterion(NC35.map(b => ({ ...b, level: 0 }))), 'NC')).toBe('<NC-15');
+    expect(formatRating(null, 'NR')).toBe('--');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Repeated measurements.
+ * ANC results vary with headset fit and mic placement, so each condition is
+ * usually measured several times. A slot can hold such a group of repeats:
+ * the group is summarised per frequency (mean, standard deviation, 95%
+ * confidence interval) and band metrics get an uncertainty from the spread of
+ * the per-repeat band levels.
+ */
+
+import { interpolateLogFreq } from './alignment.js';
+import { bandLevel, dbToPower, powerToDb } from './metrics.js';
+
+export const GROUP_AVERAGING_MODES = [
+  { id: 'db', label: 'dB mean' },
+  { id: 'power', label: 'Power mean' },
+];
+
+export const DEFAULT_GROUP_AVERAGING = 'db';
+
+export const ENVELOPES = [
+  { id: 'ci', label: '95% confidence interval' },
+  { id: 'std', label: '±1 standard deviation' },
+  { id: 'none', label: 'Hidden' },
+];
+
+export const DEFAULT_ENVELOPE = 'ci';
+
+// Two-sided 95% Student t quantiles for 1..30 degrees of freedom
+const T_975 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * t factor for a 95% confidence interval. Fractional degrees of freedom
+ * (Welch) round down, which errs on the wide side.
+ * @param {number} df
+ * @returns {number}
+ */
+export const tQuantile95 = (df) => {
+  if (!(df >= 1)) return NaN;
+  return df <= T_975.length ? T_975[Math.floor(df) - 1] : 1.96;
+};
+
+/**
+ * The individual measurements of a slot: the repeats of a group, or the file itself.
+ * @param {Object | null} file
+ * @returns {Object[]}
+ */
+export const repeatsOf = (file) => {
+  if (!file) return [];
+  return file.repeats?.length ? file.repeats : [file];
+};
+
+// Helper: Mean, sample standard deviation and 95% CI half-width of values
+const describe = (values, mode = 'db') => {
+  const n = values.length;
+  const mean = mode === 'power'
+    ? powerToDb(values.reduce((sum, v) => sum + dbToPower(v), 0) / n)
+    : values.reduce((sum, v) => sum + v, 0) / n;
+  // Spread is always taken in dB, around the dB mean
+  const dbMean = values.reduce((sum, v) => sum + v, 0) / n;
+  const std = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - dbMean) ** 2, 0) / (n - 1)) : 0;
+  const ci = n > 1 ? tQuantile95(n - 1) * std / Math.sqrt(n) : 0;
+  return { n, mean, std, ci };
+};
+
+/**
+ * Per-frequency summary of repeated curves, on the first curve's frequencies
+ * within the span all curves cover. A single curve is returned unchanged.
+ * @param {Array<Array<{freq: number, spl: number}>>} curves - Sorted by frequency
+ * @param {'db' | 'power'} [mode] - How the mean level is formed
+ * @returns {Array<{freq: number, spl: number, std?: number, ci?: number, n?: number}>}
+ */
+export const summarizeRepeats = (curves, mode = DEFAULT_GROUP_AVERAGING) => {
+  const usable = curves.filter(c => c && c.length > 0);
+  if (usable.length === 0) return [];
+  if (usable.length === 1) return usable[0];
+
+  const fMin = Math.max(...usable.map(c => c[0].freq));
+  const fMax = Math.min(...usable.map(c => c[c.length - 1].freq));
+  const grid = usable[0].filter(d => d.freq >= fMin && d.freq <= fMax).map(d => d.freq);
+  const columns = usable.map(c => interpolateLogFreq(c, grid));
+
+  return grid.map((freq, i) => {
+    const { n, mean, std, ci } = describe(columns.map(c => c[i]).filter(Number.isFinite), mode);
+    return { freq, spl: mean, std, ci, n };
+  });
+};
+
+/**
+ * Combines loaded measurements into one slot. Groups are flattened, and a
+ * single measurement stays a plain file. The group's `data` is the dB mean,
+ * so anything that needs one curve (file info, older sessions) still works.
+ * @param {Object[]} files
+ * @returns {Object}
+ */
+export const groupMeasurements = (files) => {
+  const repeats = files.flatMap(repeatsOf);
+  if (repeats.length === 1) return repeats[0];
+  const formats = new Set(repeats.map(r => r.format));
+  return {
+    name: `${repeats[0].name} +${repeats.length - 1}`,
+    format: formats.size === 1 ? repeats[0].format : 'Mixed formats',
+    data: summarizeRepeats(repeats.map(r => r.data)),
+    repeats,
+  };
+};
+
+// Helper: Variance of the mean, or 0 for a single measurement (no spread known)
+const meanVariance = (std, n) => (n > 1 ? std ** 2 / n : 0);
+
+// Helper: Welch-Satterthwaite degrees of freedom for two means
+const welchDf = (sides) => {
+  const grouped = sides.filter(s => s.n > 1);
+  if (grouped.length === 0) return NaN;
+  const total = grouped.reduce((sum, s) => sum + meanVariance(s.std, s.n), 0);
+  const denom = grouped.reduce((sum, s) => sum + meanVariance(s.std, s.n) ** 2 / (s.n - 1), 0);
+  return denom > 0 ? total ** 2 / denom : Math.min(...grouped.map(s => s.n - 1));
+};
+
+// Helper: 95% CI half-width of a difference of two means
+const differenceCi = (before, after) => {
+  const df = welchDf([before, after]);
+  const variance = meanVariance(before.std, before.n) + meanVariance(after.std, after.n);
+  return Number.isFinite(df) ? tQuantile95(df) * Math.sqrt(variance) : 0;
+};
+
+/**
+ * Adds the spread of the difference curve to aligned points when either side
+ * is a group: `diffStd` (combined standard deviation) and `diffCi` (95% CI of
+ * the difference of the means). A single measurement contributes no spread.
+ * @param {Array<{freq: number}>} aligned
+ * @param {Array<{freq: number, std?: number, n?: number}>} before - Summarised Before curve
+ * @param {Array<{freq: number, std?: number, n?: number}>} after - Summarised After curve
+ * @returns {Array<Object>}
+ */
+export const addDiffSpread = (aligned, before, after) => {
+  const grouped = (curve) => curve.length > 0 && curve[0].n !== undefined;
+  if (!grouped(before) && !grouped(after)) return aligned;
+
+  const freqs = aligned.map(d => d.freq);
+  const side = (curve) => (grouped(curve)
+    ? { std: interpolateLogFreq(curve, freqs, 'std'), n: interpolateLogFreq(curve, freqs, 'n') }
+    : null);
+  const b = side(before);
+  const a = side(after);
+  const at = (s, i) => (s ? { std: s.std[i], n: Math.round(s.n[i]) } : { std: 0, n: 1 });
+
+  return aligned.map((d, i) => {
+    const sb = at(b, i);
+    const sa = at(a, i);
+    return { ...d, diffStd: Math.sqrt(sb.std ** 2 + sa.std ** 2), diffCi: differenceCi(sb, sa) };
+  });
+};
+
+/**
+ * Uncertainty of one band's metrics from the per-repeat band levels.
+ * Each repeat is resampled on the aligned grid and reduced to a band level
+ * with the same averaging mode as the metrics.
+ * @param {Array<{freq: number}>} aligned - Points the metrics were computed from
+ * @param {[number, number]} band
+ * @param {string} mode - Metric averaging mode
+ * @param {Array<Array<{freq: number, spl: number}>>} beforeCurves - Before repeats, processed like the metrics data
+ * @param {Array<Array<{freq: number, spl: number}>>} afterCurves - After repeats, processed like the metrics data
+ * @returns {{nBefore: number, nAfter: number, ciBefore: number | null, ciAfter: number | null, ciDelta: number} | null}
+ *   null when neither side has repeats. CIs are 95% half-widths in dB.
+ */
+export const bandUncertainty = (aligned, band, mode, beforeCurves, afterCurves) => {
+  if (beforeCurves.length < 2 && afterCurves.length < 2) return null;
+  const freqs = aligned.filter(d => d.freq >= band[0] && d.freq <= band[1]).map(d => d.freq);
+  if (freqs.length === 0) return null;
+
+  const levels = (curves) => curves.map(curve => {
+    const values = interpolateLogFreq(curve, freqs);
+    const ok = values.map(Number.isFinite);
+    return bandLevel(freqs.filter((_, i) => ok[i]), values.filter((_, i) => ok[i]), mode, band);
+  }).filter(Number.isFinite);
+
+  const before = describe(levels(beforeCurves));
+  const after = describe(levels(afterCurves));
+  return {
+    nBefore: before.n,
+    nAfter: after.n,
+    ciBefore: before.n > 1 ? before.ci : null,
+    ciAfter: after.n > 1 ? after.ci : null,
+    ciDelta: differenceCi(before, after),
+  };
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { bandUncertainty, groupMeasurements, repeatsOf, summarizeRepeats, tQuantile95 } from './repeats.js';
+
+const curve = (level) => [100, 200, 400, 800].map(freq => ({ freq, spl: level }));
+
+describe('summarizeRepeats', () => {
+  it('returns a single curve unchanged', () => {
+    const single = curve(60);
+    expect(summarizeRepeats([single])).toBe(single);
+  });
+
+  it('computes mean, standard deviation and 95% CI per frequency', () => {
+    const [point] = summarizeRepeats([curve(58), curve(60), curve(62)]);
+    expect(point.spl).toBeCloseTo(60);
+    expect(point.std).toBeCloseTo(2);
+    expect(point.ci).toBeCloseTo(tQuantile95(2) * 2 / Math.sqrt(3));
+    expect(point.n).toBe(3);
+  });
+
+  it('can average in power', () => {
+    const [point] = summarizeRepeats([curve(60), curve(70)], 'power');
+    expect(point.spl).toBeCloseTo(67.404, 3);
+  });
+});
+
+describe('groupMeasurements', () => {
+  const a = { name: 'a.txt', data: curve(60) };
+  const b = { name: 'b.txt', data: curve(62) };
+
+  it('keeps a single file as is and flattens nested groups', () => {
+    expect(groupMeasurements([a])).toBe(a);
+    const group = groupMeasurements([groupMeasurements([a, b]), a]);
+    expect(repeatsOf(group)).toHaveLength(3);
+    expect(group.data[0].spl).toBeCloseTo(60.667, 3);
+  });
+});
+
+describe('bandUncertainty', () => {
+  const aligned = curve(0);
+
+  it('is null without repeats', () => {
+    expect(bandUncertainty(aligned, [100, 800], 'arithmetic', [curve(60)], [curve(50)])).toBeNull();
+  });
+
+  it('combines the spread of both sides', () => {
+    const result = bandUncertainty(aligned, [100, 800], 'arithmetic', [curve(59), curve(61)], [curve(49), curve(51)]);
+    expect(result.nBefore).toBe(2);
+    expect(result.ciBefore).toBeCloseTo(tQuantile95(1));
+    // Equal spreads: Welch gives 2 degrees of freedom
+    expect(result.ciDelta).toBeCloseTo(tQuantile95(2) * Math.sqrt(2));
+  });
+});
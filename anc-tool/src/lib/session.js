@@ -0,0 +1,210 @@
+/**
+ * Analysis sessions.
+ * A session is everything needed to reopen the same view: the parsed
+ * measurement data, file names, band selection and view settings. It is
+ * stored as versioned JSON; files written by older versions are migrated
+ * step by step on load, so archived sessions keep opening.
+ */
+
+import { DEFAULT_POINTS_PER_OCTAVE, POINTS_PER_OCTAVE_OPTIONS } from './alignment.js';
+import { AVERAGING_MODES, DEFAULT_AVERAGING_MODE } from './metrics.js';
+import { BAND_TYPES } from './octaveBands.js';
+import { DEFAULT_SMOOTHING, SMOOTHING_OPTIONS } from './smoothing.js';
+import { DEFAULT_WELCH_OPTIONS } from './spectrum.js';
+import { DEFAULT_WEIGHTING, WEIGHTINGS } from './weighting.js';
+import { readMask } from './mask.js';
+import { readCalibration } from './calibration.js';
+import { DEFAULT_ENVELOPE, DEFAULT_GROUP_AVERAGING, ENVELOPES, GROUP_AVERAGING_MODES } from './repeats.js';
+import { ATTENUATION_THRESHOLDS, DEFAULT_ATTENUATION_THRESHOLD } from './effectiveness.js';
+import { DEFAULT_FLOOR_MARGIN, FLOOR_MARGINS } from './noiseFloor.js';
+
+export const SESSION_FORMAT = 'anc-analyzer-session';
+export const SESSION_VERSION = 2;
+
+export const DEFAULT_SESSION_SETTINGS = {
+  pointsPerOctave: DEFAULT_POINTS_PER_OCTAVE,
+  averagingMode: DEFAULT_AVERAGING_MODE,
+  weighting: DEFAULT_WEIGHTING,
+  smoothing: DEFAULT_SMOOTHING,
+  metricsUseSmoothed: true,
+  groupAveraging: DEFAULT_GROUP_AVERAGING,
+  envelope: DEFAULT_ENVELOPE,
+  attenuationThreshold: DEFAULT_ATTENUATION_THRESHOLD,
+  floorMargin: DEFAULT_FLOOR_MARGIN,
+  excludeFloorLimited: false,
+  bandType: 'third',
+  chartView: 'spectrum',
+  phaseMode: 'wrapped',
+  wavOptions: DEFAULT_WELCH_OPTIONS,
+};
+
+// Allowed values per setting; anything else falls back to the default
+const SETTING_CHOICES = {
+  pointsPerOctave: POINTS_PER_OCTAVE_OPTIONS,
+  averagingMode: AVERAGING_MODES.map(m => m.id),
+  weighting: WEIGHTINGS.map(w => w.id),
+  smoothing: SMOOTHING_OPTIONS.map(o => o.id),
+  metricsUseSmoothed: [true, false],
+  groupAveraging: GROUP_AVERAGING_MODES.map(m => m.id),
+  envelope: ENVELOPES.map(e => e.id),
+  attenuationThreshold: ATTENUATION_THRESHOLDS,
+  floorMargin: FLOOR_MARGINS,
+  excludeFloorLimited: [true, false],
+  bandType: BAND_TYPES.map(t => t.id),
+  chartView: ['spectrum', 'bands', 'table'],
+  phaseMode: ['wrapped', 'unwrapped'],
+};
+
+/**
+ * Migrations keyed by the version they upgrade from; each returns a session
+ * of the next version. Add an entry here whenever SESSION_VERSION is bumped.
+ * @type {Object<number, (session: Object) => Object>}
+ */
+const MIGRATIONS = {
+  // v1 had a single `range`; v2 has any number of named bands
+  1: ({ range, ...rest }) => ({
+    ...rest,
+    version: 2,
+    bands: Array.isArray(range) ? [{ name: 'Band 1', range }] : [],
+    activeBandIndex: 0,
+  }),
+};
+
+// Helper: Measurement file as stored in a session (transient UI state is dropped).
+// Groups keep their repeats next to the mean `data`; the slot's mic calibration goes along.
+const serializeFile = (file) => (file ? {
+  name: file.name,
+  format: file.format ?? null,
+  data: file.data,
+  ...(file.info ? { info: file.info } : {}),
+  ...(file.diagnostics ? { diagnostics: file.diagnostics } : {}),
+  ...(file.repeats ? { repeats: file.repeats.map(serializeFile) } : {}),
+  ...(file.calibration ? { calibration: file.calibration } : {}),
+} : null);
+
+/**
+ * Snapshot of the current analysis as a plain JSON-serializable object.
+ * @param {Object} state
+ * @param {Object | null} state.fileBefore
+ * @param {Array<{label: string, color: string, visible: boolean, file: Object}>} state.traces
+ * @param {Object | null} [state.fileFloor] - Noise-floor measurement
+ * @param {number} state.focusTraceIndex - Index into `traces`, -1 for none
+ * @param {Array<{name: string, color: string, range: [number, number]}>} state.bands
+ * @param {number} state.activeBandIndex - Index into `bands`, -1 for none
+ * @param {{name: string, points: Array<{freq: number, db: number}>} | null} [state.mask] - Spec mask, see lib/mask
+ * @param {Object} state.settings - Same keys as DEFAULT_SESSION_SETTINGS
+ * @param {Date} [savedAt]
+ * @returns {Object}
+ */
+export const serializeSession = ({ fileBefore, traces, fileFloor = null, focusTraceIndex, bands, activeBandIndex, mask = null, settings }, savedAt = new Date()) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  savedAt: savedAt.toISOString(),
+  fileBefore: serializeFile(fileBefore),
+  traces: traces.map(t => ({ label: t.label, color: t.color, visible: t.visible, file: serializeFile(t.file) })),
+  fileFloor: serializeFile(fileFloor),
+  focusTraceIndex,
+  bands: bands.map(b => ({ name: b.name, color: b.color, range: [...b.range] })),
+  activeBandIndex,
+  mask: mask ? { name: mask.name, points: mask.points.map(p => ({ freq: p.freq, db: p.db })) } : null,
+  settings: { ...settings },
+});
+
+// Helper: Validates a stored file; throws with a readable message
+const readFile = (file, what) => {
+  if (file === null || file === undefined) return null;
+  if (typeof file !== 'object' || !Array.isArray(file.data)) throw new Error(`${what} has no measurement data.`);
+  const valid = file.data.every(d => d && Number.isFinite(d.freq) && Number.isFinite(d.spl));
+  if (!valid) throw new Error(`${what} contains invalid data points.`);
+  const repeats = Array.isArray(file.repeats) ? file.repeats.map((r, i) => readFile(r, `${what}, repeat ${i + 1}`)).filter(Boolean) : [];
+  const { repeats: _stored, calibration: _calibration, ...rest } = file;
+  const calibration = readCalibration(file.calibration);
+  return { ...rest, name: String(file.name ?? 'Untitled'), ...(repeats.length > 1 ? { repeats } : {}), ...(calibration ? { calibration } : {}) };
+};
+
+/**
+ * Valid [lo, hi] band range in Hz (positive, ascending), or null.
+ * @param {*} range
+ * @returns {[number, number] | null}
+ */
+export const readRange = (range) => (
+  Array.isArray(range) && range.length === 2 && range.every(f => Number.isFinite(f) && f > 0) && range[0] < range[1]
+    ? [range[0], range[1]]
+    : null
+);
+
+const readSettings = (stored = {}) => {
+  const settings = { ...DEFAULT_SESSION_SETTINGS };
+  for (const [key, choices] of Object.entries(SETTING_CHOICES)) {
+    if (choices.includes(stored[key])) settings[key] = stored[key];
+  }
+  settings.wavOptions = { ...DEFAULT_WELCH_OPTIONS, ...(stored.wavOptions || {}) };
+  return settings;
+};
+
+/**
+ * Upgrades a session object to SESSION_VERSION.
+ * @param {Object} session
+ * @returns {Object}
+ */
+export const migrateSession = (session) => {
+  let current = session;
+  while (current.version < SESSION_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) throw new Error(`Session version ${current.version} can no longer be opened.`);
+    current = migrate(current);
+  }
+  return current;
+};
+
+/**
+ * Reads a session file (text or parsed JSON), migrating older versions.
+ * @param {string | Object} input
+ * @returns {{fileBefore: Object | null, traces: Array<{label: string, color: string, visible: boolean, file: Object}>, fileFloor: Object | null, focusTraceIndex: number, bands: Array<{name: string, color: string | null, range: [number, number]}>, activeBandIndex: number, mask: Object | null, settings: Object, savedAt: string | null}}
+ */
+export const parseSession = (input) => {
+  let session = input;
+  if (typeof input === 'string') {
+    try {
+      session = JSON.parse(input);
+    } catch {
+      throw new Error('Not a valid JSON file.');
+    }
+  }
+  if (!session || session.format !== SESSION_FORMAT) throw new Error('Not an ANC Analyzer session file.');
+  if (!Number.isInteger(session.version) || session.version < 1) throw new Error('Session file has no valid version.');
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session was saved by a newer version of the tool (v${session.version}); this one reads up to v${SESSION_VERSION}.`);
+  }
+
+  session = migrateSession(session);
+
+  const traces = (session.traces || [])
+    .filter(t => t && t.file)
+    .map((t, i) => ({
+      label: String(t.label ?? `After ${i + 1}`),
+      color: typeof t.color === 'string' ? t.color : null,
+      visible: t.visible !== false,
+      file: readFile(t.file, `Trace "${t.label ?? i + 1}"`),
+    }));
+
+  const bands = (session.bands || [])
+    .map((b, i) => ({
+      name: String(b?.name ?? `Band ${i + 1}`),
+      color: typeof b?.color === 'string' ? b.color : null,
+      range: readRange(b?.range),
+    }))
+    .filter(b => b.range);
+
+  return {
+    fileBefore: readFile(session.fileBefore, 'Before measurement'),
+    traces,
+    fileFloor: readFile(session.fileFloor, 'Noise floor measurement'),
+    focusTraceIndex: Number.isInteger(session.focusTraceIndex) && session.focusTraceIndex < traces.length ? session.focusTraceIndex : -1,
+    bands,
+    activeBandIndex: Number.isInteger(session.activeBandIndex) && session.activeBandIndex < bands.length ? session.activeBandIndex : -1,
+    mask: readMask(session.mask),
+    settings: readSettings(session.settings),
+    savedAt: session.savedAt ?? null,
+  };
+};
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SESSION_SETTINGS, migrateSession, parseSession, readRange, serializeSession, SESSION_FORMAT, SESSION_VERSION } from './session.js';
+
+const data = [{ freq: 100, spl: 70 }, { freq: 1000, spl: 65 }];
+
+// A session as written by v1 (single `range`, no bands, mask or floor)
+const v1Session = (extra = {}) => ({
+  format: SESSION_FORMAT,
+  version: 1,
+  savedAt: '2024-01-01T00:00:00.000Z',
+  fileBefore: { name: 'off.txt', format: 'rew', data },
+  traces: [{ label: 'Tuning A', color: '#2563eb', visible: true, file: { name: 'on.txt', format: 'rew', data } }],
+  focusTraceIndex: 0,
+  settings: { weighting: 'A' },
+  ...extra,
+});
+
+describe('migrateSession', () => {
+  it('turns a v1 range into one band', () => {
+    const migrated = migrateSession(v1Session({ range: [200, 800] }));
+    expect(migrated.version).toBe(2);
+    expect(migrated.range).toBeUndefined();
+    expect(migrated.bands).toEqual([{ name: 'Band 1', range: [200, 800] }]);
+    expect(migrated.activeBandIndex).toBe(0);
+  });
+
+  it('gives an empty band list for a v1 file without a range', () => {
+    expect(migrateSession(v1Session()).bands).toEqual([]);
+  });
+});
+
+describe('readRange', () => {
+  it('accepts positive ascending pairs only', () => {
+    expect(readRange([200, 800])).toEqual([200, 800]);
+    [[800, 200], [0, 100], [200], [200, 'x'], null, 'a..b'].forEach(range => expect(readRange(range)).toBeNull());
+  });
+});
+
+describe('parseSession', () => {
+  it('opens a v1 file', () => {
+    const session = parseSession(JSON.stringify(v1Session({ range: [200, 800] })));
+    expect(session.bands).toEqual([{ name: 'Band 1', color: null, range: [200, 800] }]);
+    expect(session.activeBandIndex).toBe(0);
+    expect(session.traces[0].label).toBe('Tuning A');
+    expect(session.settings.weighting).toBe('A');
+    expect(session.settings.smoothing).toBe(DEFAULT_SESSION_SETTINGS.smoothing);
+  });
+
+  it('rejects a file from a newer version', () => {
+    expect(() => parseSession({ ...v1Session(), version: SESSION_VERSION + 1 })).toThrow(/newer version/);
+  });
+
+  it('rejects files that are not sessions', () => {
+    expect(() => parseSession('{not json')).toThrow('Not a valid JSON file.');
+    expect(() => parseSession({ format: 'other', version: 1 })).toThrow('Not an ANC Analyzer session file.');
+    expect(() => parseSession({ ...v1Session(), version: 0 })).toThrow('Session file has no valid version.');
+  });
+
+  it('rejects a measurement with invalid data', () => {
+    const broken = v1Session({ fileBefore: { name: 'off.txt', data: [{ freq: 100, spl: 'loud' }] } });
+    expect(() => parseSession(broken)).toThrow('Before measurement contains invalid data points.');
+    const noData = v1Session({ traces: [{ label: 'Tuning A', file: { name: 'on.txt' } }] });
+    expect(() => parseSession(noData)).toThrow('Trace "Tuning A" has no measurement data.');
+  });
+
+  it('drops traces without a file and bands without a valid range', () => {
+    const session = parseSession({
+      ...v1Session(),
+      version: 2,
+      traces: [null, { label: 'Empty' }, { label: 'Kept', file: { name: 'on.txt', data } }],
+      bands: [{ name: 'Inverted', range: [800, 200] }, { name: 'Zero', range: [0, 100] }, null, { name: 'ANC', range: [200, 800] }],
+      focusTraceIndex: 5,
+      activeBandIndex: 3,
+    });
+    expect(session.traces.map(t => t.label)).toEqual(['Kept']);
+    expect(session.focusTraceIndex).toBe(-1);
+    expect(session.bands.map(b => b.name)).toEqual(['ANC']);
+    expect(session.activeBandIndex).toBe(-1);
+  });
+
+  it('reads back what serializeSession wrote', () => {
+    const state = {
+      fileBefore: { name: 'off.txt', format: 'rew', data },
+      traces: [{ id: 't1', label: 'Tuning A', color: '#2563eb', visible: false, file: { name: 'on.txt', format: 'arta', data } }],
+      fileFloor: { name: 'floor.txt', format: 'rew', data },
+      focusTraceIndex: 0,
+      bands: [{ id: 'b1', name: 'ANC', color: '#10b981', range: [200, 800] }],
+      activeBandIndex: 0,
+      mask: { name: 'Spec A', points: [{ freq: 100, db: -10 }, { freq: 1000, db: -10 }] },
+      settings: { ...DEFAULT_SESSION_SETTINGS, weighting: 'C', chartView: 'table' },
+    };
+    const savedAt = new Date('2024-05-01T12:00:00Z');
+    const session = parseSession(JSON.stringify(serializeSession(state, savedAt)));
+    expect(session.fileBefore).toEqual(state.fileBefore);
+    expect(session.traces).toEqual([{ label: 'Tuning A', color: '#2563eb', visible: false, file: state.traces[0].file }]);
+    expect(session.fileFloor).toEqual(state.fileFloor);
+    expect(session.focusTraceIndex).toBe(0);
+    expect(session.bands).toEqual([{ name: 'ANC', color: '#10b981', range: [200, 800] }]);
+    expect(session.activeBandIndex).toBe(0);
+    expect(session.mask).toEqual(state.mask);
+    expect(session.settings).toEqual(state.settings);
+    expect(session.savedAt).toBe('2024-05-01T12:00:00.000Z');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Fractional-octave smoothing.
+ * Each point is replaced by the power average of all points within a window
+ * of 1/N octave centred on it (log-symmetric), the same scheme REW uses for
+ * its smoothing presets.
+ */
+
+import { dbToPower, powerToDb } from './metrics.js';
+
+export const SMOOTHING_OPTIONS = [
+  { id: 'none', label: 'None', fraction: 0 },
+  { id: '1/48', label: '1/48 octave', fraction: 48 },
+  { id: '1/24', label: '1/24 octave', fraction: 24 },
+  { id: '1/12', label: '1/12 octave', fraction: 12 },
+  { id: '1/6', label: '1/6 octave', fraction: 6 },
+  { id: '1/3', label: '1/3 octave', fraction: 3 },
+  { id: '1/1', label: '1/1 octave', fraction: 1 },
+];
+
+export const DEFAULT_SMOOTHING = 'none';
+
+export const getSmoothingOption = (id) => SMOOTHING_OPTIONS.find(o => o.id === id) || SMOOTHING_OPTIONS[0];
+
+/**
+ * Smooths a spectrum with a 1/`fraction` octave window.
+ * Runs in O(n) using a running power sum, so it stays cheap for large FFT exports.
+ * @param {Array<{freq: number, spl: number}>} data - Sorted by ascending frequency
+ * @param {number} fraction - Bandwidth denominator (3 => 1/3 octave); 0 disables smoothing
+ * @returns {Array<{freq: number, spl: number}>} New array; other point fields are kept
+ */
+export const fractionalOctaveSmooth = (data, fraction) => {
+  if (!fraction || !data || data.length < 2) return data;
+
+  const halfWidth = Math.pow(2, 1 / (2 * fraction));
+  const powers = data.map(d => dbToPower(d.spl));
+
+  const smoothed = new Array(data.length);
+  let lo = 0;
+  let hi = 0; // exclusive
+  let sum = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const fLow = data[i].freq / halfWidth;
+    const fHigh = data[i].freq * halfWidth;
+
+    while (hi < data.length && data[hi].freq <= fHigh) sum += powers[hi++];
+    while (data[lo].freq < fLow) sum -= powers[lo++];
+
+    // Guard against float cancellation in the running sum driving it to <= 0
+    const mean = sum / (hi - lo);
+    smoothed[i] = { ...data[i], spl: mean > 0 ? powerToDb(mean) : data[i].spl };
+  }
+  return smoothed;
+};
+
+// Helper: Smooth by option id ('none', '1/3', ...)
+export const smoothSpectrum = (data, smoothingId) => fractionalOctaveSmooth(data, getSmoothingOption(smoothingId).fraction);
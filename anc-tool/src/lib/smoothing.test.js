@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { fractionalOctaveSmooth, smoothSpectrum } from './smoothing.js';
+
+// 1/24-octave grid from 20 Hz to 20 kHz
+const grid = Array.from({ length: 240 }, (_, i) => 20 * Math.pow(2, i / 24));
+
+describe('fractionalOctaveSmooth', () => {
+  it('leaves a flat spectrum flat', () => {
+    const flat = grid.map(freq => ({ freq, spl: 65 }));
+    fractionalOctaveSmooth(flat, 3).forEach(d => expect(d.spl).toBeCloseTo(65, 9));
+  });
+
+  it('power-averages within the window', () => {
+    // Alternating 60 / 70 dB: a 1/1-octave window holds both about equally
+    const data = grid.map((freq, i) => ({ freq, spl: i % 2 ? 70 : 60 }));
+    const mid = fractionalOctaveSmooth(data, 1)[120];
+    expect(mid.spl).toBeCloseTo(10 * Math.log10((1e6 + 1e7) / 2), 0);
+  });
+
+  it('spreads a single peak over its window only', () => {
+    const data = grid.map((freq, i) => ({ freq, spl: i === 120 ? 80 : 40 }));
+    const smoothed = fractionalOctaveSmooth(data, 3);
+    expect(smoothed[120].spl).toBeLessThan(80);
+    expect(smoothed[122].spl).toBeGreaterThan(60);
+    expect(smoothed[110].spl).toBeCloseTo(40, 9);
+  });
+
+  it('keeps the other point fields', () => {
+    const data = grid.map(freq => ({ freq, spl: 50, phase: 10 }));
+    expect(fractionalOctaveSmooth(data, 6)[5].phase).toBe(10);
+  });
+});
+
+describe('smoothSpectrum', () => {
+  it('returns the data itself without smoothing', () => {
+    const data = grid.map(freq => ({ freq, spl: 50 }));
+    expect(smoothSpectrum(data, 'none')).toBe(data);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Averaged spectrum estimation (Welch's method).
+ * Levels are amplitude-calibrated per FFT bin: a full-scale sine reads
+ * 0 dBFS regardless of window or FFT size, matching how REW's RTA reports
+ * levels. A calibration offset then maps dBFS to dB SPL.
+ */
+
+import { decodeWav, readWavInfo } from './wav.js';
+
+export const FFT_SIZES = [1024, 2048, 4096, 8192, 16384, 32768, 65536];
+export const OVERLAP_OPTIONS = [0, 0.25, 0.5, 0.75];
+
+export const WINDOWS = [
+  { id: 'hann', label: 'Hann' },
+  { id: 'hamming', label: 'Hamming' },
+  { id: 'blackman-harris', label: 'Blackman-Harris' },
+  { id: 'flattop', label: 'Flat Top' },
+  { id: 'rectangular', label: 'Rectangular' },
+];
+
+export const DEFAULT_WELCH_OPTIONS = {
+  fftSize: 8192,
+  window: 'hann',
+  overlap: 0.5,
+  channel: 0,
+  calibrationDb: 0,
+};
+
+/**
+ * Window coefficients (periodic form, as used for spectral analysis).
+ * @param {string} type - One of WINDOWS ids
+ * @param {number} n
+ * @returns {Float64Array}
+ */
+export const makeWindow = (type, n) => {
+  const w = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = (2 * Math.PI * i) / n;
+    switch (type) {
+      case 'rectangular':
+        w[i] = 1;
+        break;
+      case 'hamming':
+        w[i] = 0.54 - 0.46 * Math.cos(x);
+        break;
+      case 'blackman-harris':
+        w[i] = 0.35875 - 0.48829 * Math.cos(x) + 0.14128 * Math.cos(2 * x) - 0.01168 * Math.cos(3 * x);
+        break;
+      case 'flattop':
+        w[i] = 0.21557895 - 0.41663158 * Math.cos(x) + 0.277263158 * Math.cos(2 * x)
+          - 0.083578947 * Math.cos(3 * x) + 0.006947368 * Math.cos(4 * x);
+        break;
+      default: // hann
+        w[i] = 0.5 - 0.5 * Math.cos(x);
+    }
+  }
+  return w;
+};
+
+/**
+ * Reusable in-place radix-2 complex FFT of a fixed size.
+ * @param {number} n - Power of two
+ * @returns {(re: Float64Array, im: Float64Array) => void}
+ */
+export const createFft = (n) => {
+  if (n < 2 || (n & (n - 1)) !== 0) throw new Error(`FFT size must be a power of two, got ${n}`);
+
+  const levels = Math.log2(n);
+  const reverse = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < levels; b++) r |= ((i >> b) & 1) << (levels - 1 - b);
+    reverse[i] = r;
+  }
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / n);
+    sin[i] = -Math.sin((2 * Math.PI * i) / n);
+  }
+
+  return (re, im) => {
+    for (let i = 0; i < n; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (let size = 2; size <= n; size *= 2) {
+      const half = size / 2;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const a = start + k;
+          const b = a + half;
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Welch-averaged spectrum of a single channel.
+ * @param {Float32Array | Float64Array} signal - Samples normalised to ±1 full scale
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {number} [options.fftSize]
+ * @param {string} [options.window]
+ * @param {number} [options.overlap] - Fraction 0..<1
+ * @param {number} [options.calibrationDb] - Added to dBFS values (dBFS -> dB SPL)
+ * @param {(fraction: number) => void} [options.onProgress]
+ * @returns {{data: Array<{freq: number, spl: number}>, segments: number}}
+ */
+export const welchSpectrum = (signal, sampleRate, options = {}) => {
+  const { fftSize, window, overlap, calibrationDb } = { ...DEFAULT_WELCH_OPTIONS, ...options };
+  const { onProgress } = options;
+
+  if (signal.length < fftSize) {
+    throw new Error(`Recording is shorter than one FFT frame (${signal.length} < ${fftSize} samples)`);
+  }
+
+  const win = makeWindow(window, fftSize);
+  const windowSum = win.reduce((sum, v) => sum + v, 0);
+  const fft = createFft(fftSize);
+  const hop = Math.max(1, Math.round(fftSize * (1 - overlap)));
+  const bins = fftSize / 2;
+
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  const power = new Float64Array(bins + 1);
+  const totalSegments = Math.floor((signal.length - fftSize) / hop) + 1;
+  const progressEvery = Math.max(1, Math.floor(totalSegments / 100));
+
+  for (let seg = 0; seg < totalSegments; seg++) {
+    const start = seg * hop;
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = signal[start + i] * win[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k <= bins; k++) {
+      power[k] += re[k] * re[k] + im[k] * im[k];
+    }
+    if (onProgress && seg % progressEvery === 0) onProgress(seg / totalSegments);
+  }
+
+  // Single-sided amplitude scaling: |X| * 2 / sum(w) recovers a sine's peak
+  // amplitude; dBFS references a full-scale sine, so peak 1.0 => 0 dBFS.
+  const scale = 2 / windowSum;
+  const data = [];
+  for (let k = 1; k < bins; k++) {
+    const meanPower = (power[k] / totalSegments) * scale * scale;
+    const dbfs = 10 * Math.log10(Math.max(meanPower, 1e-30));
+    data.push({ freq: (k * sampleRate) / fftSize, spl: dbfs + calibrationDb });
+  }
+
+  if (onProgress) onProgress(1);
+  return { data, segments: totalSegments };
+};
+
+/**
+ * Decodes a WAV recording and computes its averaged spectrum.
+ * @param {ArrayBuffer} buffer
+ * @param {Object} options - See `welchSpectrum`, plus zero-based `channel`
+ * @returns {{data: Array<{freq: number, spl: number}>, info: Object}}
+ */
+export const wavToSpectrum = (buffer, options = {}) => {
+  const settings = { ...DEFAULT_WELCH_OPTIONS, ...options };
+  // A mono recording has only one channel to offer, whatever was selected
+  if (readWavInfo(buffer).channelCount === 1) settings.channel = 0;
+  const wav = decodeWav(buffer, { channel: settings.channel });
+  const signal = wav.channels[0];
+  const { data, segments } = welchSpectrum(signal, wav.sampleRate, settings);
+
+  return {
+    data,
+    info: {
+      source: 'wav',
+      sampleRate: wav.sampleRate,
+      bitsPerSample: wav.bitsPerSample,
+      format: wav.format,
+      channelCount: wav.channelCount,
+      channel: settings.channel,
+      durationSec: signal.length / wav.sampleRate,
+      fftSize: settings.fftSize,
+      window: settings.window,
+      overlap: settings.overlap,
+      calibrationDb: settings.calibrationDb,
+      segments,
+    },
+  };
+};
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { wavToSpectrum } from './spectrum.js';
+
+// 16-bit PCM WAV of sines with the given peak amplitudes (one per channel)
+const sineWav = ({ sampleRate, freqs, amplitudes, frames }) => {
+  const channelCount = freqs.length;
+  const blockAlign = channelCount * 2;
+  const buffer = new ArrayBuffer(44 + frames * blockAlign);
+  const view = new DataView(buffer);
+  const tag = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  tag(0, 'RIFF');
+  view.setUint32(4, 36 + frames * blockAlign, true);
+  tag(8, 'WAVE');
+  tag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+  tag(36, 'data');
+  view.setUint32(40, frames * blockAlign, true);
+  for (let n = 0; n < frames; n++) {
+    freqs.forEach((f, ch) => {
+      view.setInt16(44 + n * blockAlign + ch * 2, Math.round(amplitudes[ch] * 32767 * Math.sin(2 * Math.PI * f * n / sampleRate)), true);
+    });
+  }
+  return buffer;
+};
+
+const peakOf = (data) => data.reduce((best, d) => (d.spl > best.spl ? d : best));
+
+describe('wavToSpectrum', () => {
+  // 1 kHz falls exactly on bin 128 of a 1024-point FFT at 8 kHz
+  const options = { fftSize: 1024, window: 'hann', overlap: 0.5 };
+
+  it('puts a sine at its frequency bin, amplitude-calibrated in dBFS', () => {
+    const wav = sineWav({ sampleRate: 8000, freqs: [1000], amplitudes: [0.5], frames: 8192 });
+    const { data, info } = wavToSpectrum(wav, options);
+    const peak = peakOf(data);
+    expect(peak.freq).toBe(1000);
+    expect(peak.spl).toBeCloseTo(20 * Math.log10(0.5), 1);
+    expect(data[1].freq - data[0].freq).toBeCloseTo(8000 / 1024);
+    expect(info).toMatchObject({ sampleRate: 8000, bitsPerSample: 16, channelCount: 1, segments: 15, durationSec: 1.024 });
+  });
+
+  it('adds the calibration offset', () => {
+    const wav = sineWav({ sampleRate: 8000, freqs: [1000], amplitudes: [0.5], frames: 4096 });
+    const plain = peakOf(wavToSpectrum(wav, options).data).spl;
+    expect(peakOf(wavToSpectrum(wav, { ...options, calibrationDb: 94 }).data).spl).toBeCloseTo(plain + 94, 9);
+  });
+
+  it('analyses the selected channel', () => {
+    const wav = sineWav({ sampleRate: 8000, freqs: [1000, 2000], amplitudes: [0.5, 0.25], frames: 4096 });
+    const second = peakOf(wavToSpectrum(wav, { ...options, channel: 1 }).data);
+    expect(second.freq).toBe(2000);
+    expect(second.spl).toBeCloseTo(20 * Math.log10(0.25), 1);
+  });
+
+  it('rejects a recording shorter than one FFT frame', () => {
+    const wav = sineWav({ sampleRate: 8000, freqs: [1000], amplitudes: [0.5], frames: 512 });
+    expect(() => wavToSpectrum(wav, options)).toThrow(/shorter than one FFT frame/);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * "After" traces compared against the single Before baseline.
+ * Each trace is one ANC configuration (filter tuning, gain, firmware build)
+ * with its own label, colour and visibility.
+ */
+
+// Distinct from the grey baseline and the yellow band highlight
+export const TRACE_COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea', '#db2777', '#0891b2', '#65a30d', '#7c3aed'];
+
+let nextId = 1;
+
+// Helper: File name without its extension, used as the default trace label
+const labelFromName = (name = '') => name.replace(/\.[^.]+$/, '') || 'After';
+
+/**
+ * New visible trace for a loaded file, coloured with the first unused palette entry.
+ * @param {{name: string, data: Array}} file - As produced by the file uploader
+ * @param {Array<{color: string}>} existing - Traces already loaded
+ * @param {{label?: string, color?: string | null, visible?: boolean}} [saved] - Restored settings (sessions)
+ * @returns {{id: string, label: string, color: string, visible: boolean, file: Object}}
+ */
+export const createTrace = (file, existing = [], saved = {}) => {
+  const used = new Set(existing.map(t => t.color));
+  const color = saved.color || TRACE_COLORS.find(c => !used.has(c)) || TRACE_COLORS[existing.length % TRACE_COLORS.length];
+  return {
+    id: `trace-${nextId++}`,
+    label: saved.label ?? labelFromName(file.name),
+    color,
+    visible: saved.visible ?? true,
+    file,
+  };
+};
@@ -0,0 +1,148 @@
+/**
+ * Chart viewport maths: mapping frequency / dB to plot coordinates, zooming
+ * and panning a log frequency axis and linear dB axes, plus tick generation
+ * for arbitrary ranges.
+ */
+
+/**
+ * Frequency to X coordinate on a log axis showing `domain`.
+ * @param {number} freq
+ * @param {number} width - Plot width in px
+ * @param {[number, number]} [domain]
+ * @returns {number}
+ */
+export const freqToX = (freq, width, domain = [20, 20000]) => {
+  const minLog = Math.log10(domain[0]);
+  const maxLog = Math.log10(domain[1]);
+  return ((Math.log10(freq) - minLog) / (maxLog - minLog)) * width;
+};
+
+// Helper: Inverse of freqToX
+export const xToFreq = (x, width, domain = [20, 20000]) => {
+  const minLog = Math.log10(domain[0]);
+  const maxLog = Math.log10(domain[1]);
+  return Math.pow(10, (x / width) * (maxLog - minLog) + minLog);
+};
+
+// Helper: dB to Y coordinate (SVG y grows downwards)
+export const dbToY = (db, height, minDb, maxDb) => height - ((db - minDb) / (maxDb - minDb)) * height;
+
+// Helper: Inverse of dbToY
+export const yToDb = (y, height, minDb, maxDb) => minDb + ((height - y) / height) * (maxDb - minDb);
+
+const MIN_FREQ_SPAN = 1.05; // Narrowest frequency view, as a max/min ratio
+const MIN_DB_SPAN = 1;
+
+/**
+ * Zooms a log-scaled domain around an anchor.
+ * @param {[number, number]} domain - [fMin, fMax] Hz
+ * @param {number} anchor - Frequency that stays in place (e.g. under the mouse)
+ * @param {number} factor - < 1 zooms in, > 1 zooms out
+ * @param {[number, number]} limits - Widest allowed domain
+ * @returns {[number, number]}
+ */
+export const zoomLogDomain = ([lo, hi], anchor, factor, limits) => {
+  const a = Math.log10(anchor);
+  const newLo = a - (a - Math.log10(lo)) * factor;
+  const newHi = a + (Math.log10(hi) - a) * factor;
+  if (newHi - newLo < Math.log10(MIN_FREQ_SPAN)) return [lo, hi];
+  return clampLogDomain([10 ** newLo, 10 ** newHi], limits);
+};
+
+/**
+ * Shifts a log-scaled domain by a frequency ratio, keeping its span.
+ * @param {[number, number]} domain
+ * @param {number} ratio - > 1 moves the view up in frequency
+ * @param {[number, number]} limits
+ * @returns {[number, number]}
+ */
+export const panLogDomain = ([lo, hi], ratio, [minFreq, maxFreq]) => {
+  const clamped = Math.min(Math.max(ratio, minFreq / lo), maxFreq / hi);
+  return [lo * clamped, hi * clamped];
+};
+
+// Helper: Fit a log domain inside the limits, shifting before shrinking
+const clampLogDomain = ([lo, hi], [minFreq, maxFreq]) => {
+  if (hi / lo >= maxFreq / minFreq) return [minFreq, maxFreq];
+  if (lo < minFreq) return [minFreq, hi * (minFreq / lo)];
+  if (hi > maxFreq) return [lo * (maxFreq / hi), maxFreq];
+  return [lo, hi];
+};
+
+/**
+ * Zooms a linear domain around an anchor.
+ * @param {[number, number]} domain
+ * @param {number} anchor
+ * @param {number} factor - < 1 zooms in, > 1 zooms out
+ * @returns {[number, number]}
+ */
+export const zoomLinearDomain = ([lo, hi], anchor, factor) => {
+  const newLo = anchor - (anchor - lo) * factor;
+  const newHi = anchor + (hi - anchor) * factor;
+  return newHi - newLo < MIN_DB_SPAN ? [lo, hi] : [newLo, newHi];
+};
+
+/**
+ * Tick frequencies for a log axis: 1-2-5 per decade, or every integer
+ * multiple when less than a decade is visible.
+ * @param {[number, number]} domain
+ * @returns {number[]}
+ */
+export const logTicks = ([lo, hi]) => {
+  const mantissas = hi / lo < 10 ? [1, 2, 3, 4, 5, 6, 7, 8, 9] : [1, 2, 5];
+  const ticks = [];
+  for (let decade = Math.floor(Math.log10(lo)); 10 ** decade <= hi; decade++) {
+    for (const m of mantissas) {
+      const f = m * 10 ** decade;
+      if (f >= lo * 0.999 && f <= hi * 1.001) ticks.push(f);
+    }
+  }
+  return ticks;
+};
+
+/**
+ * Evenly spaced round ticks for a linear axis.
+ * @param {[number, number]} domain
+ * @param {number} [target] - Roughly how many ticks to aim for
+ * @returns {number[]}
+ */
+export const linearTicks = ([lo, hi], target = 6) => {
+  const raw = (hi - lo) / target;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  // Nearest of 1, 2, 5 or 10 times the magnitude
+  const step = [1, 2, 5, 10].map(m => m * magnitude).reduce((best, s) => (Math.abs(s - raw) < Math.abs(best - raw) ? s : best));
+  const ticks = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + step * 1e-9; v += step) {
+    ticks.push(Math.round(v / step) * step || 0);
+  }
+  return ticks;
+};
+
+// Helper: Short axis label for a frequency (1.5k, 200, 31.5)
+export const formatFreqTick = (f) => (f >= 1000 ? `${+(f / 1000).toPrecision(3)}k` : `${+f.toPrecision(3)}`);
+
+export const CHART_HEIGHTS = [250, 350, 500, 700];
+export const DEFAULT_CHART_HEIGHT = 350;
+
+/**
+ * Y range that fits the levels with some headroom, on whole 10 dB steps.
+ * @param {number[]} levels
+ * @returns {[number, number] | null}
+ */
+export const fitDbDomain = (levels) => {
+  const finite = levels.filter(Number.isFinite);
+  if (finite.length === 0) return null;
+  return [Math.floor(Math.min(...finite) / 10) * 10 - 5, Math.ceil(Math.max(...finite) / 10) * 10 + 5];
+};
+
+/**
+ * Difference-chart range: the classic -30 / +10 dB view, widened in 10 dB
+ * steps whenever the data goes beyond it, so deep attenuation is never cut off.
+ * @param {number[]} diffs
+ * @returns {[number, number]}
+ */
+export const fitDiffDomain = (diffs) => {
+  const finite = diffs.filter(Number.isFinite);
+  if (finite.length === 0) return [-30, 10];
+  return [Math.min(-30, Math.floor(Math.min(...finite) / 10) * 10), Math.max(10, Math.ceil(Math.max(...finite) / 10) * 10)];
+};
@@ -0,0 +1,122 @@
+/**
+ * Minimal RIFF/WAVE decoder.
+ * Supports 16/24/32-bit integer PCM and 32/64-bit IEEE float, including
+ * WAVE_FORMAT_EXTENSIBLE headers. Samples are returned as Float32Array per
+ * channel, normalised so integer full scale maps to ±1.0.
+ */
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const readTag = (view, offset) => String.fromCharCode(
+  view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3),
+);
+
+/**
+ * Reads the `fmt ` chunk and locates the `data` chunk.
+ * @param {DataView} view
+ * @returns {{formatTag: number, channelCount: number, sampleRate: number, bitsPerSample: number, blockAlign: number, dataOffset: number, dataLength: number}}
+ */
+const readChunks = (view) => {
+  if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const tag = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (tag === 'fmt ') {
+      let formatTag = view.getUint16(body, true);
+      // Extensible headers carry the real format in the first two bytes of the sub-format GUID
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 40) {
+        formatTag = view.getUint16(body + 24, true);
+      }
+      fmt = {
+        formatTag,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (tag === 'data') {
+      if (!fmt) throw new Error('WAV data chunk appears before its format chunk');
+      // Recorders that were stopped abruptly can leave a bogus size; clamp to what is there
+      const dataLength = Math.min(size, view.byteLength - body);
+      return { ...fmt, dataOffset: body, dataLength };
+    }
+
+    // Chunks are padded to even sizes
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+};
+
+/**
+ * Header fields only, without decoding any samples.
+ * @param {ArrayBuffer} buffer
+ * @returns {{channelCount: number, sampleRate: number, bitsPerSample: number}}
+ */
+export const readWavInfo = (buffer) => {
+  const { channelCount, sampleRate, bitsPerSample } = readChunks(new DataView(buffer));
+  return { channelCount, sampleRate, bitsPerSample };
+};
+
+/**
+ * Decodes a WAV file.
+ * @param {ArrayBuffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.channel] - Zero-based channel to decode; all channels when omitted
+ * @returns {{sampleRate: number, bitsPerSample: number, format: 'pcm' | 'float', channelCount: number, channels: Float32Array[]}}
+ */
+export const decodeWav = (buffer, { channel } = {}) => {
+  const view = new DataView(buffer);
+  const { formatTag, channelCount, sampleRate, bitsPerSample, blockAlign, dataOffset, dataLength } = readChunks(view);
+
+  const isFloat = formatTag === WAVE_FORMAT_IEEE_FLOAT;
+  if (!isFloat && formatTag !== WAVE_FORMAT_PCM) {
+    throw new Error(`Unsupported WAV encoding (format tag 0x${formatTag.toString(16)})`);
+  }
+  if (isFloat && bitsPerSample !== 32 && bitsPerSample !== 64) {
+    throw new Error(`Unsupported float WAV bit depth: ${bitsPerSample}`);
+  }
+  if (!isFloat && ![16, 24, 32].includes(bitsPerSample)) {
+    throw new Error(`Unsupported PCM WAV bit depth: ${bitsPerSample}`);
+  }
+  if (!channelCount || !sampleRate) throw new Error('WAV header is missing channel count or sample rate');
+
+  if (channel !== undefined && (channel < 0 || channel >= channelCount)) {
+    throw new Error(`Channel ${channel + 1} requested but the file has ${channelCount} channel${channelCount === 1 ? '' : 's'}`);
+  }
+
+  // Decoding only the requested channel keeps memory flat for multi-channel recordings
+  const wanted = channel === undefined ? Array.from({ length: channelCount }, (_, i) => i) : [channel];
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(dataLength / blockAlign);
+  const channels = wanted.map(() => new Float32Array(frameCount));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = dataOffset + frame * blockAlign;
+    for (let k = 0; k < wanted.length; k++) {
+      const p = frameOffset + wanted[k] * bytesPerSample;
+      let sample;
+      if (isFloat) {
+        sample = bitsPerSample === 32 ? view.getFloat32(p, true) : view.getFloat64(p, true);
+      } else if (bitsPerSample === 16) {
+        sample = view.getInt16(p, true) / 32768;
+      } else if (bitsPerSample === 24) {
+        const value = view.getUint8(p) | (view.getUint8(p + 1) << 8) | (view.getInt8(p + 2) << 16);
+        sample = value / 8388608;
+      } else {
+        sample = view.getInt32(p, true) / 2147483648;
+      }
+      channels[k][frame] = sample;
+    }
+  }
+
+  return { sampleRate, bitsPerSample, format: isFloat ? 'float' : 'pcm', channelCount, channels };
+};
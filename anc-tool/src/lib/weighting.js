@@ -0,0 +1,65 @@
+/**
+ * Frequency weighting curves.
+ * A and C follow the analogue pole definitions of IEC 61672-1 (normalised to
+ * 0 dB at 1 kHz); ITU-R BS.468-4 uses the published closed-form response.
+ */
+
+export const WEIGHTINGS = [
+  { id: 'Z', label: 'Z (none)', unit: 'dB' },
+  { id: 'A', label: 'A-weighting', unit: 'dBA' },
+  { id: 'C', label: 'C-weighting', unit: 'dBC' },
+  { id: 'ITU468', label: 'ITU-R 468', unit: 'dB(468)' },
+];
+
+export const DEFAULT_WEIGHTING = 'Z';
+
+export const getWeighting = (id) => WEIGHTINGS.find(w => w.id === id) || WEIGHTINGS[0];
+
+const F1_SQ = 20.598997 * 20.598997;
+const F2_SQ = 107.65265 * 107.65265;
+const F3_SQ = 737.86223 * 737.86223;
+const F4_SQ = 12194.217 * 12194.217;
+
+const aWeight = (f) => {
+  const f2 = f * f;
+  const ra = (F4_SQ * f2 * f2) / ((f2 + F1_SQ) * Math.sqrt((f2 + F2_SQ) * (f2 + F3_SQ)) * (f2 + F4_SQ));
+  return 20 * Math.log10(ra) + 2.0;
+};
+
+const cWeight = (f) => {
+  const f2 = f * f;
+  const rc = (F4_SQ * f2) / ((f2 + F1_SQ) * (f2 + F4_SQ));
+  return 20 * Math.log10(rc) + 0.062;
+};
+
+const itu468Weight = (f) => {
+  const h1 = -4.737338981378384e-24 * Math.pow(f, 6) + 2.043828333606125e-15 * Math.pow(f, 4) - 1.363894795463638e-7 * f * f + 1;
+  const h2 = 1.306612257412824e-19 * Math.pow(f, 5) - 2.118150887518656e-11 * Math.pow(f, 3) + 5.559488023498642e-4 * f;
+  const r = (1.246332637532143e-4 * f) / Math.sqrt(h1 * h1 + h2 * h2);
+  return 18.2 + 20 * Math.log10(r);
+};
+
+/**
+ * Weighting correction in dB at a single frequency.
+ * @param {number} freq - Hz
+ * @param {string} id - One of WEIGHTINGS ids
+ * @returns {number}
+ */
+export const weightingDb = (freq, id) => {
+  if (!(freq > 0)) return 0;
+  if (id === 'A') return aWeight(freq);
+  if (id === 'C') return cWeight(freq);
+  if (id === 'ITU468') return itu468Weight(freq);
+  return 0;
+};
+
+/**
+ * Applies a weighting curve to a spectrum.
+ * @param {Array<{freq: number, spl: number}>} data
+ * @param {string} id
+ * @returns {Array<{freq: number, spl: number}>} New array (or `data` itself for Z)
+ */
+export const applyWeighting = (data, id) => {
+  if (!data || id === 'Z' || !WEIGHTINGS.some(w => w.id === id)) return data;
+  return data.map(d => ({ ...d, spl: d.spl + weightingDb(d.freq, id) }));
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { applyWeighting, weightingDb } from './weighting.js';
+
+describe('weightingDb', () => {
+  it('follows the IEC 61672-1 A-weighting table', () => {
+    expect(weightingDb(1000, 'A')).toBeCloseTo(0, 1);
+    expect(weightingDb(100, 'A')).toBeCloseTo(-19.1, 1);
+    // The table is for the exact mid-band frequencies, e.g. 31.62 Hz for the 31.5 Hz band
+    expect(weightingDb(1000 / Math.pow(10, 1.5), 'A')).toBeCloseTo(-39.4, 1);
+    expect(weightingDb(4000, 'A')).toBeCloseTo(1.0, 1);
+  });
+
+  it('follows the IEC 61672-1 C-weighting table', () => {
+    expect(weightingDb(1000, 'C')).toBeCloseTo(0, 1);
+    expect(weightingDb(1000 / Math.pow(10, 1.5), 'C')).toBeCloseTo(-3.0, 1);
+    expect(weightingDb(8000, 'C')).toBeCloseTo(-3.0, 1);
+  });
+
+  it('peaks around 6.3 kHz for ITU-R 468', () => {
+    expect(weightingDb(1000, 'ITU468')).toBeCloseTo(0, 1);
+    expect(weightingDb(6300, 'ITU468')).toBeCloseTo(12.2, 1);
+  });
+
+  it('is flat for Z and unknown frequencies', () => {
+    expect(weightingDb(100, 'Z')).toBe(0);
+    expect(weightingDb(0, 'A')).toBe(0);
+  });
+});
+
+describe('applyWeighting', () => {
+  const data = [{ freq: 100, spl: 60 }, { freq: 1000, spl: 60 }];
+
+  it('adds the correction to each point', () => {
+    const weighted = applyWeighting(data, 'A');
+    expect(weighted[0].spl).toBeCloseTo(60 - 19.1, 1);
+    expect(weighted[1].spl).toBeCloseTo(60, 1);
+  });
+
+  it('returns the data itself for Z or an unknown weighting', () => {
+    expect(applyWeighting(data, 'Z')).toBe(data);
+    expect(applyWeighting(data, 'B')).toBe(data);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Connection to a live spectrum source.
+ * ws:// and wss:// URLs open a WebSocket, http:// and https:// URLs an
+ * EventSource (Server-Sent Events). Either way every message is one JSON
+ * frame, see lib/liveFrames. `npm run live-replay` starts a local source that
+ * serves both.
+ */
+
+/**
+ * Opens the connection.
+ * @param {string} url
+ * @param {Object} handlers
+ * @param {(text: string) => void} handlers.onMessage
+ * @param {() => void} handlers.onOpen
+ * @param {(message: string) => void} handlers.onError - Also called when the source closes the connection
+ * @returns {() => void} Closes the connection; no handler is called afterwards
+ */
+export const connectLiveSource = (url, { onMessage, onOpen, onError }) => {
+  let closed = false;
+  const guard = (fn) => (...args) => {
+    if (!closed) fn(...args);
+  };
+
+  if (/^wss?:\/\//i.test(url)) {
+    const socket = new WebSocket(url);
+    socket.onopen = guard(onOpen);
+    socket.onmessage = guard((e) => onMessage(e.data));
+    socket.onclose = guard((e) => onError(e.wasClean ? 'Source closed the connection.' : `Connection lost (code ${e.code}).`));
+    return () => {
+      closed = true;
+      socket.close();
+    };
+  }
+
+  if (/^https?:\/\//i.test(url)) {
+    // EventSource reconnects on its own; report the gap but keep it open
+    const source = new EventSource(url);
+    source.onopen = guard(onOpen);
+    source.onmessage = guard((e) => onMessage(e.data));
+    source.onerror = guard(() => onError(source.readyState === EventSource.CLOSED ? 'Source refused the connection.' : 'Connection lost, retrying…'));
+    return () => {
+      closed = true;
+      source.close();
+    };
+  }
+
+  throw new Error('Use a ws://, wss://, http:// or https:// URL.');
+};
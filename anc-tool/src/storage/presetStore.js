@@ -0,0 +1,42 @@
+/**
+ * User band presets, kept in localStorage (small and synchronous, unlike
+ * the session auto-save).
+ */
+
+import { readRange } from '../lib/session';
+
+const STORAGE_KEY = 'anc-analyzer.band-presets';
+
+// Helper: Stored preset with its valid bands only, or null when none is left
+const readPreset = (preset) => {
+  if (!preset || !preset.name || !Array.isArray(preset.bands)) return null;
+  const bands = preset.bands
+    .map(b => ({ ...b, range: readRange(b?.range) }))
+    .filter(b => b.range);
+  return bands.length ? { ...preset, bands } : null;
+};
+
+/**
+ * Stored presets; bands without a valid range are dropped, and presets left
+ * without any band with them.
+ * @returns {Array<{id: string, name: string, bands: Array<{name: string, range: [number, number], color: string}>}>}
+ */
+export const loadBandPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(readPreset).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * @param {Array<Object>} presets - User presets only; built-ins are never stored
+ */
+export const saveBandPresets = (presets) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (err) {
+    console.warn('Band presets could not be saved:', err);
+  }
+};
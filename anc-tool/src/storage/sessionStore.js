@@ -0,0 +1,47 @@
+/**
+ * Auto-save slot for the last session, kept in IndexedDB.
+ * localStorage is too small for measurement data (a single WAV spectrum is
+ * thousands of points), so the session object is stored as-is in IndexedDB.
+ */
+
+const DB_NAME = 'anc-analyzer';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+const LAST_SESSION_KEY = 'last';
+
+// Helper: Open (and on first use create) the database
+const openDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Helper: Run one request in its own transaction and resolve with its result
+const withStore = (mode, run) => openDb().then(db => new Promise((resolve, reject) => {
+  const tx = db.transaction(STORE, mode);
+  const request = run(tx.objectStore(STORE));
+  tx.oncomplete = () => {
+    db.close();
+    resolve(request.result);
+  };
+  tx.onerror = () => {
+    db.close();
+    reject(tx.error);
+  };
+}));
+
+/**
+ * @param {Object} session - Output of `serializeSession`
+ * @returns {Promise<void>}
+ */
+export const saveLastSession = (session) => withStore('readwrite', store => store.put(session, LAST_SESSION_KEY)).then(() => undefined);
+
+/**
+ * @returns {Promise<Object | undefined>} The stored session object, not yet migrated
+ */
+export const loadLastSession = () => withStore('readonly', store => store.get(LAST_SESSION_KEY));
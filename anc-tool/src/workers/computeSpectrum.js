@@ -0,0 +1,32 @@
+/**
+ * Promise wrapper around the spectrum worker.
+ * One worker per job; it is terminated as soon as the job settles so a
+ * multi-minute recording does not keep its decoded samples alive.
+ */
+
+/**
+ * @param {ArrayBuffer} buffer - WAV file contents (transferred, unusable afterwards)
+ * @param {Object} options - Welch settings, see lib/spectrum DEFAULT_WELCH_OPTIONS
+ * @param {(fraction: number) => void} [onProgress]
+ * @returns {Promise<{data: Array<{freq: number, spl: number}>, info: Object}>}
+ */
+export const computeSpectrumInWorker = (buffer, options, onProgress) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./spectrum.worker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (event) => {
+    const msg = event.data;
+    if (msg.type === 'progress') {
+      if (onProgress) onProgress(msg.value);
+      return;
+    }
+    worker.terminate();
+    if (msg.type === 'done') resolve({ data: msg.data, info: msg.info });
+    else reject(new Error(msg.message));
+  };
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || 'Spectrum worker failed'));
+  };
+
+  worker.postMessage({ buffer, options }, [buffer]);
+});
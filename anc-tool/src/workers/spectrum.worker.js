@@ -0,0 +1,20 @@
+/**
+ * Web Worker: WAV decoding + Welch spectrum off the main thread.
+ * Message in:  { buffer: ArrayBuffer, options }
+ * Messages out: { type: 'progress', value } | { type: 'done', data, info } | { type: 'error', message }
+ */
+
+import { wavToSpectrum } from '../lib/spectrum';
+
+self.onmessage = (event) => {
+  const { buffer, options } = event.data;
+  try {
+    const { data, info } = wavToSpectrum(buffer, {
+      ...options,
+      onProgress: (value) => self.postMessage({ type: 'progress', value }),
+    });
+    self.postMessage({ type: 'done', data, info });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};